@@ -31,11 +31,12 @@ class FalconRequest {
 }
 
 class SuppressionCheckResult {
-  constructor(suppressedAdvertisers, totalListsChecked, processingTimeMs, details) {
+  constructor(suppressedAdvertisers, totalListsChecked, processingTimeMs, details, suppressedBanners = new Set()) {
     this.suppressedAdvertisers = suppressedAdvertisers; // Set of advertiser IDs
     this.totalListsChecked = totalListsChecked;
     this.processingTimeMs = processingTimeMs;
     this.details = details; // Array of debug information
+    this.suppressedBanners = suppressedBanners; // Set of banner IDs from campaign/banner-scoped lists
   }
 }
 
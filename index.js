@@ -77,6 +77,44 @@ class SuppressionListSystem {
         return await this.falconServer.serveAdWithSuppression(falconRequest);
     }
 
+    // Explains the suppression decision for a request's user identifiers
+    async explainSuppression(request) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const requestData = request.request || request;
+        const userIdentifiers = requestData.user || requestData.userIdentifiers || {};
+
+        return await this.falconServer.explainSuppression(userIdentifiers);
+    }
+
+    // Right-to-erasure for the identifiers in a request ({ user: { email: ... } } or
+    // the identifiers themselves); returns the erasure receipt
+    async eraseSubject(request) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const requestData = request.request || request;
+        const identifiers = requestData.user || requestData.userIdentifiers || requestData;
+
+        return await this.falconServer.eraseSubject(identifiers);
+    }
+
+    // Data subject access report for the identifiers in a request; options.format
+    // is 'json' (default) or 'text'
+    async getSubjectReport(request, options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const requestData = request.request || request;
+        const identifiers = requestData.user || requestData.userIdentifiers || requestData;
+
+        return await this.falconServer.getSubjectReport(identifiers, options);
+    }
+
     async getStats() {
         if (!this.initialized) {
             await this.initialize();
@@ -93,8 +131,8 @@ class SuppressionListSystem {
 
     async shutdown() {
         console.log('🛑 Shutting down Suppression List System...');
-        if (this.falconServer && this.falconServer.suppressionManager && this.falconServer.suppressionManager.db) {
-            await this.falconServer.suppressionManager.db.close();
+        if (this.falconServer && this.falconServer.suppressionManager) {
+            await this.falconServer.suppressionManager.close();
         }
         this.initialized = false;
         console.log('✅ System shutdown complete');
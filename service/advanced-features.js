@@ -1,11 +1,11 @@
-const crypto = require('crypto');
+const EncryptionService = require('./encryption-service');
 
 class AdvancedSuppressionFeatures {
     constructor(manager) {
         this.manager = manager;
-        this.auditLogger = new AuditLogger();
+        this.auditLogger = new AuditLogger(manager);
         this.rateLimiter = new RateLimiter();
-        this.encryptionService = new EncryptionService();
+        this.encryptionService = manager.encryption || new EncryptionService({ hasher: manager.keyedHasher });
     }
 
     // Feature 1: List Expiration with TTL
@@ -15,48 +15,54 @@ class AdvancedSuppressionFeatures {
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
 
-        const result = await this.manager.db.run(`
-            UPDATE suppression_lists 
-            SET is_active = 0 
-            WHERE last_updated < ? AND is_active = 1
-        `, [cutoffDate.toISOString()]);
+        const expiredLists = await this.manager.storage.listLists({
+            activeOnly: true,
+            updatedBefore: cutoffDate.toISOString()
+        });
+
+        for (const list of expiredLists) {
+            await this.manager.storage.transaction(async () => {
+                await this.manager.storage.updateList(list.id, { is_active: 0 });
+                await this.auditLogger.log('LIST_EXPIRED', { listId: list.id, advertiserId: list.advertiser_id, lastUpdated: list.last_updated, retentionDays });
+            });
+        }
 
-        console.log(`[Advanced] Expired ${result.changes} lists older than ${retentionDays} days`);
-        return result.changes;
+        console.log(`[Advanced] Expired ${expiredLists.length} lists older than ${retentionDays} days`);
+        await this.auditLogger.log('POLICY_RUN', { policy: 'expiration', retentionDays, listsExpired: expiredLists.length });
+        return expiredLists.length;
     }
 
     async getExpiredLists(retentionDays = 90) {
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
 
-        return await this.manager.db.all(`
-            SELECT id, name, advertiser_id, last_updated 
-            FROM suppression_lists 
-            WHERE last_updated < ? AND is_active = 1
-        `, [cutoffDate.toISOString()]);
+        const lists = await this.manager.storage.listLists({
+            activeOnly: true,
+            updatedBefore: cutoffDate.toISOString()
+        });
+
+        return lists.map(({ id, name, advertiser_id, last_updated }) => ({ id, name, advertiser_id, last_updated }));
     }
 
     // Feature 2: Privacy Compliance - Hash incoming identifiers
-    async createPrivacyCompliantList(listData) {
-        // Ensure all identifiers are hashed before storage
-        const hashedIdentifiers = listData.identifiers.map(identifier =>
-            this.encryptionService.hashIdentifier(identifier)
-        );
+    async createPrivacyCompliantList(listData, options = {}) {
+        // Raw emails and phones go through the ingestion pipeline so equivalent
+        // inputs hash the same. Other identifiers pass through as submitted: the
+        // manager normalizes them and stores only its own (keyed) hash, which is
+        // what lookups compute, so hashing them here as well would never match.
+        const rawType = { email_hash: 'email', phone_hash: 'phone' }[listData.identifier_type];
+        const hashed = rawType
+            ? this.manager.rawIngestion.ingest(rawType, listData.identifiers, options.ingestion)
+            : {};
 
         const compliantList = {
             ...listData,
-            identifiers: hashedIdentifiers,
+            ...hashed,
             privacy_compliant: true,
             original_identifier_count: listData.identifiers.length
         };
 
-        this.auditLogger.log('LIST_CREATED', {
-            listId: compliantList.id,
-            advertiserId: compliantList.advertiser_id,
-            identifierCount: compliantList.identifiers.length,
-            privacyCompliant: true
-        });
-
+        // The manager audits the creation itself
         return await this.manager.createList(compliantList);
     }
 
@@ -94,71 +100,76 @@ class AdvancedSuppressionFeatures {
         // Sampled - apply normal suppression
         return await this.manager.findAdvertisersForIdentifiers(userIdentifiers);
     }
-    // Feature 4: List Combining with AND/OR logic
-    async checkCombinedSuppression(userIdentifiers, logicConfig) {
-        const { operator = 'OR', listIds = [] } = logicConfig;
-
-        if (listIds.length === 0) {
-            return { suppressed: false, details: [] };
-        }
-
-        const listResults = await Promise.all(
-            listIds.map(listId => this.checkListSuppression(userIdentifiers, listId))
-        );
-
-        let shouldSuppress = false;
-        const details = [];
-
-        if (operator === 'OR') {
-            // Suppress if ANY list matches
-            shouldSuppress = listResults.some(result => result.suppressed);
-            details.push(`OR logic: ${listResults.filter(r => r.suppressed).length}/${listIds.length} lists matched`);
-        } else if (operator === 'AND') {
-            // Suppress only if ALL lists match
-            shouldSuppress = listResults.every(result => result.suppressed);
-            details.push(`AND logic: ${listResults.filter(r => r.suppressed).length}/${listIds.length} lists matched`);
+    // Explanation for a sampled check: a user outside the sample is not
+    // suppressed for anyone, whatever the lists say
+    async explainSuppressionWithSampling(userIdentifiers, sampleRate = 1.0) {
+        const explanation = await this.manager.explainSuppression(userIdentifiers);
+        const sampled = sampleRate >= 1.0 || Math.random() <= sampleRate;
+        explanation.sampling = { sampleRate, sampled };
+
+        if (!sampled) {
+            for (const entry of explanation.advertisers) {
+                if (!entry.suppressed && entry.suppressedCampaigns.length + entry.suppressedBanners.length === 0) continue;
+
+                Object.assign(entry, { suppressed: false, suppressedCampaigns: [], suppressedBanners: [] });
+                entry.effects.push({ source: 'sampling', detail: `User not sampled for suppression (rate ${sampleRate})` });
+            }
         }
 
-        return { suppressed: shouldSuppress, details };
+        return explanation;
     }
 
-    async checkListSuppression(userIdentifiers, listId) {
-        const list = await this.manager.getList(listId);
-        if (!list) return { suppressed: false, reason: 'List not found' };
+    // Feature 4: List Combining with AND/OR logic. The combination is stored
+    // as a derived list (OR = union, AND = intersection) that refreshes itself
+    // when a source changes, so lookups hit it like any other list.
+    async combineLists(logicConfig) {
+        const { operator = 'OR', listIds = [], ...listData } = logicConfig;
+        const operations = { OR: 'union', AND: 'intersection' };
 
-        for (const [identifierType, identifier] of Object.entries(userIdentifiers)) {
-            if (!identifier || identifierType !== list.identifier_type) continue;
-
-            if (list.identifiers.includes(identifier)) {
-                return {
-                    suppressed: true,
-                    reason: `Found in list: ${list.name}`,
-                    advertiserId: list.advertiser_id
-                };
-            }
+        if (!operations[operator]) {
+            throw new Error(`Invalid operator: ${operator}. Expected OR or AND`);
         }
 
-        return { suppressed: false, reason: 'Not found in list' };
+        return await this.manager.createDerivedList({
+            name: `${operator} of ${listIds.length} lists`,
+            auto_refresh: true,
+            ...listData,
+            operation: operations[operator],
+            source_list_ids: listIds
+        });
     }
 
-    // Feature 5: Audit Logging
+    // Feature 5: Audit Logging. Returns { entries, total, nextCursor }; pass
+    // nextCursor back as options.cursor for the next page.
     async getAuditLogs(options = {}) {
         return await this.auditLogger.query({
             startDate: options.startDate,
             endDate: options.endDate,
             action: options.action,
-            advertiserId: options.advertiserId
+            advertiserId: options.advertiserId,
+            actor: options.actor,
+            cursor: options.cursor,
+            limit: options.limit,
+            order: options.order,
+            includeArchived: options.includeArchived
         });
     }
 
+    // Writes filtered audit logs (same options as getAuditLogs) to a CSV or
+    // JSONL file; options.format picks which (default 'csv')
+    async exportAuditLogs(outputPath, options = {}) {
+        return await this.manager.exportAuditLog(this.auditLogger.toQuery(options), outputPath, { format: options.format });
+    }
+
     async getImportMetrics() {
         const stats = await this.manager.getStats();
+        const auditLogs = await this.auditLogger.query({ limit: 1 });
         return {
             total_lists: stats.total_lists,
             total_advertisers: stats.total_advertisers,
             total_identifiers: stats.total_identifiers,
             storage_size: 'N/A', // In production, this would calculate actual file size
-            audit_logs_count: this.auditLogger.logs.length,
+            audit_logs_count: auditLogs.total,
             rate_limits_active: this.rateLimiter.limits.size
         };
     }
@@ -187,6 +198,7 @@ class AdvancedSuppressionFeatures {
         // Remove expired suppression lists
         results.listsExpired = await this.applyExpirationPolicy(retentionConfig.suppression_lists);
 
+        await this.auditLogger.log('POLICY_RUN', { policy: 'data_retention', retention: retentionConfig, ...results });
         return results;
     }
 
@@ -194,57 +206,56 @@ class AdvancedSuppressionFeatures {
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
 
-        const result = await this.manager.db.run(`
-            DELETE FROM suppression_identifiers 
-            WHERE added_at < ?
-        `, [cutoffDate.toISOString()]);
-
-        return result.changes;
+        const result = await this.manager.removeIdentifiersAddedBefore(cutoffDate.toISOString());
+        return result.removed;
     }
 
+    // Needs the manager's auditArchiveDir option; without it entries stay in the store
     async archiveOldAuditLogs(retentionDays) {
-        // Implementation would move logs to cold storage
+        if (!this.manager.auditArchive) {
+            console.log('[Advanced] Audit archiving is not configured, keeping all audit logs');
+            return 0;
+        }
+
         console.log(`[Advanced] Archiving audit logs older than ${retentionDays} days`);
-        return 0; // Placeholder
+        const result = await this.manager.archiveAuditLog({ retentionDays });
+        return result.archived;
     }
 }
 
 // Supporting classes for advanced features
+
+// Records to the manager's persistent, hash-chained audit log
 class AuditLogger {
-    constructor() {
-        this.logs = []; // In production, this would be a database table
+    constructor(manager) {
+        this.manager = manager;
     }
 
-    log(action, data) {
-        const logEntry = {
-            id: crypto.randomUUID(),
-            timestamp: new Date().toISOString(),
-            action,
-            data: JSON.stringify(data),
-            ipAddress: data.ipAddress || null,
-            userAgent: data.userAgent || null
-        };
+    // data.listId and data.advertiserId are indexed; the rest is kept as details
+    async log(action, data = {}) {
+        const { listId, advertiserId, ...details } = data;
+        const entry = await this.manager.audit(action, { listId, advertiserId, details });
 
-        this.logs.push(logEntry);
         console.log(`[Audit] ${action}:`, data);
+        return entry;
     }
 
     async query(options = {}) {
-        let filteredLogs = this.logs;
-
-        if (options.startDate) {
-            filteredLogs = filteredLogs.filter(log => log.timestamp >= options.startDate);
-        }
-
-        if (options.endDate) {
-            filteredLogs = filteredLogs.filter(log => log.timestamp <= options.endDate);
-        }
-
-        if (options.action) {
-            filteredLogs = filteredLogs.filter(log => log.action === options.action);
-        }
+        return await this.manager.queryAuditLog(this.toQuery(options));
+    }
 
-        return filteredLogs.slice(-100); // Return recent 100 logs
+    toQuery(options) {
+        return {
+            from: options.startDate,
+            to: options.endDate,
+            action: options.action,
+            advertiserId: options.advertiserId,
+            actor: options.actor,
+            cursor: options.cursor,
+            limit: options.limit,
+            order: options.order,
+            includeArchived: options.includeArchived
+        };
     }
 }
 
@@ -332,50 +343,4 @@ class RateLimiter {
     }
 }
 
-class EncryptionService {
-    constructor() {
-        this.algorithm = 'aes-256-gcm';
-        // In production, use proper key management
-        this.encryptionKey = process.env.ENCRYPTION_KEY || 'default-key-for-development-only';
-    }
-
-    hashIdentifier(identifier) {
-        // One-way hash for privacy compliance
-        return crypto.createHash('sha256').update(identifier).digest('hex');
-    }
-
-    encryptIdentifier(identifier) {
-        // Two-way encryption for when you need to retrieve original values
-        const iv = crypto.randomBytes(16);
-        const cipher = crypto.createCipher(this.algorithm, this.encryptionKey);
-        cipher.setAAD(Buffer.from('suppression-list'));
-
-        let encrypted = cipher.update(identifier, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-
-        const authTag = cipher.getAuthTag();
-
-        return {
-            iv: iv.toString('hex'),
-            data: encrypted,
-            authTag: authTag.toString('hex')
-        };
-    }
-
-    decryptIdentifier(encryptedData) {
-        try {
-            const decipher = crypto.createDecipher(this.algorithm, this.encryptionKey);
-            decipher.setAAD(Buffer.from('suppression-list'));
-            decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-
-            let decrypted = decipher.update(encryptedData.data, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-
-            return decrypted;
-        } catch (error) {
-            throw new Error('Failed to decrypt identifier');
-        }
-    }
-}
-
 module.exports = AdvancedSuppressionFeatures;
\ No newline at end of file
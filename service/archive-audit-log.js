@@ -0,0 +1,42 @@
+const path = require('path');
+const SuppressionListManager = require('./suppression-list-manager');
+const AuditArchive = require('./audit-archive');
+
+const DEFAULT_RETENTION_DAYS = 365;
+
+// Retention job: moves audit entries older than the retention window into a
+// gzip-compressed JSONL archive and checks the chain across archive and store.
+// Usage: node service/archive-audit-log.js [dbPath] [--archive-dir=path] [--retention-days=N] [--verify-only]
+async function main() {
+    const args = process.argv.slice(2);
+    const verifyOnly = args.includes('--verify-only');
+    const option = name => {
+        const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const dbPath = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '../data/suppression_lists.db');
+    const auditArchiveDir = option('archive-dir') || AuditArchive.DEFAULT_DIR;
+
+    const retentionDays = Number(option('retention-days') ?? DEFAULT_RETENTION_DAYS);
+    if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+        throw new Error(`Invalid retention period: ${option('retention-days')}`);
+    }
+
+    const manager = new SuppressionListManager(dbPath, { auditArchiveDir, actor: 'archive-audit-log' });
+    await manager.initialize();
+
+    try {
+        const result = verifyOnly ? null : await manager.archiveAuditLog({ retentionDays });
+        const verification = await manager.verifyAuditChain({ archives: true });
+
+        console.log(JSON.stringify({ database: dbPath, archiveDir: auditArchiveDir, ...(result && { archive: result }), verification }, null, 2));
+        if (!verification.ok) process.exitCode = 1;
+    } finally {
+        await manager.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { once } = require('events');
+const AuditLog = require('./audit-log');
+
+const DEFAULT_AUDIT_ARCHIVE_DIR = process.env.SUPPRESSION_AUDIT_ARCHIVE || path.join(__dirname, '../data/audit-archive');
+const MANIFEST_FILE = 'manifest.json';
+const MAX_REPORTED_PROBLEMS = 100;
+
+function matchesFilters(entry, filters = {}) {
+    const checks = [
+        [filters.action, wanted => entry.action === wanted],
+        [filters.actor, wanted => entry.actor === wanted],
+        [filters.advertiserId, wanted => entry.advertiser_id === wanted],
+        [filters.listId, wanted => entry.list_id === wanted],
+        [filters.from, wanted => entry.created_at >= wanted],
+        [filters.to, wanted => entry.created_at <= wanted]
+    ];
+    return checks.every(([wanted, test]) => wanted === undefined || wanted === null || test(wanted));
+}
+
+// Cold storage for audit entries: gzip-compressed JSONL files, one entry per
+// line exactly as stored, plus manifest.json listing each file's seq and date
+// range and SHA-256 checksum. The manifest anchor is the seq and hash of the
+// last archived entry; the live chain continues from it.
+class AuditArchive {
+    constructor(directory = DEFAULT_AUDIT_ARCHIVE_DIR) {
+        this.directory = directory;
+    }
+
+    manifestPath() {
+        return path.join(this.directory, MANIFEST_FILE);
+    }
+
+    readManifest() {
+        if (!fs.existsSync(this.manifestPath())) {
+            return { anchor: null, archives: [] };
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.manifestPath(), 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read audit archive manifest ${this.manifestPath()}: ${error.message}`);
+        }
+    }
+
+    writeManifest(manifest) {
+        const tempPath = `${this.manifestPath()}.tmp-${process.pid}`;
+        fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2) + '\n');
+        fs.renameSync(tempPath, this.manifestPath());
+    }
+
+    anchor() {
+        return this.readManifest().anchor;
+    }
+
+    // Writes entries (an async iterable in seq order) to a new archive file and
+    // adds it to the manifest. Returns the manifest record, or null when there
+    // was nothing to write.
+    async append(entries) {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const tempPath = path.join(this.directory, `.archive-${process.pid}-${Date.now()}.jsonl.gz`);
+        const checksum = crypto.createHash('sha256');
+        const gzip = zlib.createGzip();
+        const output = fs.createWriteStream(tempPath);
+        gzip.on('data', chunk => checksum.update(chunk));
+        gzip.pipe(output);
+
+        let first = null;
+        let last = null;
+        let count = 0;
+
+        try {
+            for await (const entry of entries) {
+                if (!gzip.write(JSON.stringify(entry) + '\n')) {
+                    await once(gzip, 'drain');
+                }
+                first = first || entry;
+                last = entry;
+                count++;
+            }
+            gzip.end();
+            await once(output, 'finish');
+        } catch (error) {
+            gzip.destroy();
+            output.destroy();
+            if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+            throw error;
+        }
+
+        if (count === 0) {
+            fs.unlinkSync(tempPath);
+            return null;
+        }
+
+        const file = `audit-${String(first.seq).padStart(10, '0')}-${String(last.seq).padStart(10, '0')}.jsonl.gz`;
+        fs.renameSync(tempPath, path.join(this.directory, file));
+
+        const record = {
+            file,
+            entries: count,
+            firstSeq: first.seq,
+            lastSeq: last.seq,
+            from: first.created_at,
+            to: last.created_at,
+            firstPrevHash: first.prev_hash,
+            lastHash: last.entry_hash,
+            sha256: checksum.digest('hex'),
+            bytes: fs.statSync(path.join(this.directory, file)).size,
+            archivedAt: new Date().toISOString()
+        };
+
+        const manifest = this.readManifest();
+        manifest.archives.push(record);
+        manifest.anchor = { seq: last.seq, hash: last.entry_hash };
+        this.writeManifest(manifest);
+
+        console.log(`[AuditArchive] Archived ${count} entries (seq ${first.seq}-${last.seq}) to ${file}`);
+        return record;
+    }
+
+    async *read(record) {
+        const file = fs.createReadStream(path.join(this.directory, record.file));
+        const input = file.pipe(zlib.createGunzip());
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+        try {
+            for await (const line of lines) {
+                if (line) yield JSON.parse(line);
+            }
+        } finally {
+            // Callers may stop early once they have what they need
+            lines.close();
+            input.destroy();
+            file.destroy();
+        }
+    }
+
+    // Same query shape as SuppressionStorage#getAuditEntries. The manifest's
+    // seq and date ranges pick the files to read, starting from the cursor's,
+    // and reading stops once the page is full. total is null unless count is
+    // set, since filters other than dates mean reading every file in range.
+    async query({ filters = {}, order = 'asc', after = null, limit = 100, count = true } = {}) {
+        const records = this.readManifest().archives.filter(record =>
+            !(filters.from && record.to < filters.from) && !(filters.to && record.from > filters.to));
+        if (order === 'desc') records.reverse();
+
+        const pastCursor = record => after === null || (order === 'desc' ? record.firstSeq < after : record.lastSeq > after);
+        const entries = [];
+
+        for (const record of records) {
+            if (entries.length >= limit) break;
+            if (!pastCursor(record)) continue;
+
+            const page = [];
+            for await (const entry of this.read(record)) {
+                if (!matchesFilters(entry, filters)) continue;
+                if (after !== null && (order === 'desc' ? entry.seq >= after : entry.seq <= after)) continue;
+
+                page.push(entry);
+                if (order === 'desc') {
+                    // Files are in ascending order: keep the newest entries still needed
+                    if (page.length > limit - entries.length) page.shift();
+                } else if (entries.length + page.length >= limit) {
+                    break;
+                }
+            }
+
+            entries.push(...(order === 'desc' ? page.reverse() : page));
+        }
+
+        return { entries, total: count ? await this.count(records, filters) : null };
+    }
+
+    // Entries matching filters in records. Files wholly inside the date
+    // filters count from the manifest when no other filter applies.
+    async count(records, filters) {
+        const byContent = ['action', 'actor', 'advertiserId', 'listId'].some(key => filters[key] !== undefined && filters[key] !== null);
+        let total = 0;
+
+        for (const record of records) {
+            if (!byContent && !(filters.from && record.from < filters.from) && !(filters.to && record.to > filters.to)) {
+                total += record.entries;
+                continue;
+            }
+
+            for await (const entry of this.read(record)) {
+                if (matchesFilters(entry, filters)) total++;
+            }
+        }
+
+        return total;
+    }
+
+    // Checks each file against its manifest checksum and re-verifies the hash
+    // chain through every archived entry up to the anchor
+    async verify() {
+        const manifest = this.readManifest();
+        const problems = [];
+        let problemCount = 0;
+        let expectedPrev = AuditLog.GENESIS_HASH;
+        let checked = 0;
+
+        const report = problem => {
+            problemCount++;
+            if (problems.length < MAX_REPORTED_PROBLEMS) problems.push(problem);
+        };
+
+        for (const record of manifest.archives) {
+            const filePath = path.join(this.directory, record.file);
+            if (!fs.existsSync(filePath)) {
+                report({ file: record.file, problem: 'missing_file' });
+                continue;
+            }
+
+            const checksum = crypto.createHash('sha256');
+            for await (const chunk of fs.createReadStream(filePath)) checksum.update(chunk);
+            if (checksum.digest('hex') !== record.sha256) {
+                report({ file: record.file, problem: 'checksum_mismatch' });
+            }
+
+            try {
+                for await (const entry of this.read(record)) {
+                    checked++;
+                    if (entry.prev_hash !== expectedPrev) report({ file: record.file, seq: entry.seq, id: entry.id, problem: 'broken_link' });
+                    if (AuditLog.hashEntry(entry) !== entry.entry_hash) report({ file: record.file, seq: entry.seq, id: entry.id, problem: 'hash_mismatch' });
+                    expectedPrev = entry.entry_hash;
+                }
+            } catch (error) {
+                report({ file: record.file, problem: 'unreadable', error: error.message });
+            }
+        }
+
+        if (manifest.anchor && manifest.anchor.hash !== expectedPrev) {
+            report({ seq: manifest.anchor.seq, problem: 'anchor_mismatch' });
+        }
+
+        return { ok: problemCount === 0, files: manifest.archives.length, checked, problemCount, problems };
+    }
+}
+
+AuditArchive.DEFAULT_DIR = DEFAULT_AUDIT_ARCHIVE_DIR;
+
+module.exports = AuditArchive;
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+const VERIFY_PAGE_SIZE = 1000;
+const MAX_REPORTED_PROBLEMS = 100;
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+const CSV_COLUMNS = ['seq', 'id', 'created_at', 'action', 'actor', 'advertiser_id', 'list_id', 'details', 'prev_hash', 'entry_hash'];
+
+// Hash of an entry's content and its predecessor's hash. Changing, removing
+// or reordering stored entries breaks the chain from that point on.
+function hashAuditEntry(entry) {
+    return crypto.createHash('sha256').update(JSON.stringify([
+        entry.id,
+        entry.created_at,
+        entry.action,
+        entry.actor,
+        entry.advertiser_id,
+        entry.list_id,
+        JSON.stringify(entry.details),
+        entry.prev_hash
+    ])).digest('hex');
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+// Append-only, hash-chained audit trail kept in the suppression store. Each
+// entry records who (actor) did what (action) to which advertiser/list, with
+// details that must never contain identifiers. Storage reads the chain head
+// and inserts after it in one atomic step, so every entry links to the one
+// written before it even with several writers.
+class AuditLog {
+    // options.actor() names whoever is acting when an entry does not say;
+    // options.archive (an AuditArchive) holds entries moved out of the store
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.resolveActor = options.actor || (() => 'system');
+        this.archive = options.archive || null;
+        this.pending = Promise.resolve();
+    }
+
+    async append({ id = crypto.randomUUID(), action, actor, advertiserId = null, listId = null, details = {} }) {
+        if (!action) {
+            throw new Error('Audit entries need an action');
+        }
+
+        const entry = {
+            id,
+            created_at: new Date().toISOString(),
+            action,
+            actor: actor || this.resolveActor(),
+            advertiser_id: advertiserId,
+            list_id: listId,
+            details
+        };
+
+        entry.seq = await this.storage.appendAuditEntry(entry, last => {
+            entry.prev_hash = last ? last.entry_hash : GENESIS_HASH;
+            entry.entry_hash = hashAuditEntry(entry);
+        });
+        return entry;
+    }
+
+    // query: action, actor, advertiserId, listId, from/to (ISO, inclusive),
+    // order ('asc' | 'desc' by sequence), limit and the cursor from a previous
+    // page; includeArchived also searches archive files. Returns
+    // { entries, total, nextCursor }. Archive files are only counted for the
+    // first page, so later pages of an includeArchived query have total null.
+    async query(query = {}) {
+        await this.pending;
+
+        const { action, actor, advertiserId, listId, from, to, order = 'asc', cursor = null, includeArchived = false } = query;
+        if (!['asc', 'desc'].includes(order)) {
+            throw new Error(`Invalid order: ${order}`);
+        }
+
+        const after = cursor === null || cursor === undefined ? null : Number(cursor);
+        if (after !== null && !Number.isInteger(after)) {
+            throw new Error(`Invalid cursor: ${cursor}`);
+        }
+
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+        const filters = { action, actor, advertiserId, listId, from, to };
+
+        if (includeArchived && !this.archive) {
+            throw new Error('Audit archiving is not configured');
+        }
+
+        // One extra row tells whether another page exists
+        const { entries, total } = includeArchived
+            ? await this.getArchivedAndLiveEntries({ filters, order, after, limit: limit + 1 })
+            : await this.storage.getAuditEntries({ filters, order, after, limit: limit + 1 });
+        const page = entries.slice(0, limit);
+
+        return {
+            entries: page,
+            total,
+            nextCursor: entries.length > limit ? String(page[page.length - 1].seq) : null
+        };
+    }
+
+    // Archived entries all have lower seqs than live ones, so one side is read
+    // first and the other fills the rest of the page
+    async getArchivedAndLiveEntries({ filters, order, after, limit }) {
+        const archived = query => this.archive.query({ ...query, count: after === null });
+        const [first, second] = order === 'desc'
+            ? [query => this.storage.getAuditEntries(query), archived]
+            : [archived, query => this.storage.getAuditEntries(query)];
+
+        const head = await first({ filters, order, after, limit });
+        const tail = await second({ filters, order, after, limit: limit - head.entries.length });
+        const total = head.total === null || tail.total === null ? null : head.total + tail.total;
+
+        return { entries: [...head.entries, ...tail.entries], total };
+    }
+
+    // Moves entries created before `before` to a new archive file, oldest
+    // first, then deletes them from the store. The newest entry always stays
+    // so appends keep linking to it.
+    archiveBefore(before, options = {}) {
+        if (!this.archive) {
+            return Promise.reject(new Error('Audit archiving is not configured'));
+        }
+
+        const run = this.pending.then(async () => {
+            const { batchSize = VERIFY_PAGE_SIZE } = options;
+            const anchor = this.archive.anchor();
+            const head = await this.storage.getLastAuditEntry();
+
+            // A run that failed after writing its file left rows the archive already holds
+            if (anchor && await this.checkAnchor(anchor)) await this.storage.deleteAuditEntriesThrough(anchor.seq);
+            if (!head) return { archived: 0, archive: null, anchor };
+
+            const storage = this.storage;
+            async function* entriesToArchive() {
+                let after = anchor ? anchor.seq : null;
+
+                while (true) {
+                    const { entries } = await storage.getAuditEntries({ filters: {}, order: 'asc', after, limit: batchSize });
+                    if (entries.length === 0) return;
+
+                    for (const entry of entries) {
+                        if (entry.created_at >= before || entry.seq === head.seq) return;
+                        yield entry;
+                    }
+                    after = entries[entries.length - 1].seq;
+                }
+            }
+
+            const record = await this.archive.append(entriesToArchive());
+            if (!record) return { archived: 0, archive: null, anchor };
+
+            await this.storage.deleteAuditEntriesThrough(record.lastSeq);
+            return { archived: record.entries, archive: record, anchor: this.archive.anchor() };
+        });
+        this.pending = run.catch(() => {});
+        return run;
+    }
+
+    // The archive must continue this store's chain before any rows are deleted
+    // for it: either the anchor entry is still stored with the anchor's hash
+    // (returns true, its rows need deleting) or the oldest stored entry links
+    // to it (returns false). Anything else is a wrong, shared or stale archive.
+    async checkAnchor(anchor) {
+        const { entries: [oldest] } = await this.storage.getAuditEntries({ filters: {}, order: 'asc', after: null, limit: 1 });
+        if (!oldest) return false;
+
+        if (oldest.seq > anchor.seq) {
+            if (oldest.prev_hash === anchor.hash) return false;
+            throw new Error(`Audit archive anchor ${anchor.seq} does not link to the stored chain (entry ${oldest.seq})`);
+        }
+
+        const { entries: [stored] } = await this.storage.getAuditEntries({ filters: {}, order: 'asc', after: anchor.seq - 1, limit: 1 });
+        if (!stored || stored.seq !== anchor.seq || stored.entry_hash !== anchor.hash) {
+            throw new Error(`Audit archive anchor ${anchor.seq} does not match the stored entry`);
+        }
+        return true;
+    }
+
+    // Writes every entry matching query (see query) to outputPath as CSV or
+    // JSONL. The file is written under a temporary name and renamed when done.
+    async export(query, outputPath, options = {}) {
+        const { format = 'csv' } = options;
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new Error(`Invalid export format: ${format}. Expected one of ${EXPORT_FORMATS.join(', ')}`);
+        }
+
+        const tempPath = `${outputPath}.tmp-${process.pid}`;
+        const output = fs.createWriteStream(tempPath);
+        const write = async line => {
+            if (!output.write(line + '\n')) await new Promise(resolve => output.once('drain', resolve));
+        };
+        let exported = 0;
+
+        try {
+            if (format === 'csv') await write(CSV_COLUMNS.join(','));
+
+            let cursor = null;
+            do {
+                const page = await this.query({ ...query, cursor, limit: MAX_QUERY_LIMIT });
+                for (const entry of page.entries) {
+                    await write(format === 'csv' ? CSV_COLUMNS.map(column => csvField(entry[column])).join(',') : JSON.stringify(entry));
+                    exported++;
+                }
+                cursor = page.nextCursor;
+            } while (cursor !== null);
+
+            await new Promise((resolve, reject) => output.end(error => error ? reject(error) : resolve()));
+            fs.renameSync(tempPath, outputPath);
+        } catch (error) {
+            output.destroy();
+            if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+            throw error;
+        }
+
+        console.log(`[AuditLog] Exported ${exported} entries to ${outputPath}`);
+        return { path: outputPath, format, entries: exported };
+    }
+
+    // Walks the live chain in sequence order, starting from the archive
+    // anchor when entries have been archived; options.archives also re-checks
+    // the archive files. head is the last entry's hash: keep it somewhere else
+    // to also detect entries cut off the end.
+    async verify(options = {}) {
+        await this.pending;
+
+        const anchor = this.archive ? this.archive.anchor() : null;
+        const problems = [];
+        let problemCount = 0;
+        let expectedPrev = anchor ? anchor.hash : GENESIS_HASH;
+        let checked = 0;
+        let last = null;
+        let after = anchor ? anchor.seq : null;
+
+        const report = (entry, problem) => {
+            problemCount++;
+            if (problems.length < MAX_REPORTED_PROBLEMS) problems.push({ seq: entry.seq, id: entry.id, problem });
+        };
+
+        while (true) {
+            const { entries } = await this.storage.getAuditEntries({ filters: {}, order: 'asc', after, limit: VERIFY_PAGE_SIZE });
+            if (entries.length === 0) break;
+
+            for (const entry of entries) {
+                checked++;
+                if (entry.prev_hash !== expectedPrev) report(entry, 'broken_link');
+                if (hashAuditEntry(entry) !== entry.entry_hash) report(entry, 'hash_mismatch');
+
+                expectedPrev = entry.entry_hash;
+                last = entry;
+            }
+            after = last.seq;
+        }
+
+        console.log(`[AuditLog] Verified ${checked} entries: ${problemCount} problems`);
+        const result = {
+            ok: problemCount === 0,
+            checked,
+            anchor,
+            head: last ? { seq: last.seq, id: last.id, hash: last.entry_hash } : null,
+            problemCount,
+            problems
+        };
+
+        if (options.archives) {
+            if (!this.archive) {
+                throw new Error('Audit archiving is not configured');
+            }
+            result.archives = await this.archive.verify();
+            result.ok = result.ok && result.archives.ok;
+        }
+        return result;
+    }
+}
+
+AuditLog.GENESIS_HASH = GENESIS_HASH;
+AuditLog.hashEntry = hashAuditEntry;
+AuditLog.EXPORT_FORMATS = EXPORT_FORMATS;
+
+module.exports = AuditLog;
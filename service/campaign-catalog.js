@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../mock_data/ad_server_config.json');
+
+// Index of the campaigns and banners in ad_server_config.json, used to check
+// that a list only targets its own advertiser's creatives and to expand
+// campaign targets into the banners Falcon has to exclude.
+class CampaignCatalog {
+    constructor(config = { advertisers: [] }) {
+        this.campaigns = new Map(); // campaignId -> { advertiserId, bannerIds }
+        this.banners = new Map();   // bannerId -> { advertiserId, campaignId }
+
+        for (const advertiser of config.advertisers || []) {
+            for (const campaign of advertiser.campaigns || []) {
+                const bannerIds = (campaign.banners || []).map(banner => banner.id);
+                this.campaigns.set(campaign.id, { advertiserId: advertiser.id, bannerIds });
+
+                for (const bannerId of bannerIds) {
+                    this.banners.set(bannerId, { advertiserId: advertiser.id, campaignId: campaign.id });
+                }
+            }
+        }
+    }
+
+    static load(configPath = DEFAULT_CONFIG_PATH) {
+        return new CampaignCatalog(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+    }
+
+    // Throws unless every id exists and belongs to advertiserId
+    validateTargets(advertiserId, { campaign_ids = [], banner_ids = [] } = {}) {
+        for (const [ids, index, kind] of [[campaign_ids, this.campaigns, 'campaign'], [banner_ids, this.banners, 'banner']]) {
+            for (const id of ids) {
+                const entry = index.get(id);
+                if (!entry) {
+                    throw new Error(`Unknown ${kind}: ${id}`);
+                }
+                if (entry.advertiserId !== advertiserId) {
+                    throw new Error(`${kind} ${id} does not belong to advertiser ${advertiserId}`);
+                }
+            }
+        }
+    }
+
+    // Banner ids covered by a set of campaign and banner targets
+    resolveBanners({ campaign_ids = [], banner_ids = [] } = {}) {
+        const bannerIds = new Set(banner_ids);
+
+        for (const campaignId of campaign_ids) {
+            const campaign = this.campaigns.get(campaignId);
+            if (campaign) campaign.bannerIds.forEach(bannerId => bannerIds.add(bannerId));
+        }
+        return bannerIds;
+    }
+}
+
+module.exports = CampaignCatalog;
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const Keyring = require('./keyring');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12; // recommended nonce size for GCM
+const ENVELOPE_PREFIX = 'enc:v1';
+const AAD = Buffer.from('suppression-list');
+
+// AES-256-GCM encryption of identifiers. Ciphertexts are self-describing
+// envelopes that carry the id of the key they were sealed with:
+//   enc:v1:<keyId>:<iv>:<authTag>:<data>   (base64url parts)
+// so values encrypted under different keys can live side by side while keys
+// are rotated. There is no fallback key: without a keyring, encryption throws.
+class EncryptionService {
+    constructor(options = {}) {
+        this.algorithm = ALGORITHM;
+        this.keyring = options.keyring || null;
+        this.keyringPath = options.keyringPath || Keyring.DEFAULT_PATH;
+        this.hasher = options.hasher || null; // optional KeyedHasher
+    }
+
+    // The keyring file is only read the first time a key is needed, so the
+    // one-way hashing below works without one
+    getKeyring() {
+        if (!this.keyring) {
+            this.keyring = Keyring.load(this.keyringPath);
+        }
+        return this.keyring;
+    }
+
+    // One-way hash for privacy compliance; keyed per advertiser when a hasher
+    // is configured, plain SHA-256 otherwise
+    hashIdentifier(identifier, advertiserId) {
+        if (this.hasher && advertiserId) {
+            return this.hasher.hash(advertiserId, identifier);
+        }
+        return crypto.createHash('sha256').update(identifier).digest('hex');
+    }
+
+    static isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(`${ENVELOPE_PREFIX}:`);
+    }
+
+    isEncrypted(value) {
+        return EncryptionService.isEncrypted(value);
+    }
+
+    keyIdOf(envelope) {
+        return this.parseEnvelope(envelope).keyId;
+    }
+
+    // Plaintext values and values sealed with an older key need re-encrypting
+    needsRotation(value) {
+        return !this.isEncrypted(value) || this.keyIdOf(value) !== this.getKeyring().activeKeyId;
+    }
+
+    encryptIdentifier(identifier) {
+        const { keyId, key } = this.getKeyring().getActiveKey();
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(this.algorithm, key, iv);
+        cipher.setAAD(AAD);
+
+        const data = Buffer.concat([cipher.update(identifier, 'utf8'), cipher.final()]);
+        const authTag = cipher.getAuthTag();
+
+        return [ENVELOPE_PREFIX, keyId, iv.toString('base64url'), authTag.toString('base64url'), data.toString('base64url')].join(':');
+    }
+
+    decryptIdentifier(envelope) {
+        const { keyId, iv, authTag, data } = this.parseEnvelope(envelope);
+        const key = this.getKeyring().getKey(keyId);
+
+        try {
+            const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
+            decipher.setAAD(AAD);
+            decipher.setAuthTag(authTag);
+
+            return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw new Error('Failed to decrypt identifier');
+        }
+    }
+
+    // Re-encrypts under the active key; returns null if nothing needs doing
+    rotateIdentifier(value) {
+        if (!this.needsRotation(value)) return null;
+
+        const plaintext = this.isEncrypted(value) ? this.decryptIdentifier(value) : value;
+        return this.encryptIdentifier(plaintext);
+    }
+
+    parseEnvelope(envelope) {
+        const parts = typeof envelope === 'string' ? envelope.split(':') : [];
+        if (parts.length !== 6 || `${parts[0]}:${parts[1]}` !== ENVELOPE_PREFIX) {
+            throw new Error('Invalid encrypted identifier');
+        }
+
+        const [, , keyId, iv, authTag, data] = parts;
+        return {
+            keyId,
+            iv: Buffer.from(iv, 'base64url'),
+            authTag: Buffer.from(authTag, 'base64url'),
+            data: Buffer.from(data, 'base64url')
+        };
+    }
+}
+
+module.exports = EncryptionService;
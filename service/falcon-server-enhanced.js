@@ -1,19 +1,28 @@
 const { FalconServer, FalconRequest, SuppressionCheckResult } = require('../falcon_server');
 const SuppressionListManager = require('./suppression-list-manager');
+const CampaignCatalog = require('./campaign-catalog');
+const { validateReportFormat, formatSubjectReport } = require('./subject-report');
 const { performance } = require('perf_hooks');
 
 class EnhancedFalconServer extends FalconServer {
+    // options.cache: false disables result caching; options.decisionLogSize keeps
+    // the last N suppression decisions for subject access reports (0 = off)
     constructor(adServer, suppressionManager, options = {}) {
         super(adServer);
         
         this.config = {
             cacheEnabled: options.cache !== false,
+            decisionLogSize: 0,
             ...options
         };
         
         // 2. ASSIGN the manager directly. It's already initialized!
         this.suppressionManager = suppressionManager;
+        // Expands campaign-scoped lists into the banners this ad server knows about
+        this.campaignCatalog = new CampaignCatalog(adServer.config);
         this.cache = new Map();
+        // Decisions are logged against identifier hashes, never raw values
+        this.decisionLog = [];
         this.cacheHits = 0;
         this.cacheMisses = 0;
         this.stats = {
@@ -111,6 +120,8 @@ class EnhancedFalconServer extends FalconServer {
         await this.ensureInitialized();
         const startTime = performance.now();
         const suppressedAdvertisers = new Set();
+        const suppressedCampaigns = new Set();
+        const suppressedBanners = new Set();
         const details = [];
         let listsChecked = 0;
 
@@ -122,11 +133,13 @@ class EnhancedFalconServer extends FalconServer {
             this.cacheHits++;
             const cachedResult = this.cache.get(cacheKey);
             details.push('Result served from cache');
+            this.logDecision(userIdentifiers, cachedResult.suppressedAdvertisers, cachedResult.suppressedBanners, true);
             return new SuppressionCheckResult(
                 new Set(cachedResult.suppressedAdvertisers),
                 cachedResult.listsChecked,
                 performance.now() - startTime,
-                [...details, ...cachedResult.details]
+                [...details, ...cachedResult.details],
+                new Set(cachedResult.suppressedBanners)
             );
         }
         this.cacheMisses++;
@@ -143,13 +156,21 @@ class EnhancedFalconServer extends FalconServer {
                     advertisers.suppressed.forEach(adv => suppressedAdvertisers.add(adv));
                     details.push(`${identifierType} matched ${advertisers.suppressed.size} advertisers`);
                 }
+                advertisers.suppressedCampaigns.forEach(campaignId => suppressedCampaigns.add(campaignId));
+                advertisers.suppressedBanners.forEach(bannerId => suppressedBanners.add(bannerId));
             } catch (error) {
                 console.warn(`[EnhancedFalconServer] Error checking ${identifierType}:`, error.message);
                 details.push(`Error checking ${identifierType}: ${error.message}`);
             }
         }
 
+        this.campaignCatalog.resolveBanners({ campaign_ids: suppressedCampaigns }).forEach(bannerId => suppressedBanners.add(bannerId));
+        if (suppressedBanners.size > 0) {
+            details.push(`${suppressedBanners.size} banners suppressed by campaign/banner-scoped lists`);
+        }
+
         const processingTime = performance.now() - startTime;
+        this.logDecision(userIdentifiers, suppressedAdvertisers, suppressedBanners, false);
 
         // Update stats
         this.stats.totalRequests++;
@@ -158,9 +179,10 @@ class EnhancedFalconServer extends FalconServer {
             (this.stats.averageLookupTime * (this.stats.totalRequests - 1) + processingTime) / this.stats.totalRequests;
 
         // Cache result
-        if (this.config.cacheEnabled && suppressedAdvertisers.size > 0) {
+        if (this.config.cacheEnabled && (suppressedAdvertisers.size > 0 || suppressedBanners.size > 0)) {
             this.cache.set(cacheKey, {
                 suppressedAdvertisers: Array.from(suppressedAdvertisers),
+                suppressedBanners: Array.from(suppressedBanners),
                 listsChecked,
                 details: [...details],
                 timestamp: Date.now()
@@ -176,29 +198,144 @@ class EnhancedFalconServer extends FalconServer {
             suppressedAdvertisers,
             listsChecked,
             processingTime,
-            details
+            details,
+            suppressedBanners
         );
     }
 
     async findAdvertisersForIdentifier(identifier, identifierType) {
-        if (!this.initialized || !this.suppressionManager || !this.suppressionManager.db) {
+        if (!this.initialized || !this.suppressionManager) {
             throw new Error('Suppression manager not initialized');
         }
 
-        const results = await this.suppressionManager.db.all(`
-            SELECT DISTINCT si.advertiser_id, sl.name as list_name
-            FROM suppression_identifiers si
-            JOIN suppression_lists sl ON si.list_id = sl.id
-            WHERE si.identifier = ? AND si.identifier_type = ? AND sl.is_active = 1
-        `, [identifier, identifierType]);
+        return await this.suppressionManager.findAdvertisersForIdentifier(identifier, identifierType);
+    }
+
+    // Support view of a suppression decision: the manager's per-advertiser
+    // explanation plus whether a cached result overrides what the lists say now
+    async explainSuppression(userIdentifiers) {
+        await this.ensureInitialized();
+
+        const explanation = await this.suppressionManager.explainSuppression(userIdentifiers);
+        const cached = this.config.cacheEnabled ? this.cache.get(this.generateCacheKey(userIdentifiers)) : undefined;
+
+        explanation.cache = {
+            enabled: this.config.cacheEnabled,
+            hit: !!cached,
+            cachedAt: cached ? new Date(cached.timestamp).toISOString() : null
+        };
+        if (!cached) return explanation;
+
+        // Cached results are served until they expire, even after lists change
+        const cachedAdvertisers = new Set(cached.suppressedAdvertisers);
+        for (const advertiserId of cachedAdvertisers) {
+            if (!explanation.advertisers.some(entry => entry.advertiserId === advertiserId)) {
+                explanation.advertisers.push({
+                    advertiserId, suppressed: false, suppressedCampaigns: [], suppressedBanners: [], matches: [], effects: []
+                });
+            }
+        }
+
+        for (const entry of explanation.advertisers) {
+            if (cachedAdvertisers.has(entry.advertiserId) === entry.suppressed) continue;
+
+            entry.suppressed = cachedAdvertisers.has(entry.advertiserId);
+            entry.effects.push({
+                source: 'cache',
+                detail: `Result cached at ${explanation.cache.cachedAt} ${entry.suppressed ? 'still suppresses' : 'does not suppress'} this advertiser`
+            });
+        }
+
+        return explanation;
+    }
+
+    // Right-to-erasure: the manager's receipt plus the cached decisions dropped
+    // for the subject, since a cache key holds the identifiers it was built from
+    async eraseSubject(identifiers) {
+        await this.ensureInitialized();
+
+        const receipt = await this.suppressionManager.eraseSubject(identifiers);
+        const erased = new Set(this.subjectKeys(identifiers));
+        let entriesPurged = 0;
 
+        for (const cacheKey of Array.from(this.cache.keys())) {
+            if (this.cacheKeyIdentifiers(cacheKey).some(key => erased.has(key))) {
+                this.cache.delete(cacheKey);
+                entriesPurged++;
+            }
+        }
+
+        const logged = this.decisionLog.length;
+        this.decisionLog = this.decisionLog.filter(decision => !decision.subjectKeys.some(key => erased.has(key)));
+
+        console.log(`[EnhancedFalconServer] Purged ${entriesPurged} cached results for erasure ${receipt.receiptId}`);
         return {
-            suppressed: new Set(results.map(row => row.advertiser_id)),
-            listsChecked: results.length,
-            details: results.map(row => `Found in list: ${row.list_name}`)
+            ...receipt,
+            cache: { enabled: this.config.cacheEnabled, entriesPurged },
+            decisionLog: { enabled: this.config.decisionLogSize > 0, entriesPurged: logged - this.decisionLog.length }
         };
     }
 
+    // The manager's subject access report plus this server's logged decisions
+    // for the subject, newest first (null when decision logging is off)
+    async getSubjectReport(identifiers, options = {}) {
+        await this.ensureInitialized();
+
+        const format = validateReportFormat(options.format || 'json');
+        const report = await this.suppressionManager.getSubjectReport(identifiers);
+
+        if (this.config.decisionLogSize > 0) {
+            const subject = new Set(this.subjectKeys(identifiers));
+            report.decisions = this.decisionLog
+                .filter(decision => decision.subjectKeys.some(key => subject.has(key)))
+                .reverse()
+                .map(({ subjectKeys, ...decision }) => decision);
+        }
+
+        return format === 'text' ? formatSubjectReport(report) : report;
+    }
+
+    logDecision(userIdentifiers, suppressedAdvertisers, suppressedBanners, fromCache) {
+        if (!(this.config.decisionLogSize > 0)) return;
+
+        this.decisionLog.push({
+            decidedAt: new Date().toISOString(),
+            subjectKeys: this.subjectKeys(userIdentifiers),
+            suppressedAdvertisers: Array.from(suppressedAdvertisers),
+            suppressedBanners: Array.from(suppressedBanners),
+            fromCache
+        });
+        if (this.decisionLog.length > this.config.decisionLogSize) {
+            this.decisionLog.splice(0, this.decisionLog.length - this.config.decisionLogSize);
+        }
+    }
+
+    // 'type:hash' for each identifier the manager knows how to hash
+    subjectKeys(userIdentifiers) {
+        const keys = [];
+
+        for (const [identifierType, identifier] of Object.entries(userIdentifiers)) {
+            try {
+                const [key] = this.suppressionManager.subjectKeys({ [identifierType]: identifier });
+                if (key) keys.push(`${key.identifierType}:${key.hash}`);
+            } catch (error) {
+                // Identifier types the manager does not know never match a list either
+            }
+        }
+        return keys;
+    }
+
+    // Inverse of generateCacheKey, as subject keys
+    cacheKeyIdentifiers(cacheKey) {
+        const identifiers = {};
+
+        for (const part of cacheKey.split('|')) {
+            const separator = part.indexOf(':');
+            identifiers[part.slice(0, separator)] = part.slice(separator + 1);
+        }
+        return this.subjectKeys(identifiers);
+    }
+
     generateCacheKey(userIdentifiers) {
         const sortedEntries = Object.entries(userIdentifiers)
             .filter(([_, value]) => value)
@@ -234,6 +371,17 @@ class EnhancedFalconServer extends FalconServer {
         };
     }
 
+    // The ad server cannot exclude individual banners, so when it picks one that a
+    // scoped list suppresses Falcon re-runs the weighted pick over what is left
+    selectUnsuppressedBanner(adRequest, suppressionResult) {
+        const candidates = (this.adServer.placementBannerCache[adRequest.placementId] || [])
+            .filter(banner => !suppressionResult.suppressedBanners.has(banner.id))
+            .filter(banner => !suppressionResult.suppressedAdvertisers.has(banner.advertiserId))
+            .filter(banner => this.adServer.checkTargetingRules(banner, adRequest)[0]);
+
+        return this.adServer.selectBannerWeighted(candidates);
+    }
+
     async serveAdWithSuppression(falconRequest) {
         await this.ensureInitialized();
         
@@ -268,6 +416,19 @@ class EnhancedFalconServer extends FalconServer {
                 adResponse.creativeUrl = null;
                 adResponse.landingPage = null;
                 adResponse.reason = `Advertiser ${adResponse.advertiserId} suppressed by Falcon`;
+            } else if (adResponse.served && suppressionResult.suppressedBanners.has(adResponse.bannerId)) {
+                // Only this creative is suppressed; the advertiser's other banners stay eligible
+                const suppressedBannerId = adResponse.bannerId;
+                const replacement = this.selectUnsuppressedBanner(adRequest, suppressionResult);
+
+                adResponse.served = !!replacement;
+                adResponse.bannerId = replacement ? replacement.id : null;
+                adResponse.advertiserId = replacement ? replacement.advertiserId : adResponse.advertiserId;
+                adResponse.creativeUrl = replacement ? replacement.creativeUrl : null;
+                adResponse.landingPage = replacement ? replacement.landingPage : null;
+                adResponse.reason = replacement
+                    ? `Banner ${suppressedBannerId} suppressed by Falcon, served ${replacement.id}`
+                    : `Banner ${suppressedBannerId} suppressed by Falcon`;
             }
             
             return [adResponse, suppressionResult];
@@ -0,0 +1,32 @@
+// Flight windows: optional effective_from/effective_until bounds on when a list
+// serves. Both are ISO timestamps; NULL leaves that side open.
+
+// 'upcoming', 'live' or 'ended' for a list at asOf
+function flightStatus(list, asOf = new Date().toISOString()) {
+    if (list.effective_from && list.effective_from > asOf) return 'upcoming';
+    if (list.effective_until && list.effective_until <= asOf) return 'ended';
+    return 'live';
+}
+
+// Validates an optional window and returns it as ISO strings (or null)
+function normalizeFlightWindow(effectiveFrom, effectiveUntil) {
+    const toIso = (value, field) => {
+        if (value === null || value === undefined || value === '') return null;
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid ${field}: ${value}`);
+        }
+        return date.toISOString();
+    };
+
+    const effective_from = toIso(effectiveFrom, 'effective_from');
+    const effective_until = toIso(effectiveUntil, 'effective_until');
+
+    if (effective_from && effective_until && effective_from >= effective_until) {
+        throw new Error('effective_from must be before effective_until');
+    }
+    return { effective_from, effective_until };
+}
+
+module.exports = { flightStatus, normalizeFlightWindow };
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const net = require('net');
+
+const UUID_PATTERN = /^[a-f0-9]{8}-([a-f0-9]{4}-){3}[a-f0-9]{12}$/i;
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// RFC 5952 text form of a valid IPv6 address: lowercase hex without leading
+// zeros, the longest run (first on a tie) of two or more zero groups as '::',
+// and IPv4-mapped addresses in dotted form (::ffff:192.0.2.1)
+function canonicalIPv6(value) {
+    const [address, zone] = value.trim().toLowerCase().split('%');
+    const [head, tail = null] = address.split('::');
+    const toGroups = part => {
+        if (!part) return [];
+        const groups = part.split(':');
+        const last = groups[groups.length - 1];
+        if (last.includes('.')) {
+            const octets = last.split('.').map(octet => parseInt(octet, 10));
+            groups.splice(-1, 1, ((octets[0] << 8) | octets[1]).toString(16), ((octets[2] << 8) | octets[3]).toString(16));
+        }
+        return groups.map(group => parseInt(group, 16));
+    };
+
+    const headGroups = toGroups(head);
+    const tailGroups = toGroups(tail);
+    const groups = tail === null
+        ? headGroups
+        : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+
+    const suffix = zone ? `%${zone}` : '';
+    if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+        return `::ffff:${groups[6] >> 8}.${groups[6] & 0xff}.${groups[7] >> 8}.${groups[7] & 0xff}${suffix}`;
+    }
+
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let start = 0; start < 8; start++) {
+        let length = 0;
+        while (start + length < 8 && groups[start + length] === 0) length++;
+        if (length > bestLength) {
+            bestStart = start;
+            bestLength = length;
+        }
+    }
+
+    const hex = list => list.map(group => group.toString(16)).join(':');
+    const text = bestStart === -1
+        ? hex(groups)
+        : `${hex(groups.slice(0, bestStart))}::${hex(groups.slice(bestStart + bestLength))}`;
+    return text + suffix;
+}
+
+// Built-in identifier types. Each one defines:
+//   validate(value, { strict }) -> true if the value is acceptable for this type;
+//                                  strict is the production rule set, lenient
+//                                  also accepts the looser sample/test formats
+//   normalize(value) -> canonical form used for deduplication and matching
+//   hash(value)      -> storage/lookup key (defaults to SHA-256 of the value)
+const BUILT_IN_TYPES = {
+    email_hash: {
+        description: 'Hashed email address',
+        validate(value, { strict }) {
+            if (strict) return SHA256_PATTERN.test(value);
+
+            // Allow both raw emails (for testing) and proper hashes
+            if (/^[^@]+@[^@]+\.[^@]+$/.test(value)) {
+                console.warn(`[IdentifierTypes] Warning: Using raw email as email_hash. In production, this should be hashed.`);
+                return true;
+            }
+            // Proper hash format (50-70 char hex/alpha-numeric)
+            return /^[a-z0-9]{50,70}$/i.test(value);
+        },
+        normalize: value => value.trim().toLowerCase()
+    },
+    device_id: {
+        description: 'Device identifier (UUID or iosdevice-* format)',
+        validate(value, { strict }) {
+            if (strict) return UUID_PATTERN.test(value);
+
+            return /^[a-f0-9-]+$/i.test(value) ||
+                /^iosdevice-[a-f0-9-]+$/i.test(value) ||
+                UUID_PATTERN.test(value);
+        },
+        normalize: value => value.trim().toLowerCase()
+    },
+    phone_hash: {
+        description: 'SHA-256 of an E.164 phone number',
+        validate: value => SHA256_PATTERN.test(value),
+        normalize: value => value.trim().toLowerCase()
+    },
+    ipv4: {
+        description: 'IPv4 address',
+        validate: value => net.isIPv4(value),
+        normalize: value => value.trim().split('.').map(octet => String(parseInt(octet, 10))).join('.')
+    },
+    ipv6: {
+        description: 'IPv6 address',
+        validate: value => net.isIPv6(value),
+        normalize: value => net.isIPv6(value.trim()) ? canonicalIPv6(value) : value.trim().toLowerCase()
+    },
+    idfa: {
+        description: 'Apple Identifier for Advertisers',
+        validate: value => UUID_PATTERN.test(value),
+        normalize: value => value.trim().toLowerCase()
+    },
+    gaid: {
+        description: 'Google Advertising ID',
+        validate: value => UUID_PATTERN.test(value),
+        normalize: value => value.trim().toLowerCase()
+    },
+    customer_id: {
+        description: 'First-party customer identifier',
+        validate: value => /^[A-Za-z0-9_.:@-]{1,128}$/.test(value),
+        normalize: value => value.trim()
+    }
+};
+
+class IdentifierTypeRegistry {
+    constructor(types = BUILT_IN_TYPES) {
+        this.types = new Map();
+
+        for (const [name, definition] of Object.entries(types)) {
+            this.register(name, definition);
+        }
+    }
+
+    register(name, definition) {
+        if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+            throw new Error(`Invalid identifier type name: ${name}`);
+        }
+        if (typeof definition.validate !== 'function') {
+            throw new Error(`Identifier type ${name} must define validate()`);
+        }
+
+        this.types.set(name, {
+            name,
+            description: definition.description || name,
+            validate: definition.validate,
+            normalize: definition.normalize || (value => value),
+            hash: definition.hash || sha256
+        });
+        return this;
+    }
+
+    has(name) {
+        return this.types.has(name);
+    }
+
+    get(name) {
+        const type = this.types.get(name);
+        if (!type) {
+            throw new Error(`Invalid identifier type: ${name}`);
+        }
+        return type;
+    }
+
+    list() {
+        return Array.from(this.types.values()).map(({ name, description }) => ({ name, description }));
+    }
+
+    validate(name, value, { strict = false } = {}) {
+        const type = this.get(name);
+
+        // The value stays out of the message: callers log it, and it may be personal data
+        if (typeof value !== 'string' || !type.validate(value, { strict })) {
+            throw new Error(`Invalid ${name} format`);
+        }
+    }
+
+    normalize(name, value) {
+        return this.get(name).normalize(value);
+    }
+
+    hash(name, value) {
+        return this.get(name).hash(value);
+    }
+}
+
+// Shared registry used by the manager and importer unless one is injected
+const identifierTypes = new IdentifierTypeRegistry();
+
+module.exports = { IdentifierTypeRegistry, identifierTypes, sha256 };
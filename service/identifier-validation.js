@@ -0,0 +1,69 @@
+const { identifierTypes } = require('./identifier-types');
+
+const MODES = ['strict', 'lenient'];
+
+// Production databases should only accept canonical formats; everything else
+// (local runs, tests, the sample data) defaults to lenient.
+const DEFAULT_MODE = process.env.IDENTIFIER_VALIDATION_MODE ||
+    (process.env.NODE_ENV === 'production' ? 'strict' : 'lenient');
+
+// The one place identifiers are normalized, validated and hashed. The manager
+// uses it when writing lists and when looking users up, and the importer uses
+// it for CSV rows, so every path agrees on what a valid identifier is and on
+// the key it is stored under.
+class IdentifierValidator {
+    constructor(options = {}) {
+        const { registry = identifierTypes, mode = DEFAULT_MODE } = options;
+
+        if (!MODES.includes(mode)) {
+            throw new Error(`Invalid validation mode: ${mode}. Expected one of ${MODES.join(', ')}`);
+        }
+
+        this.registry = registry;
+        this.mode = mode;
+    }
+
+    get strict() {
+        return this.mode === 'strict';
+    }
+
+    normalize(identifierType, identifier) {
+        if (typeof identifier !== 'string') {
+            throw new Error(`Invalid ${identifierType} format`);
+        }
+        return this.registry.normalize(identifierType, identifier);
+    }
+
+    // Validates the normalized form and returns it
+    validate(identifierType, identifier) {
+        const normalized = this.normalize(identifierType, identifier);
+        this.registry.validate(identifierType, normalized, { strict: this.strict });
+        return normalized;
+    }
+
+    isValid(identifierType, identifier) {
+        try {
+            this.validate(identifierType, identifier);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Lookup key for an identifier; lookups normalize but never reject
+    hash(identifierType, identifier) {
+        return this.registry.hash(identifierType, this.normalize(identifierType, identifier));
+    }
+
+    // Validated, normalized member ready for storage
+    prepare(identifierType, identifier) {
+        const normalized = this.validate(identifierType, identifier);
+
+        return {
+            identifier_hash: this.registry.hash(identifierType, normalized),
+            identifier: normalized
+        };
+    }
+}
+
+module.exports = IdentifierValidator;
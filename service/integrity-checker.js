@@ -0,0 +1,185 @@
+// ISO 8601 as written by toISOString(); trash, flight window and retention
+// checks compare timestamps as strings, so other formats sort wrongly
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+const REQUIRED_LIST_TIMESTAMPS = ['created_at', 'submitted_at', 'last_updated'];
+const OPTIONAL_LIST_TIMESTAMPS = ['deleted_at', 'effective_from', 'effective_until'];
+const PAGE_SIZE = 1000;
+const MAX_REPORTED_ISSUES = 1000;
+
+const CATEGORIES = [
+    'orphanedRows',
+    'typeMismatches',
+    'hashMismatches',
+    'validationFailures',
+    'decryptionFailures',
+    'unknownIdentifierTypes',
+    'sizeMismatches',
+    'invalidTimestamps'
+];
+
+function isValidTimestamp(value) {
+    return typeof value === 'string' && ISO_TIMESTAMP_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Scans a suppression store for data the manager would not write itself:
+// orphaned rows, members whose type, hash or format disagrees with their list,
+// drifted sizes and malformed timestamps. Identifiers are reported by hash only.
+// With repair, everything but undecryptable values, unknown types and
+// timestamps is fixed; bad members are removed (or re-added under their
+// correct hash) as a 'repair' version so the change shows up in list history.
+class IntegrityChecker {
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    async verify(options = {}) {
+        const { repair = false } = options;
+        const storage = this.manager.storage;
+        const counts = Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+        const issues = Object.fromEntries(CATEGORIES.map(category => [category, []]));
+        const repairs = repair ? Object.fromEntries(CATEGORIES.map(category => [category, 0])) : null;
+
+        const record = (category, issue) => {
+            counts[category]++;
+            if (issues[category].length < MAX_REPORTED_ISSUES) issues[category].push(issue);
+        };
+
+        for (const row of await storage.findOrphans()) {
+            record('orphanedRows', { table: row.table, listId: row.list_id, rows: row.rows });
+        }
+        if (repair && counts.orphanedRows > 0) {
+            repairs.orphanedRows = await storage.deleteOrphans();
+        }
+
+        for (const row of await storage.findTypeMismatches()) {
+            record('typeMismatches', {
+                listId: row.list_id,
+                identifierHash: row.identifier_hash,
+                identifierType: row.identifier_type,
+                listIdentifierType: row.list_identifier_type
+            });
+        }
+        if (repair && counts.typeMismatches > 0) {
+            repairs.typeMismatches = await storage.fixTypeMismatches();
+        }
+
+        // Sizes are reported as found; member repairs below recompute them anyway
+        for (const row of await storage.reconcileSizes({ dryRun: true })) {
+            record('sizeMismatches', { listId: row.list_id, storedSize: row.stored_size, actualSize: row.actual_size });
+        }
+
+        const lists = [...await storage.listLists(), ...await storage.listLists({ trashed: true })];
+        let identifiers = 0;
+
+        for (const list of lists) {
+            this.checkTimestamps(list, await storage.getListVersions(list.id), record);
+
+            if (!this.manager.identifierTypes.has(list.identifier_type)) {
+                record('unknownIdentifierTypes', { listId: list.id, identifierType: list.identifier_type });
+                continue;
+            }
+
+            const remove = [];
+            const add = [];
+            let after = null;
+
+            while (true) {
+                const page = await storage.getMembersPage(list.id, { after, limit: PAGE_SIZE });
+                if (page.length === 0) break;
+
+                for (const member of page) {
+                    identifiers++;
+                    const problem = this.checkMember(list, member);
+                    if (!problem) continue;
+
+                    record(problem.category, { listId: list.id, identifierHash: member.identifier_hash, ...problem.details });
+                    if (problem.category === 'decryptionFailures') continue;
+                    remove.push(member);
+                    if (problem.replacement) add.push(problem.replacement);
+                }
+                after = page[page.length - 1].identifier_hash;
+            }
+
+            if (repair && remove.length > 0) {
+                const result = await storage.repairMembers(list.id, { remove, add });
+                repairs.hashMismatches += add.length;
+                repairs.validationFailures += remove.length - add.length;
+                console.log(`[IntegrityChecker] Repaired list ${list.id} (+${result.added}/-${result.removed})`);
+            }
+        }
+
+        if (repair) {
+            repairs.sizeMismatches = (await storage.reconcileSizes()).length;
+        }
+
+        const totalIssues = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        console.log(`[IntegrityChecker] Checked ${lists.length} lists and ${identifiers} identifiers: ${totalIssues} issues`);
+
+        return {
+            checkedAt: new Date().toISOString(),
+            validationMode: this.manager.validator.mode,
+            repair,
+            ok: totalIssues === 0,
+            summary: { lists: lists.length, identifiers, issues: counts },
+            issues,
+            repairs
+        };
+    }
+
+    // Returns null for a healthy member, otherwise the issue category and,
+    // for hash mismatches, the member as it should have been stored
+    checkMember(list, member) {
+        const identifierType = list.identifier_type;
+        const validator = this.manager.validator;
+        let identifier;
+        let normalized;
+
+        // Never repaired: the value is fine, the key is missing or wrong
+        try {
+            identifier = this.manager.revealIdentifier(member.identifier);
+        } catch (error) {
+            return { category: 'decryptionFailures', details: { error: error.message } };
+        }
+
+        try {
+            normalized = validator.validate(identifierType, identifier);
+        } catch (error) {
+            return { category: 'validationFailures', details: { error: error.message } };
+        }
+
+        // Keyed per advertiser when the manager has a KeyedHasher, so enabling
+        // keyed hashing and repairing re-hashes existing lists
+        const expectedHash = this.manager.hashMember(list.advertiser_id, identifierType, normalized);
+        if (expectedHash !== member.identifier_hash) {
+            return {
+                category: 'hashMismatches',
+                details: { expectedHash },
+                replacement: { identifier_hash: expectedHash, identifier: this.manager.protectIdentifier(normalized) }
+            };
+        }
+        return null;
+    }
+
+    checkTimestamps(list, versions, record) {
+        for (const field of [...REQUIRED_LIST_TIMESTAMPS, ...OPTIONAL_LIST_TIMESTAMPS]) {
+            const value = list[field];
+            if (value === null && OPTIONAL_LIST_TIMESTAMPS.includes(field)) continue;
+            if (!isValidTimestamp(value)) {
+                record('invalidTimestamps', { listId: list.id, field, value: value ?? null });
+            }
+        }
+
+        if (isValidTimestamp(list.effective_from) && isValidTimestamp(list.effective_until) &&
+            Date.parse(list.effective_from) >= Date.parse(list.effective_until)) {
+            record('invalidTimestamps', { listId: list.id, field: 'effective_until', value: list.effective_until, error: 'Not after effective_from' });
+        }
+
+        for (const version of versions) {
+            if (!isValidTimestamp(version.created_at)) {
+                record('invalidTimestamps', { listId: list.id, field: 'created_at', version: version.version, value: version.created_at ?? null });
+            }
+        }
+    }
+}
+
+module.exports = IntegrityChecker;
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HASHING_KEY_PATH = process.env.SUPPRESSION_HASHING_KEY || path.join(__dirname, '../data/hashing-key.json');
+const MIN_SECRET_LENGTH = 32;
+
+// Keyed (HMAC-SHA256) hashing per tenant. Each tenant gets its own key derived
+// from one secret, so the same identifier hashes differently for different
+// tenants: stored hashes cannot be dictionary-attacked without the secret or
+// joined across tenants. A tenant is an advertiser unless the tenants map
+// groups advertisers together. Key file:
+//   { "secret": "<base64, 32+ bytes>", "tenants": { "adv_a": "acme", "adv_b": "acme" } }
+class KeyedHasher {
+    constructor({ secret, tenants = {} } = {}) {
+        const key = Buffer.isBuffer(secret) ? secret : Buffer.from(secret || '', 'base64');
+        if (key.length < MIN_SECRET_LENGTH) {
+            throw new Error(`Hashing secret must be at least ${MIN_SECRET_LENGTH} bytes`);
+        }
+
+        this.secret = key;
+        this.tenants = new Map(Object.entries(tenants));
+        this.tenantKeys = new Map();
+    }
+
+    static generate(options = {}) {
+        return new KeyedHasher({ ...options, secret: crypto.randomBytes(MIN_SECRET_LENGTH) });
+    }
+
+    static load(keyPath = DEFAULT_HASHING_KEY_PATH) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read hashing key ${keyPath}: ${error.message}`);
+        }
+        return new KeyedHasher(data);
+    }
+
+    save(keyPath = DEFAULT_HASHING_KEY_PATH) {
+        const data = { secret: this.secret.toString('base64'), tenants: Object.fromEntries(this.tenants) };
+
+        fs.writeFileSync(keyPath, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+        return this;
+    }
+
+    tenantOf(advertiserId) {
+        return this.tenants.get(advertiserId) || advertiserId;
+    }
+
+    keyFor(advertiserId) {
+        const tenant = this.tenantOf(advertiserId);
+        if (!this.tenantKeys.has(tenant)) {
+            this.tenantKeys.set(tenant, crypto.createHmac('sha256', this.secret).update(`tenant:${tenant}`).digest());
+        }
+        return this.tenantKeys.get(tenant);
+    }
+
+    hash(advertiserId, value) {
+        if (!advertiserId) {
+            throw new Error('Keyed hashing requires an advertiser id');
+        }
+        return crypto.createHmac('sha256', this.keyFor(advertiserId)).update(value).digest('hex');
+    }
+}
+
+KeyedHasher.DEFAULT_PATH = DEFAULT_HASHING_KEY_PATH;
+
+module.exports = KeyedHasher;
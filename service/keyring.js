@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_KEYRING_PATH = process.env.SUPPRESSION_KEYRING || path.join(__dirname, '../data/keyring.json');
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const KEY_LENGTH = 32; // AES-256
+
+// Local keyring file:
+//   { "activeKeyId": "k2", "keys": { "k1": "<base64 key>", "k2": "<base64 key>" } }
+// New values are encrypted with the active key; older keys stay in the file
+// so existing ciphertexts can be read until rotateKeys has re-encrypted them.
+class Keyring {
+    constructor({ activeKeyId = null, keys = {} } = {}) {
+        this.keys = new Map();
+
+        for (const [keyId, key] of Object.entries(keys)) {
+            this.setKey(keyId, Buffer.isBuffer(key) ? key : Buffer.from(key, 'base64'));
+        }
+
+        if (activeKeyId !== null && !this.keys.has(activeKeyId)) {
+            throw new Error(`Active key ${activeKeyId} is not in the keyring`);
+        }
+        this.activeKeyId = activeKeyId;
+    }
+
+    static load(keyringPath = DEFAULT_KEYRING_PATH) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(keyringPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read keyring ${keyringPath}: ${error.message}`);
+        }
+        return new Keyring(data);
+    }
+
+    save(keyringPath = DEFAULT_KEYRING_PATH) {
+        const keys = Object.fromEntries(Array.from(this.keys, ([keyId, key]) => [keyId, key.toString('base64')]));
+
+        fs.writeFileSync(keyringPath, JSON.stringify({ activeKeyId: this.activeKeyId, keys }, null, 2) + '\n', { mode: 0o600 });
+        return this;
+    }
+
+    setKey(keyId, key) {
+        if (!KEY_ID_PATTERN.test(keyId)) {
+            throw new Error(`Invalid key id: ${keyId}`);
+        }
+        if (key.length !== KEY_LENGTH) {
+            throw new Error(`Key ${keyId} must be ${KEY_LENGTH} bytes`);
+        }
+        this.keys.set(keyId, key);
+    }
+
+    // Adds a random key and makes it the active one; returns its id
+    generateKey(keyId = `k${Date.now()}`) {
+        if (this.keys.has(keyId)) {
+            throw new Error(`Key ${keyId} already exists`);
+        }
+
+        this.setKey(keyId, crypto.randomBytes(KEY_LENGTH));
+        this.activeKeyId = keyId;
+        return keyId;
+    }
+
+    getKey(keyId) {
+        const key = this.keys.get(keyId);
+        if (!key) {
+            throw new Error(`Unknown encryption key: ${keyId}`);
+        }
+        return key;
+    }
+
+    getActiveKey() {
+        if (this.activeKeyId === null) {
+            throw new Error('Keyring has no active key');
+        }
+        return { keyId: this.activeKeyId, key: this.getKey(this.activeKeyId) };
+    }
+}
+
+Keyring.DEFAULT_PATH = DEFAULT_KEYRING_PATH;
+
+module.exports = Keyring;
@@ -0,0 +1,40 @@
+const path = require('path');
+const SuppressionListManager = require('./suppression-list-manager');
+
+// Cleanup job: permanently deletes lists whose trash grace period has passed.
+// Usage: node service/purge-trash.js [dbPath] [--grace-days=N] [--dry-run]
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const graceArg = args.find(arg => arg.startsWith('--grace-days='));
+    const dbPath = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '../data/suppression_lists.db');
+
+    const options = {};
+    if (graceArg) {
+        options.trashGracePeriodDays = Number(graceArg.split('=')[1]);
+        if (!Number.isFinite(options.trashGracePeriodDays) || options.trashGracePeriodDays < 0) {
+            throw new Error(`Invalid grace period: ${graceArg}`);
+        }
+    }
+
+    const manager = new SuppressionListManager(dbPath, options);
+    await manager.initialize();
+
+    try {
+        if (dryRun) {
+            const now = new Date().toISOString();
+            const expired = (await manager.getTrashedLists()).filter(list => list.restorable_until < now);
+            console.log(JSON.stringify({ database: dbPath, dryRun: true, wouldPurge: expired.map(list => list.id) }, null, 2));
+        } else {
+            const result = await manager.purgeTrash();
+            console.log(JSON.stringify({ database: dbPath, ...result }, null, 2));
+        }
+    } finally {
+        await manager.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
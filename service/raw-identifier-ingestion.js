@@ -0,0 +1,129 @@
+const { sha256 } = require('./identifier-types');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const E164_DIGITS_PATTERN = /^[1-9]\d{7,14}$/;
+
+// Mailbox providers that ignore dots and +tags in the local part. Only applied
+// when providerRules is enabled, since partners hashing plain lower-cased
+// addresses would otherwise stop matching.
+const EMAIL_PROVIDER_RULES = {
+    'gmail.com': { removeDots: true, stripPlusTag: true },
+    'googlemail.com': { removeDots: true, stripPlusTag: true, domain: 'gmail.com' }
+};
+
+// Errors never echo the raw value, which is personal data
+function normalizeEmail(value, { providerRules = false } = {}) {
+    const email = String(value).trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+        throw new Error('Invalid email address');
+    }
+
+    if (!providerRules) return email;
+
+    const at = email.lastIndexOf('@');
+    let local = email.slice(0, at);
+    let domain = email.slice(at + 1);
+    const rules = EMAIL_PROVIDER_RULES[domain];
+    if (!rules) return email;
+
+    if (rules.stripPlusTag) local = local.split('+')[0];
+    if (rules.removeDots) local = local.replace(/\./g, '');
+    if (rules.domain) domain = rules.domain;
+
+    if (!local) {
+        throw new Error('Invalid email address');
+    }
+    return `${local}@${domain}`;
+}
+
+// Converts a phone number to E.164 (+<country code><number>). Numbers without
+// a + or 00 international prefix are read as national numbers in defaultCountryCode.
+function normalizePhone(value, { defaultCountryCode = '1' } = {}) {
+    const phone = String(value).trim()
+        .replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '')   // extensions are not part of the number
+        .replace(/\(0\)/, '');                       // "+44 (0)20 ..." trunk notation
+
+    if (!phone || /[^\d\s()+.\-/]/.test(phone) || phone.lastIndexOf('+') > 0) {
+        throw new Error('Invalid phone number');
+    }
+
+    let digits = phone.replace(/\D/g, '');
+
+    if (phone.startsWith('+')) {
+        // Already international
+    } else if (digits.startsWith('00')) {
+        digits = digits.slice(2);
+    } else {
+        const countryCode = String(defaultCountryCode).replace(/\D/g, '');
+        const national = digits.replace(/^0+/, '');  // drop the national trunk prefix
+
+        // NANP numbers are often written with their leading 1
+        digits = countryCode === '1' && national.length === 11 && national.startsWith('1')
+            ? national
+            : countryCode + national;
+    }
+
+    if (!E164_DIGITS_PATTERN.test(digits)) {
+        throw new Error('Invalid phone number');
+    }
+    return `+${digits}`;
+}
+
+// Raw identifier types accepted at ingestion time and the hashed type they are stored as
+const RAW_TYPES = {
+    email: { hashedType: 'email_hash', normalize: normalizeEmail },
+    phone: { hashedType: 'phone_hash', normalize: normalizePhone }
+};
+
+// Turns raw emails and phone numbers into the SHA-256 hashes stored in
+// email_hash/phone_hash lists. Raw values only exist for the duration of the
+// call; nothing here keeps or logs them.
+class RawIdentifierIngestion {
+    constructor(options = {}) {
+        this.options = {
+            providerRules: false,
+            defaultCountryCode: '1',
+            ...options
+        };
+    }
+
+    isRawType(identifierType) {
+        return Object.prototype.hasOwnProperty.call(RAW_TYPES, identifierType);
+    }
+
+    hashedTypeFor(identifierType) {
+        if (!this.isRawType(identifierType)) {
+            throw new Error(`Invalid raw identifier type: ${identifierType}`);
+        }
+        return RAW_TYPES[identifierType].hashedType;
+    }
+
+    normalize(identifierType, value, options = {}) {
+        this.hashedTypeFor(identifierType);
+        return RAW_TYPES[identifierType].normalize(value, { ...this.options, ...options });
+    }
+
+    hash(identifierType, value, options = {}) {
+        return sha256(this.normalize(identifierType, value, options));
+    }
+
+    // Returns list fields ready for createList: the hashed type and unique hashes
+    ingest(identifierType, values, options = {}) {
+        const hashes = new Set();
+
+        values.forEach((value, index) => {
+            try {
+                hashes.add(this.hash(identifierType, value, options));
+            } catch (error) {
+                throw new Error(`${error.message} at position ${index}`);
+            }
+        });
+
+        return {
+            identifier_type: this.hashedTypeFor(identifierType),
+            identifiers: Array.from(hashes)
+        };
+    }
+}
+
+module.exports = { RawIdentifierIngestion, normalizeEmail, normalizePhone };
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const SuppressionListManager = require('./suppression-list-manager');
+const EncryptionService = require('./encryption-service');
+const Keyring = require('./keyring');
+
+// Key rotation job: re-encrypts stored identifiers under the keyring's active key.
+// --new-key first adds a fresh key to the keyring file and makes it active,
+// creating the file (mode 0600) when there is none yet.
+// Usage: node service/rotate-keys.js [dbPath] [--keyring=path] [--new-key] [--batch-size=N]
+async function main() {
+    const args = process.argv.slice(2);
+    const newKey = args.includes('--new-key');
+    const keyringArg = args.find(arg => arg.startsWith('--keyring='));
+    const batchArg = args.find(arg => arg.startsWith('--batch-size='));
+    const dbPath = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '../data/suppression_lists.db');
+    const keyringPath = keyringArg ? keyringArg.slice('--keyring='.length) : Keyring.DEFAULT_PATH;
+
+    const options = {};
+    if (batchArg) {
+        options.batchSize = Number(batchArg.split('=')[1]);
+        if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+            throw new Error(`Invalid batch size: ${batchArg}`);
+        }
+    }
+
+    const keyring = newKey && !fs.existsSync(keyringPath) ? new Keyring() : Keyring.load(keyringPath);
+    if (newKey) {
+        const keyId = keyring.generateKey();
+        keyring.save(keyringPath);
+        console.log(`[rotate-keys] Added key ${keyId} to ${keyringPath}`);
+    }
+
+    const manager = new SuppressionListManager(dbPath, { encryption: new EncryptionService({ keyring }) });
+    await manager.initialize();
+
+    try {
+        const result = await manager.rotateKeys(options);
+        console.log(JSON.stringify({ database: dbPath, ...result }, null, 2));
+    } finally {
+        await manager.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
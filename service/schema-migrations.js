@@ -0,0 +1,574 @@
+const sqlite3 = require('sqlite3').verbose();
+const { open } = require('sqlite');
+const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
+
+const RENORMALIZE_BATCH_SIZE = 5000;
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+// Audit entry hash as of migration 11. A frozen copy: the migration must keep
+// producing the chain it produced when written, whatever audit-log.js does later.
+function hashAuditEntryV1(entry) {
+    return crypto.createHash('sha256').update(JSON.stringify([
+        entry.id,
+        entry.created_at,
+        entry.action,
+        entry.actor,
+        entry.advertiser_id,
+        entry.list_id,
+        JSON.stringify(entry.details),
+        entry.prev_hash
+    ])).digest('hex');
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Identifier normalization as of migration 5, frozen like hashAuditEntryV1:
+// the live registry in identifier-types.js has changed since (IPv6 is now
+// canonicalized), and the migration must keep producing what it produced
+// when written. Types registered later were not touched then and are not now.
+const lowercase = value => value.trim().toLowerCase();
+const NORMALIZERS_V1 = {
+    email_hash: lowercase,
+    device_id: lowercase,
+    phone_hash: lowercase,
+    ipv4: value => value.trim().split('.').map(octet => String(parseInt(octet, 10))).join('.'),
+    ipv6: lowercase,
+    idfa: lowercase,
+    gaid: lowercase,
+    customer_id: value => value.trim()
+};
+
+// RFC 5952 IPv6 form as of migration 13, frozen from identifier-types.js
+function canonicalIPv6V2(value) {
+    const [address, zone] = value.trim().toLowerCase().split('%');
+    const [head, tail = null] = address.split('::');
+    const toGroups = part => {
+        if (!part) return [];
+        const groups = part.split(':');
+        const last = groups[groups.length - 1];
+        if (last.includes('.')) {
+            const octets = last.split('.').map(octet => parseInt(octet, 10));
+            groups.splice(-1, 1, ((octets[0] << 8) | octets[1]).toString(16), ((octets[2] << 8) | octets[3]).toString(16));
+        }
+        return groups.map(group => parseInt(group, 16));
+    };
+
+    const headGroups = toGroups(head);
+    const tailGroups = toGroups(tail);
+    const groups = tail === null
+        ? headGroups
+        : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+
+    const suffix = zone ? `%${zone}` : '';
+    if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+        return `::ffff:${groups[6] >> 8}.${groups[6] & 0xff}.${groups[7] >> 8}.${groups[7] & 0xff}${suffix}`;
+    }
+
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let start = 0; start < 8; start++) {
+        let length = 0;
+        while (start + length < 8 && groups[start + length] === 0) length++;
+        if (length > bestLength) {
+            bestStart = start;
+            bestLength = length;
+        }
+    }
+
+    const hex = list => list.map(group => group.toString(16)).join(':');
+    const text = bestStart === -1
+        ? hex(groups)
+        : `${hex(groups.slice(0, bestStart))}::${hex(groups.slice(bestStart + bestLength))}`;
+    return text + suffix;
+}
+
+// Rewrites identifier/identifier_hash pairs in `table` to the form
+// normalizers give, hashed with SHA-256. Rows that collapse onto an existing
+// normalized row are dropped. With plainOnly, rows whose hash is not the
+// SHA-256 of their stored value (keyed hashes, encrypted values) are left
+// alone: a migration holds no keys, so verify:integrity --repair fixes those.
+async function renormalizeIdentifiers(db, table, typeSql, normalizers, { plainOnly = false } = {}) {
+    let lastRowId = 0;
+
+    while (true) {
+        const rows = await db.all(`
+            SELECT t.rowid AS row_id, t.identifier, t.identifier_hash, ${typeSql} AS identifier_type
+            FROM ${table} t
+            WHERE t.rowid > ?
+            ORDER BY t.rowid
+            LIMIT ?
+        `, [lastRowId, RENORMALIZE_BATCH_SIZE]);
+
+        if (rows.length === 0) break;
+        lastRowId = rows[rows.length - 1].row_id;
+
+        for (const row of rows) {
+            if (!Object.prototype.hasOwnProperty.call(normalizers, row.identifier_type)) continue;
+            if (plainOnly && sha256(row.identifier) !== row.identifier_hash) continue;
+
+            const identifier = normalizers[row.identifier_type](row.identifier);
+            const identifierHash = sha256(identifier);
+            if (identifier === row.identifier && identifierHash === row.identifier_hash) continue;
+
+            const result = await db.run(
+                `UPDATE OR IGNORE ${table} SET identifier = ?, identifier_hash = ? WHERE rowid = ?`,
+                [identifier, identifierHash, row.row_id]
+            );
+            if (result.changes === 0) {
+                await db.run(`DELETE FROM ${table} WHERE rowid = ?`, [row.row_id]);
+            }
+        }
+    }
+}
+
+// Schema changes for the suppression database, applied in version order.
+// Each migration runs in its own transaction together with its
+// schema_migrations row, so a failed upgrade leaves the database untouched.
+// Migrations must also tolerate databases created before this table existed.
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        async up(db) {
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS suppression_lists (
+                    id TEXT PRIMARY KEY,
+                    advertiser_id TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    description TEXT,
+                    identifier_type TEXT NOT NULL CHECK(identifier_type IN ('email_hash', 'device_id')),
+                    created_at DATETIME NOT NULL,
+                    submitted_at DATETIME NOT NULL,
+                    last_updated DATETIME NOT NULL,
+                    size INTEGER DEFAULT 0,
+                    is_active BOOLEAN DEFAULT 1
+                );
+
+                CREATE TABLE IF NOT EXISTS suppression_identifiers (
+                    identifier_hash TEXT PRIMARY KEY,
+                    identifier TEXT NOT NULL,
+                    identifier_type TEXT NOT NULL,
+                    list_id TEXT NOT NULL,
+                    advertiser_id TEXT NOT NULL,
+                    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (list_id) REFERENCES suppression_lists(id) ON DELETE CASCADE
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_identifier_lookup ON suppression_identifiers(identifier_hash, identifier_type);
+                CREATE INDEX IF NOT EXISTS idx_advertiser_lists ON suppression_lists(advertiser_id, identifier_type);
+                CREATE INDEX IF NOT EXISTS idx_list_identifiers ON suppression_identifiers(list_id);
+                CREATE INDEX IF NOT EXISTS idx_identifier_type ON suppression_identifiers(identifier_type, identifier_hash);
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'identifier_list_membership',
+        async up(db) {
+            const columns = await db.all('PRAGMA table_info(suppression_identifiers)');
+            const primaryKey = columns.filter(column => column.pk > 0).map(column => column.name);
+
+            // Already on the membership layout
+            if (primaryKey.length !== 1 || primaryKey[0] !== 'identifier_hash') return;
+
+            // One row per (list, identifier), so the same identifier can belong
+            // to any number of lists and advertisers
+            await db.exec(`
+                ALTER TABLE suppression_identifiers RENAME TO suppression_identifiers_legacy;
+
+                CREATE TABLE suppression_identifiers (
+                    list_id TEXT NOT NULL,
+                    identifier_hash TEXT NOT NULL,
+                    identifier TEXT NOT NULL,
+                    identifier_type TEXT NOT NULL,
+                    advertiser_id TEXT NOT NULL,
+                    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (list_id, identifier_hash),
+                    FOREIGN KEY (list_id) REFERENCES suppression_lists(id) ON DELETE CASCADE
+                );
+
+                INSERT OR IGNORE INTO suppression_identifiers
+                (list_id, identifier_hash, identifier, identifier_type, advertiser_id, added_at)
+                SELECT list_id, identifier_hash, identifier, identifier_type, advertiser_id, added_at
+                FROM suppression_identifiers_legacy;
+
+                DROP TABLE suppression_identifiers_legacy;
+
+                CREATE INDEX IF NOT EXISTS idx_identifier_lookup ON suppression_identifiers(identifier_hash, identifier_type);
+                CREATE INDEX IF NOT EXISTS idx_list_identifiers ON suppression_identifiers(list_id);
+                CREATE INDEX IF NOT EXISTS idx_identifier_type ON suppression_identifiers(identifier_type, identifier_hash);
+
+                UPDATE suppression_lists
+                SET size = (SELECT COUNT(*) FROM suppression_identifiers si WHERE si.list_id = suppression_lists.id);
+            `);
+        }
+    },
+    {
+        version: 3,
+        name: 'list_versions',
+        async up(db) {
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS suppression_list_versions (
+                    list_id TEXT NOT NULL,
+                    version INTEGER NOT NULL,
+                    change_type TEXT NOT NULL,
+                    added_count INTEGER DEFAULT 0,
+                    removed_count INTEGER DEFAULT 0,
+                    size INTEGER DEFAULT 0,
+                    restored_from INTEGER,
+                    created_at DATETIME NOT NULL,
+                    PRIMARY KEY (list_id, version),
+                    FOREIGN KEY (list_id) REFERENCES suppression_lists(id) ON DELETE CASCADE
+                );
+
+                CREATE TABLE IF NOT EXISTS suppression_list_changes (
+                    list_id TEXT NOT NULL,
+                    version INTEGER NOT NULL,
+                    identifier_hash TEXT NOT NULL,
+                    identifier TEXT NOT NULL,
+                    change TEXT NOT NULL CHECK(change IN ('add', 'remove')),
+                    PRIMARY KEY (list_id, identifier_hash, version),
+                    FOREIGN KEY (list_id) REFERENCES suppression_lists(id) ON DELETE CASCADE
+                );
+
+                -- Existing lists get their current membership as version 1
+                INSERT INTO suppression_list_changes (list_id, version, identifier_hash, identifier, change)
+                SELECT si.list_id, 1, si.identifier_hash, si.identifier, 'add'
+                FROM suppression_identifiers si
+                WHERE NOT EXISTS (SELECT 1 FROM suppression_list_versions v WHERE v.list_id = si.list_id);
+
+                INSERT INTO suppression_list_versions (list_id, version, change_type, added_count, removed_count, size, created_at)
+                SELECT sl.id, 1, 'baseline', sl.size, 0, sl.size, sl.last_updated
+                FROM suppression_lists sl
+                WHERE NOT EXISTS (SELECT 1 FROM suppression_list_versions v WHERE v.list_id = sl.id);
+            `);
+        }
+    },
+    {
+        version: 4,
+        name: 'drop_identifier_type_check',
+        async up(db) {
+            // Identifier types are validated by the application registry
+            // (service/identifier-types.js), so the CHECK clause has to go
+            await db.exec(`
+                CREATE TABLE suppression_lists_new (
+                    id TEXT PRIMARY KEY,
+                    advertiser_id TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    description TEXT,
+                    identifier_type TEXT NOT NULL,
+                    created_at DATETIME NOT NULL,
+                    submitted_at DATETIME NOT NULL,
+                    last_updated DATETIME NOT NULL,
+                    size INTEGER DEFAULT 0,
+                    is_active BOOLEAN DEFAULT 1
+                );
+
+                INSERT INTO suppression_lists_new
+                (id, advertiser_id, name, description, identifier_type, created_at, submitted_at, last_updated, size, is_active)
+                SELECT id, advertiser_id, name, description, identifier_type, created_at, submitted_at, last_updated, size, is_active
+                FROM suppression_lists;
+
+                DROP TABLE suppression_lists;
+                ALTER TABLE suppression_lists_new RENAME TO suppression_lists;
+
+                CREATE INDEX IF NOT EXISTS idx_advertiser_lists ON suppression_lists(advertiser_id, identifier_type);
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: 'normalize_identifiers',
+        async up(db) {
+            // Rows written before identifier-validation.js were stored as
+            // submitted; lookups now normalize first, so stored rows must match
+            await renormalizeIdentifiers(db, 'suppression_identifiers', 't.identifier_type', NORMALIZERS_V1);
+            await renormalizeIdentifiers(db, 'suppression_list_changes',
+                '(SELECT sl.identifier_type FROM suppression_lists sl WHERE sl.id = t.list_id)', NORMALIZERS_V1);
+
+            await db.exec(`
+                UPDATE suppression_lists
+                SET size = (SELECT COUNT(*) FROM suppression_identifiers si WHERE si.list_id = suppression_lists.id);
+            `);
+        }
+    },
+    {
+        version: 6,
+        name: 'list_trash',
+        async up(db) {
+            // Deleted lists are kept in the trash until purged; NULL means not deleted
+            await db.exec(`
+                ALTER TABLE suppression_lists ADD COLUMN deleted_at DATETIME;
+
+                CREATE INDEX IF NOT EXISTS idx_lists_deleted_at ON suppression_lists(deleted_at);
+            `);
+        }
+    },
+    {
+        version: 7,
+        name: 'list_flight_windows',
+        async up(db) {
+            // Optional serving window; NULL means open-ended on that side
+            await db.exec(`
+                ALTER TABLE suppression_lists ADD COLUMN effective_from DATETIME;
+                ALTER TABLE suppression_lists ADD COLUMN effective_until DATETIME;
+            `);
+        }
+    },
+    {
+        version: 8,
+        name: 'list_targets',
+        async up(db) {
+            // JSON arrays of campaign/banner ids from ad_server_config.json;
+            // NULL on both means the list suppresses the whole advertiser
+            await db.exec(`
+                ALTER TABLE suppression_lists ADD COLUMN campaign_ids TEXT;
+                ALTER TABLE suppression_lists ADD COLUMN banner_ids TEXT;
+            `);
+        }
+    },
+    {
+        version: 9,
+        name: 'derived_lists',
+        async up(db) {
+            // derivation is the set operation ('union', 'intersection',
+            // 'difference') a list was built from; NULL for ordinary lists
+            await db.exec(`
+                ALTER TABLE suppression_lists ADD COLUMN derivation TEXT;
+                ALTER TABLE suppression_lists ADD COLUMN auto_refresh BOOLEAN DEFAULT 0;
+
+                CREATE TABLE IF NOT EXISTS suppression_list_sources (
+                    list_id TEXT NOT NULL,
+                    source_list_id TEXT NOT NULL,
+                    position INTEGER NOT NULL,
+                    PRIMARY KEY (list_id, source_list_id)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_list_sources_source ON suppression_list_sources(source_list_id);
+            `);
+        }
+    },
+    {
+        version: 10,
+        name: 'subject_erasure',
+        async up(db) {
+            // export_snapshots remembers the CSV exports erasure requests must
+            // also clean; audit_log holds entries that never contain identifiers
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS export_snapshots (
+                    path TEXT PRIMARY KEY,
+                    advertiser_id TEXT NOT NULL,
+                    exported_at DATETIME NOT NULL
+                );
+
+                CREATE TABLE IF NOT EXISTS audit_log (
+                    id TEXT PRIMARY KEY,
+                    created_at DATETIME NOT NULL,
+                    action TEXT NOT NULL,
+                    details TEXT
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at);
+            `);
+        }
+    },
+    {
+        version: 11,
+        name: 'audit_chain',
+        async up(db) {
+            // seq orders the hash chain: each entry stores the hash of the one
+            // before it (prev_hash) and of itself (entry_hash). Entries written
+            // before the chain existed are chained in created_at order.
+            await db.exec(`
+                CREATE TABLE audit_log_new (
+                    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                    id TEXT NOT NULL UNIQUE,
+                    created_at DATETIME NOT NULL,
+                    action TEXT NOT NULL,
+                    actor TEXT NOT NULL,
+                    advertiser_id TEXT,
+                    list_id TEXT,
+                    details TEXT,
+                    prev_hash TEXT NOT NULL,
+                    entry_hash TEXT NOT NULL
+                );
+            `);
+
+            const rows = await db.all('SELECT id, created_at, action, details FROM audit_log ORDER BY created_at, id');
+            let prevHash = AUDIT_GENESIS_HASH;
+
+            for (const row of rows) {
+                const entry = {
+                    id: row.id,
+                    created_at: row.created_at,
+                    action: row.action,
+                    actor: 'system',
+                    advertiser_id: null,
+                    list_id: null,
+                    details: row.details ? JSON.parse(row.details) : {},
+                    prev_hash: prevHash
+                };
+                entry.entry_hash = hashAuditEntryV1(entry);
+
+                await db.run(`
+                    INSERT INTO audit_log_new (id, created_at, action, actor, advertiser_id, list_id, details, prev_hash, entry_hash)
+                    VALUES (?, ?, ?, ?, NULL, NULL, ?, ?, ?)
+                `, [entry.id, entry.created_at, entry.action, entry.actor, JSON.stringify(entry.details), entry.prev_hash, entry.entry_hash]);
+                prevHash = entry.entry_hash;
+            }
+
+            await db.exec(`
+                DROP TABLE audit_log;
+                ALTER TABLE audit_log_new RENAME TO audit_log;
+
+                CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, seq);
+                CREATE INDEX IF NOT EXISTS idx_audit_log_advertiser ON audit_log(advertiser_id, seq);
+                CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor, seq);
+            `);
+        }
+    },
+    {
+        version: 12,
+        name: 'audit_chain_unique_links',
+        async up(db) {
+            // Two writers appending after the same head would fork the chain;
+            // with one entry per prev_hash the second insert fails instead.
+            // A chain that already forked stops here: verifyAuditChain shows where.
+            await db.exec(`
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_log_prev_hash ON audit_log(prev_hash);
+            `);
+        }
+    },
+    {
+        version: 13,
+        name: 'canonical_ipv6',
+        async up(db) {
+            // IPv6 identifiers are now stored in RFC 5952 form, so rows stored
+            // as submitted (lowercased only) no longer match lookups
+            const normalizers = {
+                ipv6: value => net.isIPv6(value.trim()) ? canonicalIPv6V2(value) : value.trim().toLowerCase()
+            };
+            await renormalizeIdentifiers(db, 'suppression_identifiers', 't.identifier_type', normalizers, { plainOnly: true });
+            await renormalizeIdentifiers(db, 'suppression_list_changes',
+                '(SELECT sl.identifier_type FROM suppression_lists sl WHERE sl.id = t.list_id)', normalizers, { plainOnly: true });
+
+            await db.exec(`
+                UPDATE suppression_lists
+                SET size = (SELECT COUNT(*) FROM suppression_identifiers si WHERE si.list_id = suppression_lists.id)
+                WHERE identifier_type = 'ipv6';
+            `);
+        }
+    }
+];
+
+class SchemaMigrator {
+    constructor(db, migrations = MIGRATIONS) {
+        this.db = db;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+        const versions = new Set(this.migrations.map(migration => migration.version));
+        if (versions.size !== this.migrations.length) {
+            throw new Error('Duplicate schema migration versions');
+        }
+    }
+
+    async ensureMigrationsTable() {
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME NOT NULL
+            )
+        `);
+    }
+
+    async getAppliedMigrations() {
+        // Reporting must not modify the database, so a missing table means nothing applied yet
+        const table = await this.db.get(`
+            SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'
+        `);
+        if (!table) return [];
+
+        return await this.db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+    }
+
+    async getPendingMigrations() {
+        const applied = new Set((await this.getAppliedMigrations()).map(row => row.version));
+
+        return this.migrations
+            .filter(migration => !applied.has(migration.version))
+            .map(({ version, name }) => ({ version, name }));
+    }
+
+    async migrate() {
+        await this.ensureMigrationsTable();
+
+        const pending = await this.getPendingMigrations();
+        const applied = [];
+
+        for (const { version } of pending) {
+            const migration = this.migrations.find(m => m.version === version);
+            console.log(`[SchemaMigrator] Applying migration ${version}_${migration.name}...`);
+
+            await this.db.run('BEGIN TRANSACTION');
+
+            try {
+                await migration.up(this.db);
+                await this.db.run(`
+                    INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)
+                `, [version, migration.name, new Date().toISOString()]);
+
+                await this.db.run('COMMIT');
+                applied.push({ version, name: migration.name });
+            } catch (error) {
+                await this.db.run('ROLLBACK');
+                throw new Error(`Migration ${version}_${migration.name} failed: ${error.message}`);
+            }
+        }
+
+        if (applied.length > 0) {
+            console.log(`[SchemaMigrator] Applied ${applied.length} migrations`);
+        }
+
+        return applied;
+    }
+}
+
+module.exports = { SchemaMigrator, MIGRATIONS };
+
+// Report (or apply with --apply) migrations for a database file
+if (require.main === module) {
+    async function main() {
+        const args = process.argv.slice(2);
+        const apply = args.includes('--apply');
+        const dbPath = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '../data/suppression_lists.db');
+
+        const db = await open({ filename: dbPath, driver: sqlite3.Database });
+
+        try {
+            const migrator = new SchemaMigrator(db);
+
+            if (apply) {
+                const applied = await migrator.migrate();
+                console.log(JSON.stringify({ database: dbPath, applied }, null, 2));
+            } else {
+                console.log(JSON.stringify({
+                    database: dbPath,
+                    applied: await migrator.getAppliedMigrations(),
+                    pending: await migrator.getPendingMigrations()
+                }, null, 2));
+            }
+        } finally {
+            await db.close();
+        }
+    }
+
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
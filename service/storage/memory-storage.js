@@ -0,0 +1,826 @@
+const SuppressionStorage = require('./suppression-storage');
+const { flightStatus } = require('../flight-window');
+
+// Pure in-memory backend built on Maps. Useful for tests and for running the
+// ad server without a database; it has the same semantics as the SQLite one.
+class MemorySuppressionStorage extends SuppressionStorage {
+    constructor() {
+        super();
+        this.lists = new Map();      // listId -> list row
+        this.members = new Map();    // listId -> Map(identifier_hash -> member)
+        this.listsByHash = new Map(); // identifier_hash -> Set(listId)
+        this.versions = new Map();   // listId -> [version rows]
+        this.changes = new Map();    // listId -> [{ version, identifier_hash, identifier, change }]
+        this.sources = new Map();    // derived listId -> [source listIds]
+        this.snapshots = new Map();  // path -> export snapshot row
+        this.auditLog = [];          // audit entries in seq order
+        this.auditSeq = 0;           // last assigned seq, kept when entries are deleted
+    }
+
+    async initialize() {}
+
+    async close() {}
+
+    // Map updates cannot be undone, so a failure part way through work keeps
+    // whatever ran before it
+    async transaction(work) {
+        return await work();
+    }
+
+    async createList(list, members) {
+        this.insertList(list, 1);
+        this.addCreatedMembers(list.id, members, new Date().toISOString());
+
+        const size = this.refreshListSize(list.id);
+        this.recordVersion(list.id, { version: 1, changeType: 'create', added: size, removed: 0, size });
+        return size;
+    }
+
+    async bulkCreateList(list, members, options = {}) {
+        const { batchSize = 10000, onProgress = () => {}, beforeActivate = async () => {} } = options;
+
+        // Loaded batch by batch like SQLite; the list stays inactive until complete
+        this.insertList(list, 0);
+
+        try {
+            const addedAt = new Date().toISOString();
+            let rowsWritten = 0;
+            let batches = 0;
+
+            for (let start = 0; start < members.length; start += batchSize) {
+                rowsWritten += this.addCreatedMembers(list.id, members.slice(start, start + batchSize), addedAt);
+                batches++;
+                onProgress({ rowsWritten, totalRows: members.length, batches });
+                // Yield between batches so other writes can land, as they do with SQLite
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            const size = this.refreshListSize(list.id);
+            this.recordVersion(list.id, { version: 1, changeType: 'create', added: size, removed: 0, size });
+            await beforeActivate(size);
+            this.lists.get(list.id).is_active = 1;
+            return size;
+        } catch (error) {
+            await this.deleteList(list.id);
+            throw error;
+        }
+    }
+
+    async getList(listId) {
+        const list = this.lists.get(listId);
+        return list ? { ...list } : null;
+    }
+
+    async listLists(filters = {}) {
+        const { advertiserId, identifierType, activeOnly = false, updatedBefore, trashed = false, deletedBefore } = filters;
+
+        return Array.from(this.lists.values())
+            .filter(list => !advertiserId || list.advertiser_id === advertiserId)
+            .filter(list => !activeOnly || list.is_active === 1)
+            .filter(list => !identifierType || list.identifier_type === identifierType)
+            .filter(list => !updatedBefore || list.last_updated < updatedBefore)
+            .filter(list => (list.deleted_at !== null) === trashed)
+            .filter(list => !deletedBefore || list.deleted_at < deletedBefore)
+            .sort((a, b) => (a.last_updated < b.last_updated ? 1 : a.last_updated > b.last_updated ? -1 : 0))
+            .map(list => ({ ...list }));
+    }
+
+    async searchLists({ filters = {}, sortBy = 'last_updated', sortOrder = 'desc', after = null, limit = 50 }) {
+        if (!SuppressionStorage.SEARCH_SORT_FIELDS.includes(sortBy)) {
+            throw new Error(`Invalid sort field: ${sortBy}`);
+        }
+
+        const statusFilters = {
+            active: list => list.deleted_at === null && list.is_active === 1,
+            inactive: list => list.deleted_at === null && list.is_active === 0,
+            trashed: list => list.deleted_at !== null,
+            all: () => true
+        };
+        const { status } = filters;
+        if (status !== undefined && !(status in statusFilters)) {
+            throw new Error(`Invalid status: ${status}`);
+        }
+        const matchesStatus = status === undefined ? list => list.deleted_at === null : statusFilters[status];
+        const isSet = value => value !== undefined && value !== null;
+        const name = filters.name ? filters.name.toLowerCase() : null;
+
+        const matches = Array.from(this.lists.values())
+            .filter(matchesStatus)
+            .filter(list => !name || list.name.toLowerCase().includes(name))
+            .filter(list => !isSet(filters.advertiserId) || list.advertiser_id === filters.advertiserId)
+            .filter(list => !isSet(filters.identifierType) || list.identifier_type === filters.identifierType)
+            .filter(list => !isSet(filters.createdFrom) || list.created_at >= filters.createdFrom)
+            .filter(list => !isSet(filters.createdTo) || list.created_at <= filters.createdTo)
+            .filter(list => !isSet(filters.updatedFrom) || list.last_updated >= filters.updatedFrom)
+            .filter(list => !isSet(filters.updatedTo) || list.last_updated <= filters.updatedTo)
+            .filter(list => !isSet(filters.minSize) || list.size >= filters.minSize)
+            .filter(list => !isSet(filters.maxSize) || list.size <= filters.maxSize);
+
+        // Same keyset order as SQLite: sort field, then id, both in sortOrder
+        const sign = sortOrder === 'asc' ? 1 : -1;
+        const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+        const byKey = (valueA, idA, valueB, idB) => sign * (compare(valueA, valueB) || compare(idA, idB));
+
+        const lists = matches
+            .sort((a, b) => byKey(a[sortBy], a.id, b[sortBy], b.id))
+            .filter(list => !after || byKey(list[sortBy], list.id, after.value, after.id) > 0)
+            .slice(0, limit)
+            .map(list => ({ ...list }));
+
+        return { lists, total: matches.length };
+    }
+
+    async updateList(listId, fields) {
+        const list = this.lists.get(listId);
+        if (!list) return false;
+
+        Object.assign(list, fields);
+        return true;
+    }
+
+    async deleteList(listId) {
+        if (!this.lists.has(listId)) return false;
+
+        const dependents = await this.getDependentLists(listId);
+        if (dependents.length > 0) {
+            throw new Error(`List is a source of derived lists: ${listId} (${dependents.join(', ')})`);
+        }
+
+        for (const identifierHash of this.members.get(listId).keys()) {
+            this.unindexMember(listId, identifierHash);
+        }
+
+        this.lists.delete(listId);
+        this.members.delete(listId);
+        this.versions.delete(listId);
+        this.changes.delete(listId);
+        this.sources.delete(listId);
+        return true;
+    }
+
+    async addMembers(listId, members) {
+        return this.applyMembershipChange(listId, 'add', (version) => {
+            const addedAt = new Date().toISOString();
+            let added = 0;
+
+            for (const member of members) {
+                if (this.insertMember(listId, member, addedAt)) {
+                    this.changes.get(listId).push({ version, ...this.changeEntry(member), change: 'add' });
+                    added++;
+                }
+            }
+
+            return { added, removed: 0 };
+        });
+    }
+
+    async removeMembers(listId, members) {
+        return this.applyMembershipChange(listId, 'remove', (version) => {
+            let removed = 0;
+
+            for (const member of members) {
+                if (this.deleteMember(listId, member.identifier_hash)) {
+                    this.changes.get(listId).push({ version, ...this.changeEntry(member), change: 'remove' });
+                    removed++;
+                }
+            }
+
+            return { added: 0, removed };
+        });
+    }
+
+    async getListsWithMembersAddedBefore(cutoff) {
+        return Array.from(this.members)
+            .filter(([, listMembers]) => Array.from(listMembers.values()).some(member => member.added_at < cutoff))
+            .map(([listId]) => listId)
+            .sort();
+    }
+
+    async removeMembersAddedBefore(listId, cutoff) {
+        const listMembers = this.members.get(listId);
+        const expired = listMembers ? Array.from(listMembers.values()).filter(member => member.added_at < cutoff) : [];
+
+        return this.applyMembershipChange(listId, 'retention', (version) => {
+            for (const member of expired) {
+                this.deleteMember(listId, member.identifier_hash);
+                this.changes.get(listId).push({ version, ...this.changeEntry(member), change: 'remove' });
+            }
+            return { added: 0, removed: expired.length };
+        });
+    }
+
+    async getMembers(listId) {
+        const listMembers = this.members.get(listId);
+        return listMembers ? Array.from(listMembers.values()).map(member => member.identifier) : [];
+    }
+
+    async getMembersPage(listId, { after = null, limit }) {
+        const listMembers = this.members.get(listId);
+        if (!listMembers) return [];
+
+        return Array.from(listMembers.keys())
+            .filter(identifierHash => after === null || identifierHash > after)
+            .sort()
+            .slice(0, limit)
+            .map(identifierHash => this.changeEntry(listMembers.get(identifierHash)));
+    }
+
+    async hasMember(listId, identifierHash) {
+        const listMembers = this.members.get(listId);
+        return !!listMembers && listMembers.has(identifierHash);
+    }
+
+    async getListVersions(listId) {
+        return (this.versions.get(listId) || []).map(version => ({ ...version }));
+    }
+
+    async getListVersion(listId, version) {
+        const row = (this.versions.get(listId) || []).find(v => v.version === version);
+        return row ? { ...row } : null;
+    }
+
+    async getMembersAtVersion(listId, version) {
+        return Array.from(this.replayChanges(listId, version).values());
+    }
+
+    async rollbackList(listId, targetVersion) {
+        const target = this.replayChanges(listId, targetVersion);
+
+        return this.applyMembershipChange(listId, 'rollback', (version) => {
+            return { ...this.replaceMembership(listId, version, target), restoredFrom: targetVersion };
+        });
+    }
+
+    async createDerivedList(list, { operation, sourceListIds, autoRefresh = false }) {
+        const target = this.computeSetOperation(operation, sourceListIds);
+        const members = Array.from(target, ([identifier_hash, identifier]) => ({ identifier_hash, identifier }));
+
+        const size = await this.createList({ ...list, derivation: operation, auto_refresh: autoRefresh }, members);
+        this.sources.set(list.id, [...sourceListIds]);
+        return size;
+    }
+
+    async getListSources(listId) {
+        return [...(this.sources.get(listId) || [])];
+    }
+
+    async getDependentLists(sourceListId) {
+        return Array.from(this.sources)
+            .filter(([, sourceListIds]) => sourceListIds.includes(sourceListId))
+            .map(([listId]) => listId)
+            .sort();
+    }
+
+    async detachDerivedList(listId) {
+        const list = this.lists.get(listId);
+        if (!list) return false;
+
+        list.derivation = null;
+        list.auto_refresh = 0;
+        this.sources.delete(listId);
+        return true;
+    }
+
+    async refreshDerivedList(listId) {
+        const list = this.lists.get(listId);
+        const target = this.computeSetOperation(list.derivation, this.sources.get(listId) || []);
+
+        return this.applyMembershipChange(listId, 'refresh', (version) => this.replaceMembership(listId, version, target));
+    }
+
+    // [listId, identifierHash] for every membership of one hash or an array of them
+    membershipsOf(identifierHash) {
+        return Array.from(new Set([].concat(identifierHash)))
+            .flatMap(hash => Array.from(this.listsByHash.get(hash) || [], listId => [listId, hash]));
+    }
+
+    async findListsForIdentifier(identifierHash, identifierType, asOf = new Date().toISOString()) {
+        const results = [];
+
+        for (const [listId, hash] of this.membershipsOf(identifierHash)) {
+            const list = this.lists.get(listId);
+            const member = this.members.get(listId).get(hash);
+
+            if (list.is_active === 1 && list.deleted_at === null && member.identifier_type === identifierType &&
+                flightStatus(list, asOf) === 'live') {
+                results.push({
+                    list_id: listId,
+                    advertiser_id: list.advertiser_id,
+                    identifier_hash: hash,
+                    list_name: list.name,
+                    campaign_ids: list.campaign_ids,
+                    banner_ids: list.banner_ids
+                });
+            }
+        }
+
+        return results;
+    }
+
+    async findMembershipsForIdentifier(identifierHash, identifierType) {
+        const results = [];
+
+        for (const [listId, hash] of this.membershipsOf(identifierHash)) {
+            const list = this.lists.get(listId);
+            const member = this.members.get(listId).get(hash);
+            if (member.identifier_type !== identifierType) continue;
+
+            const versions = this.versions.get(listId).map(row => row.version);
+            const additions = this.changes.get(listId)
+                .filter(change => change.identifier_hash === hash && change.change === 'add')
+                .map(change => change.version);
+
+            results.push({
+                list_id: listId,
+                advertiser_id: list.advertiser_id,
+                identifier_hash: hash,
+                added_at: member.added_at,
+                list_name: list.name,
+                created_at: list.created_at,
+                submitted_at: list.submitted_at,
+                last_updated: list.last_updated,
+                is_active: list.is_active,
+                deleted_at: list.deleted_at,
+                effective_from: list.effective_from,
+                effective_until: list.effective_until,
+                campaign_ids: list.campaign_ids,
+                banner_ids: list.banner_ids,
+                list_version: versions.length > 0 ? Math.max(...versions) : null,
+                added_in_version: additions.length > 0 ? Math.max(...additions) : null
+            });
+        }
+
+        return results.sort((a, b) => a.advertiser_id.localeCompare(b.advertiser_id) || a.list_id.localeCompare(b.list_id));
+    }
+
+    async eraseIdentifiers(identifierHashes, identifierType) {
+        const hashes = new Set([].concat(identifierHashes));
+        const results = [];
+
+        for (const listId of Array.from(this.lists.keys()).sort()) {
+            const list = this.lists.get(listId);
+            const listChanges = this.changes.get(listId);
+            if (list.identifier_type !== identifierType) continue;
+
+            const inMembers = Array.from(hashes).filter(hash => this.members.get(listId).has(hash));
+            const history = listChanges.filter(change => hashes.has(change.identifier_hash));
+            if (inMembers.length === 0 && history.length === 0) continue;
+
+            const result = this.applyMembershipChange(listId, 'erase', () => {
+                inMembers.forEach(hash => this.deleteMember(listId, hash));
+                this.changes.set(listId, listChanges.filter(change => !hashes.has(change.identifier_hash)));
+                return { added: 0, removed: inMembers.length };
+            });
+            results.push({ list_id: listId, removed: result.removed, history_removed: history.length, size: result.size, version: result.version });
+        }
+
+        return results;
+    }
+
+    async recordSnapshot(snapshot) {
+        this.snapshots.set(snapshot.path, { ...snapshot });
+    }
+
+    async listSnapshots() {
+        return Array.from(this.snapshots.values(), snapshot => ({ ...snapshot }))
+            .sort((a, b) => a.exported_at.localeCompare(b.exported_at) || a.path.localeCompare(b.path));
+    }
+
+    async appendAuditEntry(entry, seal) {
+        // Nothing awaits between reading the head and pushing, so appends cannot interleave
+        const last = this.auditLog[this.auditLog.length - 1];
+        seal(last ? { ...last, details: JSON.parse(JSON.stringify(last.details)) } : null);
+
+        const seq = ++this.auditSeq;
+        this.auditLog.push({ ...entry, seq, details: JSON.parse(JSON.stringify(entry.details)) });
+        return seq;
+    }
+
+    async getLastAuditEntry() {
+        const last = this.auditLog[this.auditLog.length - 1];
+        return last ? { ...last, details: JSON.parse(JSON.stringify(last.details)) } : null;
+    }
+
+    async getAuditEntries({ filters = {}, order = 'asc', after = null, limit = 100 } = {}) {
+        const comparisons = [
+            ['action', (value, wanted) => value === wanted, filters.action],
+            ['actor', (value, wanted) => value === wanted, filters.actor],
+            ['advertiser_id', (value, wanted) => value === wanted, filters.advertiserId],
+            ['list_id', (value, wanted) => value === wanted, filters.listId],
+            ['created_at', (value, wanted) => value >= wanted, filters.from],
+            ['created_at', (value, wanted) => value <= wanted, filters.to]
+        ].filter(([, , wanted]) => wanted !== undefined && wanted !== null);
+
+        const matching = this.auditLog.filter(entry => comparisons.every(([column, test, wanted]) => test(entry[column], wanted)));
+        if (order === 'desc') matching.reverse();
+
+        const page = matching
+            .filter(entry => after === null || (order === 'desc' ? entry.seq < after : entry.seq > after))
+            .slice(0, limit);
+
+        return {
+            entries: page.map(entry => ({ ...entry, details: JSON.parse(JSON.stringify(entry.details)) })),
+            total: matching.length
+        };
+    }
+
+    async deleteAuditEntriesThrough(seq) {
+        const before = this.auditLog.length;
+        this.auditLog = this.auditLog.filter(entry => entry.seq > seq);
+        return before - this.auditLog.length;
+    }
+
+    async listAdvertiserIds() {
+        return Array.from(new Set(Array.from(this.lists.values(), list => list.advertiser_id))).sort();
+    }
+
+    async getStats(asOf = new Date().toISOString()) {
+        const active = Array.from(this.lists.values()).filter(list => list.is_active === 1 && list.deleted_at === null);
+        const countFlight = status => active.filter(list => flightStatus(list, asOf) === status).length;
+
+        return {
+            total_lists: active.length,
+            total_advertisers: new Set(active.map(list => list.advertiser_id)).size,
+            total_identifiers: active.reduce((sum, list) => sum + this.members.get(list.id).size, 0),
+            identifier_types: new Set(active.map(list => list.identifier_type)).size,
+            upcoming_lists: countFlight('upcoming'),
+            ended_lists: countFlight('ended'),
+            live_lists: countFlight('live')
+        };
+    }
+
+    // Mirrors SqliteSuppressionStorage.applyMembershipChange
+    applyMembershipChange(listId, changeType, work) {
+        const list = this.lists.get(listId);
+        const version = this.getNextVersion(listId);
+        const { added, removed, restoredFrom = null } = work(version);
+
+        if (added + removed === 0) {
+            return { added, removed, size: list.size, version: null };
+        }
+
+        const size = this.refreshListSize(listId);
+        list.last_updated = new Date().toISOString();
+        this.recordVersion(listId, { version, changeType, added, removed, size, restoredFrom });
+
+        return { added, removed, size, version };
+    }
+
+    async rewriteIdentifiers(rewrite, { batchSize = 1000, onBatch = () => {} } = {}) {
+        const entries = [];
+        for (const listMembers of this.members.values()) entries.push(...listMembers.values());
+        for (const listChanges of this.changes.values()) entries.push(...listChanges);
+
+        let scanned = 0;
+        let rewritten = 0;
+        let batches = 0;
+
+        for (let start = 0; start < entries.length; start += batchSize) {
+            for (const entry of entries.slice(start, start + batchSize)) {
+                const identifier = rewrite(entry.identifier);
+                if (identifier === null || identifier === entry.identifier) continue;
+
+                entry.identifier = identifier;
+                rewritten++;
+            }
+
+            scanned = Math.min(start + batchSize, entries.length);
+            onBatch({ scanned, rewritten, batches: ++batches });
+        }
+
+        return { scanned, rewritten, batches };
+    }
+
+    // Integrity checks
+
+    // Members, versions and changes live under their list's entry, so they
+    // cannot outlive it here
+    async findOrphans() {
+        return [];
+    }
+
+    async deleteOrphans() {
+        return 0;
+    }
+
+    async findTypeMismatches() {
+        const mismatches = [];
+
+        for (const [listId, listMembers] of this.members) {
+            const list = this.lists.get(listId);
+            for (const member of listMembers.values()) {
+                if (member.identifier_type !== list.identifier_type) {
+                    mismatches.push({
+                        list_id: listId,
+                        identifier_hash: member.identifier_hash,
+                        identifier_type: member.identifier_type,
+                        list_identifier_type: list.identifier_type
+                    });
+                }
+            }
+        }
+
+        return mismatches.sort((a, b) => a.list_id.localeCompare(b.list_id) || a.identifier_hash.localeCompare(b.identifier_hash));
+    }
+
+    async fixTypeMismatches() {
+        const mismatches = await this.findTypeMismatches();
+        for (const { list_id, identifier_hash, list_identifier_type } of mismatches) {
+            this.members.get(list_id).get(identifier_hash).identifier_type = list_identifier_type;
+        }
+        return mismatches.length;
+    }
+
+    async repairMembers(listId, { remove = [], add = [] }) {
+        return this.applyMembershipChange(listId, 'repair', (version) => {
+            const addedAt = new Date().toISOString();
+            let added = 0;
+            let removed = 0;
+
+            for (const member of remove) {
+                if (this.deleteMember(listId, member.identifier_hash)) {
+                    this.changes.get(listId).push({ version, ...this.changeEntry(member), change: 'remove' });
+                    removed++;
+                }
+            }
+            for (const member of add) {
+                if (this.insertMember(listId, member, addedAt)) {
+                    this.changes.get(listId).push({ version, ...this.changeEntry(member), change: 'add' });
+                    added++;
+                }
+            }
+
+            return { added, removed };
+        });
+    }
+
+    async getStatsBy(dimension) {
+        if (!SuppressionStorage.STATS_DIMENSIONS.includes(dimension)) {
+            throw new Error(`Invalid stats dimension: ${dimension}`);
+        }
+
+        const groups = new Map();
+        for (const list of this.lists.values()) {
+            if (list.is_active !== 1 || list.deleted_at !== null) continue;
+
+            const key = list[dimension];
+            if (!groups.has(key)) {
+                groups.set(key, { lists: 0, advertisers: new Set(), identifierTypes: new Set(), identifiers: 0, unique: new Set() });
+            }
+
+            const group = groups.get(key);
+            group.lists++;
+            group.advertisers.add(list.advertiser_id);
+            group.identifierTypes.add(list.identifier_type);
+            for (const member of this.members.get(list.id).values()) {
+                group.identifiers++;
+                group.unique.add(`${member.identifier_type}:${member.identifier_hash}`);
+            }
+        }
+
+        return Array.from(groups.keys()).sort().map(key => {
+            const group = groups.get(key);
+            return {
+                [dimension]: key,
+                lists: group.lists,
+                advertisers: group.advertisers.size,
+                identifier_types: group.identifierTypes.size,
+                identifiers: group.identifiers,
+                unique_identifiers: group.unique.size
+            };
+        });
+    }
+
+    async reconcileSizes({ dryRun = false } = {}) {
+        const mismatches = Array.from(this.lists.values())
+            .filter(list => list.size !== this.members.get(list.id).size)
+            .map(list => ({ list_id: list.id, stored_size: list.size, actual_size: this.members.get(list.id).size }))
+            .sort((a, b) => a.list_id.localeCompare(b.list_id));
+
+        if (!dryRun) {
+            mismatches.forEach(({ list_id }) => this.refreshListSize(list_id));
+        }
+        return mismatches;
+    }
+
+    async getOverlapCounts({ listIds, advertiserIds }) {
+        const memberSets = new Map(); // key -> Set of 'identifier_type:identifier_hash'
+
+        if (listIds) {
+            for (const listId of listIds) {
+                const listMembers = Array.from((this.members.get(listId) || new Map()).values());
+                memberSets.set(listId, new Set(listMembers.map(member => `${member.identifier_type}:${member.identifier_hash}`)));
+            }
+        } else {
+            advertiserIds.forEach(advertiserId => memberSets.set(advertiserId, new Set()));
+
+            for (const list of this.lists.values()) {
+                if (!memberSets.has(list.advertiser_id) || list.is_active !== 1 || list.deleted_at !== null) continue;
+
+                for (const member of this.members.get(list.id).values()) {
+                    memberSets.get(list.advertiser_id).add(`${member.identifier_type}:${member.identifier_hash}`);
+                }
+            }
+        }
+
+        const sizes = {};
+        const intersections = [];
+        const keys = Array.from(memberSets.keys()).sort();
+
+        for (const [index, a] of keys.entries()) {
+            if (memberSets.get(a).size > 0) sizes[a] = memberSets.get(a).size;
+
+            for (const b of keys.slice(index + 1)) {
+                let count = 0;
+                for (const key of memberSets.get(a)) {
+                    if (memberSets.get(b).has(key)) count++;
+                }
+                if (count > 0) intersections.push({ a, b, count });
+            }
+        }
+
+        return { sizes, intersections };
+    }
+
+    // Makes the list's membership equal to target (Map of identifier_hash -> identifier)
+    replaceMembership(listId, version, target) {
+        const list = this.lists.get(listId);
+        const current = this.members.get(listId);
+        const addedAt = new Date().toISOString();
+        let added = 0;
+        let removed = 0;
+
+        for (const member of Array.from(current.values())) {
+            if (!target.has(member.identifier_hash)) {
+                this.deleteMember(listId, member.identifier_hash);
+                this.changes.get(listId).push({ version, ...this.changeEntry(member), change: 'remove' });
+                removed++;
+            }
+        }
+
+        for (const [identifierHash, identifier] of target) {
+            if (!current.has(identifierHash)) {
+                const member = { identifier_hash: identifierHash, identifier };
+                this.insertMember(listId, member, addedAt, list);
+                this.changes.get(listId).push({ version, ...member, change: 'add' });
+                added++;
+            }
+        }
+
+        return { added, removed };
+    }
+
+    // identifier_hash -> identifier for a set operation over the sources' current members
+    computeSetOperation(operation, sourceListIds) {
+        const sources = sourceListIds.map(listId => this.members.get(listId) || new Map());
+        const result = new Map();
+
+        switch (operation) {
+            case 'union':
+                for (const listMembers of sources) {
+                    for (const member of listMembers.values()) {
+                        const existing = result.get(member.identifier_hash);
+                        if (existing === undefined || member.identifier < existing) {
+                            result.set(member.identifier_hash, member.identifier);
+                        }
+                    }
+                }
+                break;
+            case 'intersection':
+                for (const member of (sources[0] || new Map()).values()) {
+                    const matches = sources.map(listMembers => listMembers.get(member.identifier_hash));
+                    if (matches.every(Boolean)) {
+                        result.set(member.identifier_hash, matches.map(match => match.identifier).sort()[0]);
+                    }
+                }
+                break;
+            case 'difference': {
+                const [first = new Map(), ...rest] = sources;
+                for (const member of first.values()) {
+                    if (!rest.some(listMembers => listMembers.has(member.identifier_hash))) {
+                        result.set(member.identifier_hash, member.identifier);
+                    }
+                }
+                break;
+            }
+            default:
+                throw new Error(`Invalid set operation: ${operation}`);
+        }
+
+        return result;
+    }
+
+    replayChanges(listId, version) {
+        const membership = new Map();
+
+        for (const change of this.changes.get(listId) || []) {
+            if (change.version > version) continue;
+
+            if (change.change === 'add') {
+                membership.set(change.identifier_hash, change.identifier);
+            } else {
+                membership.delete(change.identifier_hash);
+            }
+        }
+
+        return membership;
+    }
+
+    insertList(list, isActive) {
+        if (this.lists.has(list.id)) {
+            throw new Error(`UNIQUE constraint failed: suppression_lists.id (${list.id})`);
+        }
+
+        this.lists.set(list.id, {
+            ...list,
+            effective_from: list.effective_from ?? null,
+            effective_until: list.effective_until ?? null,
+            campaign_ids: list.campaign_ids ?? null,
+            banner_ids: list.banner_ids ?? null,
+            derivation: list.derivation ?? null,
+            auto_refresh: list.auto_refresh ? 1 : 0,
+            size: 0,
+            is_active: isActive,
+            deleted_at: null
+        });
+        this.members.set(list.id, new Map());
+        this.versions.set(list.id, []);
+        this.changes.set(list.id, []);
+    }
+
+    // Adds a new list's members as part of version 1; returns how many were new
+    addCreatedMembers(listId, members, addedAt) {
+        let added = 0;
+        for (const member of members) {
+            if (this.insertMember(listId, member, addedAt)) {
+                this.changes.get(listId).push({ version: 1, ...this.changeEntry(member), change: 'add' });
+                added++;
+            }
+        }
+        return added;
+    }
+
+    insertMember(listId, member, addedAt, list = this.lists.get(listId)) {
+        const listMembers = this.members.get(listId);
+        if (listMembers.has(member.identifier_hash)) return false;
+
+        listMembers.set(member.identifier_hash, {
+            identifier_hash: member.identifier_hash,
+            identifier: member.identifier,
+            identifier_type: list.identifier_type,
+            advertiser_id: list.advertiser_id,
+            added_at: addedAt
+        });
+
+        if (!this.listsByHash.has(member.identifier_hash)) {
+            this.listsByHash.set(member.identifier_hash, new Set());
+        }
+        this.listsByHash.get(member.identifier_hash).add(listId);
+        return true;
+    }
+
+    deleteMember(listId, identifierHash) {
+        if (!this.members.get(listId).delete(identifierHash)) return false;
+
+        this.unindexMember(listId, identifierHash);
+        return true;
+    }
+
+    unindexMember(listId, identifierHash) {
+        const listIds = this.listsByHash.get(identifierHash);
+        if (!listIds) return;
+
+        listIds.delete(listId);
+        if (listIds.size === 0) this.listsByHash.delete(identifierHash);
+    }
+
+    changeEntry(member) {
+        return { identifier_hash: member.identifier_hash, identifier: member.identifier };
+    }
+
+    getNextVersion(listId) {
+        const versions = this.versions.get(listId);
+        return versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+    }
+
+    refreshListSize(listId) {
+        const list = this.lists.get(listId);
+        list.size = this.members.get(listId).size;
+        return list.size;
+    }
+
+    recordVersion(listId, { version, changeType, added, removed, size, restoredFrom = null }) {
+        this.versions.get(listId).push({
+            list_id: listId,
+            version,
+            change_type: changeType,
+            added_count: added,
+            removed_count: removed,
+            size,
+            restored_from: restoredFrom,
+            created_at: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = MemorySuppressionStorage;
@@ -0,0 +1,1059 @@
+const sqlite3 = require('sqlite3').verbose();
+const { open } = require('sqlite');
+const path = require('path');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const SuppressionStorage = require('./suppression-storage');
+const { SchemaMigrator } = require('../schema-migrations');
+
+// Rows per multi-row INSERT; 6 bound parameters each stays under SQLite's
+// default 999 variable limit.
+const ROWS_PER_INSERT = 150;
+
+// How long a write waits for another process's transaction to finish
+const BUSY_TIMEOUT_MS = 5000;
+
+// Membership of a list as of a given version: every identifier whose most
+// recent change at or before that version was an 'add'.
+const MEMBERSHIP_AT_VERSION_SQL = `
+            SELECT c.identifier_hash, c.identifier
+            FROM suppression_list_changes c
+            WHERE c.list_id = ? AND c.change = 'add'
+            AND c.version = (
+                SELECT MAX(version) FROM suppression_list_changes
+                WHERE list_id = c.list_id AND identifier_hash = c.identifier_hash AND version <= ?
+            )`;
+
+// SELECT of (identifier_hash, identifier) for a set operation over source lists.
+// Difference keeps the first list's identifiers that are in none of the others.
+function setOperationQuery(operation, sourceListIds) {
+    const placeholders = ids => ids.map(() => '?').join(', ');
+
+    switch (operation) {
+        case 'union':
+            return {
+                sql: `SELECT identifier_hash, MIN(identifier) AS identifier FROM suppression_identifiers
+                      WHERE list_id IN (${placeholders(sourceListIds)}) GROUP BY identifier_hash`,
+                params: sourceListIds
+            };
+        case 'intersection':
+            return {
+                sql: `SELECT identifier_hash, MIN(identifier) AS identifier FROM suppression_identifiers
+                      WHERE list_id IN (${placeholders(sourceListIds)}) GROUP BY identifier_hash
+                      HAVING COUNT(*) = ?`,
+                params: [...sourceListIds, sourceListIds.length]
+            };
+        case 'difference': {
+            const [first, ...rest] = sourceListIds;
+            return {
+                sql: `SELECT identifier_hash, identifier FROM suppression_identifiers
+                      WHERE list_id = ? AND identifier_hash NOT IN (
+                          SELECT identifier_hash FROM suppression_identifiers WHERE list_id IN (${placeholders(rest)})
+                      )`,
+                params: [first, ...rest]
+            };
+        }
+        default:
+            throw new Error(`Invalid set operation: ${operation}`);
+    }
+}
+
+// Tables keyed by list_id whose rows outlive a list if a delete goes wrong
+const LIST_CHILD_TABLES = ['suppression_identifiers', 'suppression_list_versions', 'suppression_list_changes', 'suppression_list_sources'];
+
+class SqliteSuppressionStorage extends SuppressionStorage {
+    constructor(dbPath = '../data/suppression_lists.db') {
+        super();
+        this.dbPath = dbPath;
+        this.db = null;
+        this.migrator = null;
+        this.queue = Promise.resolve();
+        this.transactionScope = new AsyncLocalStorage();
+    }
+
+    async initialize() {
+        console.log('[SqliteStorage] Initializing database at', this.dbPath);
+        if (this.dbPath !== ':memory:') {
+            const dir = path.dirname(this.dbPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+                console.log(`[SqliteStorage] Created directory: ${dir}`);
+            }
+        }
+
+        this.db = await open({
+            filename: this.dbPath,
+            driver: sqlite3.Database
+        });
+        await this.db.run(`PRAGMA busy_timeout = ${BUSY_TIMEOUT_MS}`);
+
+        console.log('[SqliteStorage] Applying schema migrations...');
+        this.migrator = new SchemaMigrator(this.db);
+        await this.migrator.migrate();
+    }
+
+    async close() {
+        if (this.db) {
+            await this.db.close();
+            this.db = null;
+        }
+    }
+
+    async getPendingMigrations() {
+        return await this.migrator.getPendingMigrations();
+    }
+
+    // Runs work in one BEGIN IMMEDIATE transaction. Every caller shares this
+    // connection, so transactions are queued and run one at a time; storage
+    // calls made from inside work join the transaction already open.
+    async transaction(work) {
+        if (this.transactionScope.getStore()) return await work();
+
+        const run = this.queue.then(() => this.transactionScope.run(true, async () => {
+            await this.db.run('BEGIN IMMEDIATE');
+
+            try {
+                const result = await work();
+                await this.db.run('COMMIT');
+                return result;
+            } catch (error) {
+                await this.db.run('ROLLBACK');
+                throw error;
+            }
+        }));
+        this.queue = run.catch(() => {});
+        return await run;
+    }
+
+    async createList(list, members) {
+        const {
+            id, advertiser_id, name, description, identifier_type,
+            created_at, submitted_at, last_updated,
+            effective_from = null, effective_until = null,
+            campaign_ids = null, banner_ids = null
+        } = list;
+
+        // Start transaction for atomic operation
+        return await this.transaction(async () => {
+            // Insert list metadata
+            await this.db.run(`
+                INSERT INTO suppression_lists
+                (id, advertiser_id, name, description, identifier_type, created_at, submitted_at, last_updated, size,
+                 effective_from, effective_until, campaign_ids, banner_ids)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [id, advertiser_id, name, description, identifier_type, created_at, submitted_at, last_updated, 0,
+                effective_from, effective_until, campaign_ids, banner_ids]);
+
+            // Insert identifiers with efficient batch operation
+            if (members.length > 0) {
+                const stmt = await this.db.prepare(`
+                    INSERT OR IGNORE INTO suppression_identifiers
+                    (list_id, identifier_hash, identifier, identifier_type, advertiser_id, added_at)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `);
+
+                const addedAt = new Date().toISOString();
+                for (const member of members) {
+                    await stmt.run(id, member.identifier_hash, member.identifier, identifier_type, advertiser_id, addedAt);
+                }
+                await stmt.finalize();
+            }
+
+            // Duplicates within the upload are ignored, so size comes from what was stored
+            const size = await this.refreshListSize(id);
+
+            await this.db.run(`
+                INSERT INTO suppression_list_changes (list_id, version, identifier_hash, identifier, change)
+                SELECT list_id, 1, identifier_hash, identifier, 'add'
+                FROM suppression_identifiers WHERE list_id = ?
+            `, [id]);
+            await this.recordVersion(id, { version: 1, changeType: 'create', added: size, removed: 0, size });
+
+            return size;
+        });
+    }
+
+    async bulkCreateList(list, members, options = {}) {
+        const { batchSize = 10000, onProgress = () => {}, beforeActivate = async () => {} } = options;
+        const {
+            id, advertiser_id, name, description, identifier_type,
+            created_at, submitted_at, last_updated,
+            effective_from = null, effective_until = null,
+            campaign_ids = null, banner_ids = null
+        } = list;
+
+        // The list stays inactive until fully loaded so lookups never see a partial list
+        await this.transaction(() => this.db.run(`
+            INSERT INTO suppression_lists
+            (id, advertiser_id, name, description, identifier_type, created_at, submitted_at, last_updated, size, is_active,
+             effective_from, effective_until, campaign_ids, banner_ids)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, 0, ?, ?, ?, ?)
+        `, [id, advertiser_id, name, description, identifier_type, created_at, submitted_at, last_updated,
+            effective_from, effective_until, campaign_ids, banner_ids]));
+
+        try {
+            // Inserting in primary-key order keeps B-tree writes sequential
+            const sorted = [...members].sort((a, b) => (a.identifier_hash < b.identifier_hash ? -1 : a.identifier_hash > b.identifier_hash ? 1 : 0));
+            const addedAt = new Date().toISOString();
+            const prepareInsert = rowCount => this.db.prepare(`
+                INSERT OR IGNORE INTO suppression_identifiers
+                (list_id, identifier_hash, identifier, identifier_type, advertiser_id, added_at)
+                VALUES ${new Array(rowCount).fill('(?, ?, ?, ?, ?, ?)').join(', ')}
+            `);
+
+            // Full chunks reuse one prepared statement; only a trailing partial chunk needs its own
+            const chunkStmt = await prepareInsert(ROWS_PER_INSERT);
+            let rowsWritten = 0;
+            let batches = 0;
+
+            try {
+                for (let start = 0; start < sorted.length; start += batchSize) {
+                    const batch = sorted.slice(start, start + batchSize);
+
+                    // Each batch is queued as its own transaction, so other writes run between batches
+                    await this.transaction(async () => {
+                        for (let offset = 0; offset < batch.length; offset += ROWS_PER_INSERT) {
+                            const chunk = batch.slice(offset, offset + ROWS_PER_INSERT);
+                            const params = [];
+                            for (const member of chunk) {
+                                params.push(id, member.identifier_hash, member.identifier, identifier_type, advertiser_id, addedAt);
+                            }
+
+                            // Duplicates are ignored, so count the rows actually inserted
+                            if (chunk.length === ROWS_PER_INSERT) {
+                                rowsWritten += (await chunkStmt.run(params)).changes;
+                            } else {
+                                const tailStmt = await prepareInsert(chunk.length);
+                                rowsWritten += (await tailStmt.run(params)).changes;
+                                await tailStmt.finalize();
+                            }
+                        }
+                    });
+
+                    batches++;
+                    onProgress({ rowsWritten, totalRows: members.length, batches });
+                }
+            } finally {
+                await chunkStmt.finalize();
+            }
+
+            return await this.transaction(async () => {
+                const size = await this.refreshListSize(id);
+
+                await this.db.run(`
+                    INSERT INTO suppression_list_changes (list_id, version, identifier_hash, identifier, change)
+                    SELECT list_id, 1, identifier_hash, identifier, 'add'
+                    FROM suppression_identifiers WHERE list_id = ?
+                `, [id]);
+                await this.recordVersion(id, { version: 1, changeType: 'create', added: size, removed: 0, size });
+                await this.db.run('UPDATE suppression_lists SET is_active = 1 WHERE id = ?', [id]);
+                await beforeActivate(size);
+
+                return size;
+            });
+        } catch (error) {
+            // Earlier batches are already committed, so remove the partial list
+            await this.deleteList(id);
+            throw error;
+        }
+    }
+
+    async getList(listId) {
+        const list = await this.db.get('SELECT * FROM suppression_lists WHERE id = ?', [listId]);
+        return list || null;
+    }
+
+    async listLists(filters = {}) {
+        const { advertiserId, identifierType, activeOnly = false, updatedBefore, trashed = false, deletedBefore } = filters;
+        const conditions = [trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+        const params = [];
+
+        if (advertiserId) {
+            conditions.push('advertiser_id = ?');
+            params.push(advertiserId);
+        }
+
+        if (activeOnly) {
+            conditions.push('is_active = 1');
+        }
+
+        if (identifierType) {
+            conditions.push('identifier_type = ?');
+            params.push(identifierType);
+        }
+
+        if (updatedBefore) {
+            conditions.push('last_updated < ?');
+            params.push(updatedBefore);
+        }
+
+        if (deletedBefore) {
+            conditions.push('deleted_at < ?');
+            params.push(deletedBefore);
+        }
+
+        const query = `SELECT * FROM suppression_lists WHERE ${conditions.join(' AND ')} ORDER BY last_updated DESC`;
+
+        return await this.db.all(query, params);
+    }
+
+    async searchLists({ filters = {}, sortBy = 'last_updated', sortOrder = 'desc', after = null, limit = 50 }) {
+        if (!SuppressionStorage.SEARCH_SORT_FIELDS.includes(sortBy)) {
+            throw new Error(`Invalid sort field: ${sortBy}`);
+        }
+
+        const conditions = [];
+        const params = [];
+
+        const statusConditions = {
+            active: 'deleted_at IS NULL AND is_active = 1',
+            inactive: 'deleted_at IS NULL AND is_active = 0',
+            trashed: 'deleted_at IS NOT NULL',
+            all: null
+        };
+        const { status } = filters;
+        if (status !== undefined && !(status in statusConditions)) {
+            throw new Error(`Invalid status: ${status}`);
+        }
+        const statusCondition = status === undefined ? 'deleted_at IS NULL' : statusConditions[status];
+        if (statusCondition) conditions.push(statusCondition);
+
+        if (filters.name) {
+            conditions.push("name LIKE ? ESCAPE '\\'");
+            params.push(`%${filters.name.replace(/[\\%_]/g, char => `\\${char}`)}%`);
+        }
+
+        const comparisons = [
+            ['advertiser_id', '=', filters.advertiserId],
+            ['identifier_type', '=', filters.identifierType],
+            ['created_at', '>=', filters.createdFrom],
+            ['created_at', '<=', filters.createdTo],
+            ['last_updated', '>=', filters.updatedFrom],
+            ['last_updated', '<=', filters.updatedTo],
+            ['size', '>=', filters.minSize],
+            ['size', '<=', filters.maxSize]
+        ];
+        for (const [column, operator, value] of comparisons) {
+            if (value !== undefined && value !== null) {
+                conditions.push(`${column} ${operator} ?`);
+                params.push(value);
+            }
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const { total } = await this.db.get(`SELECT COUNT(*) as total FROM suppression_lists ${where}`, params);
+
+        const direction = sortOrder === 'asc' ? 'ASC' : 'DESC';
+        const pageConditions = [...conditions];
+        const pageParams = [...params];
+        if (after) {
+            const operator = direction === 'ASC' ? '>' : '<';
+            pageConditions.push(`(${sortBy} ${operator} ? OR (${sortBy} = ? AND id ${operator} ?))`);
+            pageParams.push(after.value, after.value, after.id);
+        }
+
+        const lists = await this.db.all(`
+            SELECT * FROM suppression_lists
+            ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+            ORDER BY ${sortBy} ${direction}, id ${direction}
+            LIMIT ?
+        `, [...pageParams, limit]);
+
+        return { lists, total };
+    }
+
+    async updateList(listId, fields) {
+        const columns = Object.keys(fields);
+
+        const result = await this.transaction(() => this.db.run(`
+            UPDATE suppression_lists
+            SET ${columns.map(column => `${column} = ?`).join(', ')}
+            WHERE id = ?
+        `, [...columns.map(column => fields[column]), listId]));
+
+        return result.changes > 0;
+    }
+
+    async deleteList(listId) {
+        // Foreign keys are not enforced on this connection, so dependent rows are removed explicitly
+        return await this.transaction(async () => {
+            const dependents = await this.getDependentLists(listId);
+            if (dependents.length > 0) {
+                throw new Error(`List is a source of derived lists: ${listId} (${dependents.join(', ')})`);
+            }
+
+            await this.db.run('DELETE FROM suppression_list_changes WHERE list_id = ?', [listId]);
+            await this.db.run('DELETE FROM suppression_list_versions WHERE list_id = ?', [listId]);
+            await this.db.run('DELETE FROM suppression_identifiers WHERE list_id = ?', [listId]);
+            await this.db.run('DELETE FROM suppression_list_sources WHERE list_id = ?', [listId]);
+            const result = await this.db.run('DELETE FROM suppression_lists WHERE id = ?', [listId]);
+
+            return result.changes > 0;
+        });
+    }
+
+    async addMembers(listId, members) {
+        const list = await this.getList(listId);
+
+        return await this.applyMembershipChange(listId, 'add', async (version) => {
+            let added = 0;
+
+            const stmt = await this.db.prepare(`
+                INSERT OR IGNORE INTO suppression_identifiers
+                (list_id, identifier_hash, identifier, identifier_type, advertiser_id, added_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `);
+            const changeStmt = await this.db.prepare(`
+                INSERT INTO suppression_list_changes (list_id, version, identifier_hash, identifier, change)
+                VALUES (?, ?, ?, ?, 'add')
+            `);
+
+            const addedAt = new Date().toISOString();
+            for (const member of members) {
+                const result = await stmt.run(listId, member.identifier_hash, member.identifier, list.identifier_type, list.advertiser_id, addedAt);
+                if (result.changes > 0) {
+                    await changeStmt.run(listId, version, member.identifier_hash, member.identifier);
+                    added++;
+                }
+            }
+            await stmt.finalize();
+            await changeStmt.finalize();
+
+            return { added, removed: 0 };
+        });
+    }
+
+    async removeMembers(listId, members) {
+        return await this.applyMembershipChange(listId, 'remove', async (version) => {
+            let removed = 0;
+
+            const stmt = await this.db.prepare(`
+                DELETE FROM suppression_identifiers WHERE list_id = ? AND identifier_hash = ?
+            `);
+            const changeStmt = await this.db.prepare(`
+                INSERT INTO suppression_list_changes (list_id, version, identifier_hash, identifier, change)
+                VALUES (?, ?, ?, ?, 'remove')
+            `);
+
+            for (const member of members) {
+                const result = await stmt.run(listId, member.identifier_hash);
+                if (result.changes > 0) {
+                    await changeStmt.run(listId, version, member.identifier_hash, member.identifier);
+                    removed++;
+                }
+            }
+            await stmt.finalize();
+            await changeStmt.finalize();
+
+            return { added: 0, removed };
+        });
+    }
+
+    async getListsWithMembersAddedBefore(cutoff) {
+        const rows = await this.db.all(`
+            SELECT DISTINCT list_id FROM suppression_identifiers WHERE added_at < ? ORDER BY list_id
+        `, [cutoff]);
+        return rows.map(row => row.list_id);
+    }
+
+    async removeMembersAddedBefore(listId, cutoff) {
+        return await this.applyMembershipChange(listId, 'retention', async (version) => {
+            await this.db.run(`
+                INSERT INTO suppression_list_changes (list_id, version, identifier_hash, identifier, change)
+                SELECT list_id, ?, identifier_hash, identifier, 'remove'
+                FROM suppression_identifiers WHERE list_id = ? AND added_at < ?
+            `, [version, listId, cutoff]);
+            const deletion = await this.db.run(`
+                DELETE FROM suppression_identifiers WHERE list_id = ? AND added_at < ?
+            `, [listId, cutoff]);
+
+            return { added: 0, removed: deletion.changes };
+        });
+    }
+
+    async getMembers(listId) {
+        const rows = await this.db.all(`
+            SELECT identifier FROM suppression_identifiers WHERE list_id = ?
+        `, [listId]);
+        return rows.map(row => row.identifier);
+    }
+
+    // Keyset pagination over the (list_id, identifier_hash) primary key
+    async getMembersPage(listId, { after = null, limit }) {
+        if (after === null) {
+            return await this.db.all(`
+                SELECT identifier_hash, identifier FROM suppression_identifiers
+                WHERE list_id = ?
+                ORDER BY identifier_hash ASC LIMIT ?
+            `, [listId, limit]);
+        }
+
+        return await this.db.all(`
+            SELECT identifier_hash, identifier FROM suppression_identifiers
+            WHERE list_id = ? AND identifier_hash > ?
+            ORDER BY identifier_hash ASC LIMIT ?
+        `, [listId, after, limit]);
+    }
+
+    async hasMember(listId, identifierHash) {
+        const row = await this.db.get(`
+            SELECT 1 as found FROM suppression_identifiers WHERE list_id = ? AND identifier_hash = ?
+        `, [listId, identifierHash]);
+        return !!row;
+    }
+
+    async getListVersions(listId) {
+        return await this.db.all(`
+            SELECT * FROM suppression_list_versions WHERE list_id = ? ORDER BY version ASC
+        `, [listId]);
+    }
+
+    async getListVersion(listId, version) {
+        const row = await this.db.get(`
+            SELECT * FROM suppression_list_versions WHERE list_id = ? AND version = ?
+        `, [listId, version]);
+        return row || null;
+    }
+
+    async getMembersAtVersion(listId, version) {
+        const rows = await this.db.all(MEMBERSHIP_AT_VERSION_SQL, [listId, version]);
+        return rows.map(row => row.identifier);
+    }
+
+    async rollbackList(listId, targetVersion) {
+        const list = await this.getList(listId);
+
+        return await this.applyMembershipChange(listId, 'rollback', async (version) => {
+            const result = await this.replaceMembership(list, version, MEMBERSHIP_AT_VERSION_SQL, [listId, targetVersion]);
+            return { ...result, restoredFrom: targetVersion };
+        });
+    }
+
+    // Derived lists
+
+    async createDerivedList(list, { operation, sourceListIds, autoRefresh = false }) {
+        const { sql, params } = setOperationQuery(operation, sourceListIds);
+
+        return await this.transaction(async () => {
+            await this.db.run(`
+                INSERT INTO suppression_lists
+                (id, advertiser_id, name, description, identifier_type, created_at, submitted_at, last_updated, size,
+                 effective_from, effective_until, campaign_ids, banner_ids, derivation, auto_refresh)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?)
+            `, [list.id, list.advertiser_id, list.name, list.description, list.identifier_type, list.created_at,
+                list.submitted_at, list.last_updated, list.effective_from ?? null, list.effective_until ?? null,
+                list.campaign_ids ?? null, list.banner_ids ?? null, operation, autoRefresh ? 1 : 0]);
+
+            for (const [position, sourceListId] of sourceListIds.entries()) {
+                await this.db.run(`
+                    INSERT INTO suppression_list_sources (list_id, source_list_id, position) VALUES (?, ?, ?)
+                `, [list.id, sourceListId, position]);
+            }
+
+            await this.db.run(`
+                INSERT INTO suppression_identifiers
+                (list_id, identifier_hash, identifier, identifier_type, advertiser_id, added_at)
+                SELECT ?, identifier_hash, identifier, ?, ?, ? FROM (${sql})
+            `, [list.id, list.identifier_type, list.advertiser_id, new Date().toISOString(), ...params]);
+
+            const size = await this.refreshListSize(list.id);
+            await this.db.run(`
+                INSERT INTO suppression_list_changes (list_id, version, identifier_hash, identifier, change)
+                SELECT list_id, 1, identifier_hash, identifier, 'add'
+                FROM suppression_identifiers WHERE list_id = ?
+            `, [list.id]);
+            await this.recordVersion(list.id, { version: 1, changeType: 'create', added: size, removed: 0, size });
+
+            return size;
+        });
+    }
+
+    async getListSources(listId) {
+        const rows = await this.db.all(`
+            SELECT source_list_id FROM suppression_list_sources WHERE list_id = ? ORDER BY position
+        `, [listId]);
+        return rows.map(row => row.source_list_id);
+    }
+
+    async getDependentLists(sourceListId) {
+        const rows = await this.db.all(`
+            SELECT list_id FROM suppression_list_sources WHERE source_list_id = ? ORDER BY list_id
+        `, [sourceListId]);
+        return rows.map(row => row.list_id);
+    }
+
+    async detachDerivedList(listId) {
+        return await this.transaction(async () => {
+            await this.db.run('DELETE FROM suppression_list_sources WHERE list_id = ?', [listId]);
+            const result = await this.db.run('UPDATE suppression_lists SET derivation = NULL, auto_refresh = 0 WHERE id = ?', [listId]);
+            return result.changes > 0;
+        });
+    }
+
+    async refreshDerivedList(listId) {
+        const list = await this.getList(listId);
+        const { sql, params } = setOperationQuery(list.derivation, await this.getListSources(listId));
+
+        return await this.applyMembershipChange(listId, 'refresh', async (version) => {
+            return await this.replaceMembership(list, version, sql, params);
+        });
+    }
+
+    async findListsForIdentifier(identifierHash, identifierType, asOf = new Date().toISOString()) {
+        return await this.db.all(`
+            SELECT si.list_id, si.advertiser_id, si.identifier_hash, sl.name as list_name, sl.campaign_ids, sl.banner_ids
+            FROM suppression_identifiers si
+            JOIN suppression_lists sl ON si.list_id = sl.id
+            WHERE si.identifier_hash IN (SELECT value FROM json_each(?)) AND si.identifier_type = ?
+              AND sl.is_active = 1 AND sl.deleted_at IS NULL
+              AND (sl.effective_from IS NULL OR sl.effective_from <= ?)
+              AND (sl.effective_until IS NULL OR sl.effective_until > ?)
+        `, [JSON.stringify([].concat(identifierHash)), identifierType, asOf, asOf]);
+    }
+
+    async findMembershipsForIdentifier(identifierHash, identifierType) {
+        return await this.db.all(`
+            SELECT si.list_id, si.advertiser_id, si.identifier_hash, si.added_at, sl.name as list_name, sl.created_at, sl.submitted_at,
+                   sl.last_updated, sl.is_active, sl.deleted_at, sl.effective_from, sl.effective_until,
+                   sl.campaign_ids, sl.banner_ids,
+                   (SELECT MAX(v.version) FROM suppression_list_versions v WHERE v.list_id = si.list_id) as list_version,
+                   (SELECT MAX(c.version) FROM suppression_list_changes c
+                    WHERE c.list_id = si.list_id AND c.identifier_hash = si.identifier_hash AND c.change = 'add') as added_in_version
+            FROM suppression_identifiers si
+            JOIN suppression_lists sl ON si.list_id = sl.id
+            WHERE si.identifier_hash IN (SELECT value FROM json_each(?)) AND si.identifier_type = ?
+            ORDER BY si.advertiser_id, si.list_id
+        `, [JSON.stringify([].concat(identifierHash)), identifierType]);
+    }
+
+    async eraseIdentifiers(identifierHashes, identifierType) {
+        const hashes = JSON.stringify([].concat(identifierHashes));
+        const lists = await this.db.all(`
+            SELECT id FROM suppression_lists sl
+            WHERE sl.identifier_type = ? AND (
+                EXISTS (SELECT 1 FROM suppression_identifiers si
+                        WHERE si.list_id = sl.id AND si.identifier_hash IN (SELECT value FROM json_each(?)))
+                OR EXISTS (SELECT 1 FROM suppression_list_changes c
+                           WHERE c.list_id = sl.id AND c.identifier_hash IN (SELECT value FROM json_each(?))))
+            ORDER BY sl.id
+        `, [identifierType, hashes, hashes]);
+
+        const results = [];
+        for (const { id: listId } of lists) {
+            let historyRemoved = 0;
+            const result = await this.applyMembershipChange(listId, 'erase', async () => {
+                const deletion = await this.db.run(`
+                    DELETE FROM suppression_identifiers WHERE list_id = ? AND identifier_hash IN (SELECT value FROM json_each(?))
+                `, [listId, hashes]);
+                const history = await this.db.run(`
+                    DELETE FROM suppression_list_changes WHERE list_id = ? AND identifier_hash IN (SELECT value FROM json_each(?))
+                `, [listId, hashes]);
+                historyRemoved = history.changes;
+
+                return { added: 0, removed: deletion.changes };
+            });
+            results.push({ list_id: listId, removed: result.removed, history_removed: historyRemoved, size: result.size, version: result.version });
+        }
+
+        return results;
+    }
+
+    async recordSnapshot(snapshot) {
+        await this.transaction(() => this.db.run(`
+            INSERT OR REPLACE INTO export_snapshots (path, advertiser_id, exported_at) VALUES (?, ?, ?)
+        `, [snapshot.path, snapshot.advertiser_id, snapshot.exported_at]));
+    }
+
+    async listSnapshots() {
+        return await this.db.all('SELECT * FROM export_snapshots ORDER BY exported_at, path');
+    }
+
+    async appendAuditEntry(entry, seal) {
+        // BEGIN IMMEDIATE holds the write lock from reading the head to the
+        // insert; the unique prev_hash index rejects a fork if anything slips by
+        return await this.transaction(async () => {
+            seal(await this.getLastAuditEntry());
+
+            const result = await this.db.run(`
+                INSERT INTO audit_log (id, created_at, action, actor, advertiser_id, list_id, details, prev_hash, entry_hash)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [entry.id, entry.created_at, entry.action, entry.actor, entry.advertiser_id, entry.list_id,
+                JSON.stringify(entry.details), entry.prev_hash, entry.entry_hash]);
+            return result.lastID;
+        });
+    }
+
+    async getLastAuditEntry() {
+        const row = await this.db.get('SELECT * FROM audit_log ORDER BY seq DESC LIMIT 1');
+        return row ? { ...row, details: JSON.parse(row.details) } : null;
+    }
+
+    async getAuditEntries({ filters = {}, order = 'asc', after = null, limit = 100 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        const comparisons = [
+            ['action', '=', filters.action],
+            ['actor', '=', filters.actor],
+            ['advertiser_id', '=', filters.advertiserId],
+            ['list_id', '=', filters.listId],
+            ['created_at', '>=', filters.from],
+            ['created_at', '<=', filters.to]
+        ];
+        for (const [column, operator, value] of comparisons) {
+            if (value !== undefined && value !== null) {
+                conditions.push(`${column} ${operator} ?`);
+                params.push(value);
+            }
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const { total } = await this.db.get(`SELECT COUNT(*) as total FROM audit_log ${where}`, params);
+
+        const direction = order === 'desc' ? 'DESC' : 'ASC';
+        const pageConditions = [...conditions];
+        const pageParams = [...params];
+        if (after !== null) {
+            pageConditions.push(`seq ${direction === 'ASC' ? '>' : '<'} ?`);
+            pageParams.push(after);
+        }
+
+        const rows = await this.db.all(`
+            SELECT * FROM audit_log
+            ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+            ORDER BY seq ${direction}
+            LIMIT ?
+        `, [...pageParams, limit]);
+
+        return { entries: rows.map(row => ({ ...row, details: JSON.parse(row.details) })), total };
+    }
+
+    async deleteAuditEntriesThrough(seq) {
+        const result = await this.transaction(() => this.db.run('DELETE FROM audit_log WHERE seq <= ?', [seq]));
+        return result.changes;
+    }
+
+    async listAdvertiserIds() {
+        const rows = await this.db.all('SELECT DISTINCT advertiser_id FROM suppression_lists ORDER BY advertiser_id');
+        return rows.map(row => row.advertiser_id);
+    }
+
+    async getStats(asOf = new Date().toISOString()) {
+        return await this.db.get(`
+            SELECT
+                COUNT(DISTINCT id) as total_lists,
+                COUNT(DISTINCT advertiser_id) as total_advertisers,
+                (SELECT COUNT(*) FROM suppression_identifiers si
+                 JOIN suppression_lists l ON l.id = si.list_id
+                 WHERE l.is_active = 1 AND l.deleted_at IS NULL) as total_identifiers,
+                COUNT(DISTINCT identifier_type) as identifier_types,
+                COUNT(CASE WHEN effective_from > ? THEN 1 END) as upcoming_lists,
+                COUNT(CASE WHEN effective_until <= ? THEN 1 END) as ended_lists,
+                COUNT(CASE WHEN (effective_from IS NULL OR effective_from <= ?)
+                            AND (effective_until IS NULL OR effective_until > ?) THEN 1 END) as live_lists
+            FROM suppression_lists
+            WHERE is_active = 1 AND deleted_at IS NULL
+        `, [asOf, asOf, asOf, asOf]);
+    }
+
+    // Pages through stored identifier values (members and change history) by
+    // rowid, committing each batch on its own so lookups, which only use
+    // identifier_hash, are never blocked for long
+    async rewriteIdentifiers(rewrite, { batchSize = 1000, onBatch = () => {} } = {}) {
+        let scanned = 0;
+        let rewritten = 0;
+        let batches = 0;
+
+        for (const table of ['suppression_identifiers', 'suppression_list_changes']) {
+            let lastRowId = 0;
+
+            while (true) {
+                const rows = await this.db.all(`
+                    SELECT rowid AS row_id, identifier FROM ${table} WHERE rowid > ? ORDER BY rowid LIMIT ?
+                `, [lastRowId, batchSize]);
+                if (rows.length === 0) break;
+                lastRowId = rows[rows.length - 1].row_id;
+
+                await this.transaction(async () => {
+                    for (const row of rows) {
+                        const identifier = rewrite(row.identifier);
+                        if (identifier === null || identifier === row.identifier) continue;
+
+                        // Skip rows changed since they were read
+                        const result = await this.db.run(`
+                            UPDATE ${table} SET identifier = ? WHERE rowid = ? AND identifier = ?
+                        `, [identifier, row.row_id, row.identifier]);
+                        rewritten += result.changes;
+                    }
+                });
+
+                scanned += rows.length;
+                onBatch({ scanned, rewritten, batches: ++batches });
+            }
+        }
+
+        return { scanned, rewritten, batches };
+    }
+
+    // Integrity checks
+
+    async findOrphans() {
+        const orphans = [];
+
+        for (const table of LIST_CHILD_TABLES) {
+            const rows = await this.db.all(`
+                SELECT list_id, COUNT(*) as rows FROM ${table}
+                WHERE list_id NOT IN (SELECT id FROM suppression_lists)
+                GROUP BY list_id ORDER BY list_id
+            `);
+            orphans.push(...rows.map(row => ({ table, ...row })));
+        }
+
+        return orphans;
+    }
+
+    async deleteOrphans() {
+        return await this.transaction(async () => {
+            let deleted = 0;
+            for (const table of LIST_CHILD_TABLES) {
+                const result = await this.db.run(`DELETE FROM ${table} WHERE list_id NOT IN (SELECT id FROM suppression_lists)`);
+                deleted += result.changes;
+            }
+
+            return deleted;
+        });
+    }
+
+    async findTypeMismatches() {
+        return await this.db.all(`
+            SELECT si.list_id, si.identifier_hash, si.identifier_type, sl.identifier_type as list_identifier_type
+            FROM suppression_identifiers si
+            JOIN suppression_lists sl ON sl.id = si.list_id
+            WHERE si.identifier_type IS NOT sl.identifier_type
+            ORDER BY si.list_id, si.identifier_hash
+        `);
+    }
+
+    async fixTypeMismatches() {
+        const result = await this.transaction(() => this.db.run(`
+            UPDATE suppression_identifiers
+            SET identifier_type = (SELECT sl.identifier_type FROM suppression_lists sl WHERE sl.id = suppression_identifiers.list_id)
+            WHERE list_id IN (SELECT id FROM suppression_lists)
+              AND identifier_type IS NOT (SELECT sl.identifier_type FROM suppression_lists sl WHERE sl.id = suppression_identifiers.list_id)
+        `));
+        return result.changes;
+    }
+
+    async repairMembers(listId, { remove = [], add = [] }) {
+        const list = await this.getList(listId);
+
+        return await this.applyMembershipChange(listId, 'repair', async (version) => {
+            let added = 0;
+            let removed = 0;
+
+            for (const member of remove) {
+                const result = await this.db.run(`
+                    DELETE FROM suppression_identifiers WHERE list_id = ? AND identifier_hash = ?
+                `, [listId, member.identifier_hash]);
+                if (result.changes > 0) {
+                    await this.db.run(`
+                        INSERT INTO suppression_list_changes (list_id, version, identifier_hash, identifier, change)
+                        VALUES (?, ?, ?, ?, 'remove')
+                    `, [listId, version, member.identifier_hash, member.identifier]);
+                    removed++;
+                }
+            }
+
+            const addedAt = new Date().toISOString();
+            for (const member of add) {
+                const result = await this.db.run(`
+                    INSERT OR IGNORE INTO suppression_identifiers
+                    (list_id, identifier_hash, identifier, identifier_type, advertiser_id, added_at)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `, [listId, member.identifier_hash, member.identifier, list.identifier_type, list.advertiser_id, addedAt]);
+                if (result.changes > 0) {
+                    await this.db.run(`
+                        INSERT INTO suppression_list_changes (list_id, version, identifier_hash, identifier, change)
+                        VALUES (?, ?, ?, ?, 'add')
+                    `, [listId, version, member.identifier_hash, member.identifier]);
+                    added++;
+                }
+            }
+
+            return { added, removed };
+        });
+    }
+
+    async getStatsBy(dimension) {
+        if (!SuppressionStorage.STATS_DIMENSIONS.includes(dimension)) {
+            throw new Error(`Invalid stats dimension: ${dimension}`);
+        }
+
+        // Counted from membership rows, not the stored size column
+        return await this.db.all(`
+            SELECT
+                sl.${dimension},
+                COUNT(DISTINCT sl.id) as lists,
+                COUNT(DISTINCT sl.advertiser_id) as advertisers,
+                COUNT(DISTINCT sl.identifier_type) as identifier_types,
+                COUNT(si.identifier_hash) as identifiers,
+                COUNT(DISTINCT si.identifier_type || ':' || si.identifier_hash) as unique_identifiers
+            FROM suppression_lists sl
+            LEFT JOIN suppression_identifiers si ON si.list_id = sl.id
+            WHERE sl.is_active = 1 AND sl.deleted_at IS NULL
+            GROUP BY sl.${dimension}
+            ORDER BY sl.${dimension}
+        `);
+    }
+
+    async reconcileSizes({ dryRun = false } = {}) {
+        return await this.transaction(async () => {
+            const mismatches = await this.db.all(`
+                SELECT sl.id as list_id, sl.size as stored_size, COUNT(si.identifier_hash) as actual_size
+                FROM suppression_lists sl
+                LEFT JOIN suppression_identifiers si ON si.list_id = sl.id
+                GROUP BY sl.id
+                HAVING stored_size IS NOT actual_size
+                ORDER BY sl.id
+            `);
+
+            if (!dryRun) {
+                for (const { list_id, actual_size } of mismatches) {
+                    await this.db.run('UPDATE suppression_lists SET size = ? WHERE id = ?', [actual_size, list_id]);
+                }
+            }
+
+            return mismatches;
+        });
+    }
+
+    // Overlap is computed with self-joins on the membership table so large
+    // lists never leave the database; only the per-key counts come back.
+    async getOverlapCounts({ listIds, advertiserIds }) {
+        const ids = listIds || advertiserIds;
+        const placeholders = ids.map(() => '?').join(', ');
+
+        // Each key's distinct (identifier_type, identifier_hash) members. For
+        // advertisers that is everything their serving lists suppress.
+        const members = listIds
+            ? `SELECT list_id AS key, identifier_type, identifier_hash FROM suppression_identifiers
+               WHERE list_id IN (${placeholders})`
+            : `SELECT DISTINCT si.advertiser_id AS key, si.identifier_type, si.identifier_hash
+               FROM suppression_identifiers si
+               JOIN suppression_lists sl ON sl.id = si.list_id
+               WHERE si.advertiser_id IN (${placeholders}) AND sl.is_active = 1 AND sl.deleted_at IS NULL`;
+
+        const sizeRows = await this.db.all(`
+            WITH members AS (${members})
+            SELECT key, COUNT(*) AS size FROM members GROUP BY key
+        `, ids);
+        const intersections = await this.db.all(`
+            WITH members AS (${members})
+            SELECT a.key AS a, b.key AS b, COUNT(*) AS count
+            FROM members a
+            JOIN members b ON b.identifier_hash = a.identifier_hash
+                AND b.identifier_type = a.identifier_type
+                AND b.key > a.key
+            GROUP BY a.key, b.key
+        `, ids);
+
+        const sizes = {};
+        sizeRows.forEach(row => { sizes[row.key] = row.size; });
+        return { sizes, intersections };
+    }
+
+    // Runs one membership change in a transaction and records it as the next
+    // list version. `work(version)` returns { added, removed, restoredFrom? }.
+    async applyMembershipChange(listId, changeType, work) {
+        return await this.transaction(async () => {
+            const version = await this.getNextVersion(listId);
+            const { added, removed, restoredFrom = null } = await work(version);
+
+            let size;
+            if (added + removed === 0) {
+                // No-op changes leave the list, its last_updated and its history untouched
+                ({ size } = await this.db.get('SELECT size FROM suppression_lists WHERE id = ?', [listId]));
+            } else {
+                size = await this.refreshListSize(listId);
+                await this.db.run('UPDATE suppression_lists SET last_updated = ? WHERE id = ?', [new Date().toISOString(), listId]);
+                await this.recordVersion(listId, { version, changeType, added, removed, size, restoredFrom });
+            }
+
+            return {
+                added,
+                removed,
+                size,
+                version: added + removed > 0 ? version : null
+            };
+        });
+    }
+
+    // Makes the list's membership equal to the rows selected by targetSql
+    // (identifier_hash, identifier), logging adds/removes under `version`.
+    // Must run inside applyMembershipChange.
+    async replaceMembership(list, version, targetSql, params) {
+        await this.db.exec(`
+            CREATE TEMP TABLE IF NOT EXISTS membership_target (
+                identifier_hash TEXT PRIMARY KEY,
+                identifier TEXT NOT NULL
+            );
+            DELETE FROM membership_target;
+        `);
+        await this.db.run(`INSERT INTO membership_target (identifier_hash, identifier) ${targetSql}`, params);
+
+        await this.db.run(`
+            INSERT INTO suppression_list_changes (list_id, version, identifier_hash, identifier, change)
+            SELECT list_id, ?, identifier_hash, identifier, 'remove'
+            FROM suppression_identifiers
+            WHERE list_id = ? AND identifier_hash NOT IN (SELECT identifier_hash FROM membership_target)
+        `, [version, list.id]);
+        const removal = await this.db.run(`
+            DELETE FROM suppression_identifiers
+            WHERE list_id = ? AND identifier_hash NOT IN (SELECT identifier_hash FROM membership_target)
+        `, [list.id]);
+
+        await this.db.run(`
+            INSERT INTO suppression_list_changes (list_id, version, identifier_hash, identifier, change)
+            SELECT ?, ?, identifier_hash, identifier, 'add'
+            FROM membership_target
+            WHERE identifier_hash NOT IN (SELECT identifier_hash FROM suppression_identifiers WHERE list_id = ?)
+        `, [list.id, version, list.id]);
+        const addition = await this.db.run(`
+            INSERT INTO suppression_identifiers
+            (list_id, identifier_hash, identifier, identifier_type, advertiser_id, added_at)
+            SELECT ?, identifier_hash, identifier, ?, ?, ?
+            FROM membership_target
+            WHERE identifier_hash NOT IN (SELECT identifier_hash FROM suppression_identifiers WHERE list_id = ?)
+        `, [list.id, list.identifier_type, list.advertiser_id, new Date().toISOString(), list.id]);
+
+        await this.db.run('DELETE FROM membership_target');
+
+        return { added: addition.changes, removed: removal.changes };
+    }
+
+    async getNextVersion(listId) {
+        const { version } = await this.db.get(`
+            SELECT COALESCE(MAX(version), 0) + 1 as version FROM suppression_list_versions WHERE list_id = ?
+        `, [listId]);
+        return version;
+    }
+
+    async refreshListSize(listId) {
+        const { count } = await this.db.get(`
+            SELECT COUNT(*) as count FROM suppression_identifiers WHERE list_id = ?
+        `, [listId]);
+
+        await this.db.run('UPDATE suppression_lists SET size = ? WHERE id = ?', [count, listId]);
+        return count;
+    }
+
+    async recordVersion(listId, { version, changeType, added, removed, size, restoredFrom = null }) {
+        await this.db.run(`
+            INSERT INTO suppression_list_versions
+            (list_id, version, change_type, added_count, removed_count, size, restored_from, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [listId, version, changeType, added, removed, size, restoredFrom, new Date().toISOString()]);
+    }
+}
+
+module.exports = SqliteSuppressionStorage;
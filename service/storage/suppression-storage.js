@@ -0,0 +1,156 @@
+/**
+ * Storage interface for suppression lists.
+ *
+ * SuppressionListManager and everything above it talk to storage only through
+ * these methods, so backends can change without touching business logic.
+ * Identifiers arrive already validated and hashed; backends persist them and
+ * keep list size, last_updated and version history consistent.
+ *
+ * List rows use the suppression_lists column names (id, advertiser_id, name,
+ * description, identifier_type, created_at, submitted_at, last_updated, size,
+ * is_active, deleted_at, effective_from, effective_until, campaign_ids,
+ * banner_ids, derivation, auto_refresh). Members are { identifier_hash, identifier } pairs. campaign_ids
+ * and banner_ids are stored as given (JSON text) and returned by lookups.
+ *
+ * Lists with deleted_at set are in the trash: listLists skips them unless asked
+ * (filters.trashed), and they never match lookups or count towards stats.
+ * deleteList removes a list and its history for good; it refuses a list that
+ * derived lists are still built from, which have to be detached first.
+ *
+ * effective_from/effective_until bound when a list serves: lookups at `asOf`
+ * only match lists with effective_from <= asOf < effective_until (NULL = open).
+ *
+ * Derived lists (derivation = 'union' | 'intersection' | 'difference') are
+ * built from source lists of the same identifier_type; auto_refresh marks the
+ * ones the manager rebuilds whenever a source changes.
+ */
+class SuppressionStorage {
+    // Lifecycle
+    async initialize() { throw new Error(`${this.constructor.name}.initialize not implemented`); }
+    async close() { throw new Error(`${this.constructor.name}.close not implemented`); }
+    async getPendingMigrations() { return []; }
+    // Runs work(), an async function making storage calls, as one atomic
+    // change where the backend supports it; returns what work returns
+    async transaction(work) { throw new Error(`${this.constructor.name}.transaction not implemented`); }
+
+    // List CRUD
+    async createList(list, members) { throw new Error(`${this.constructor.name}.createList not implemented`); }
+    // Same result as createList, written in committed batches that other writes
+    // may run between, with the list inactive until the last; onProgress({ rowsWritten, totalRows, batches }) after each batch, with
+    // rowsWritten counting new rows only. beforeActivate(size) runs inside the
+    // transaction that makes the list serve.
+    async bulkCreateList(list, members, options) { throw new Error(`${this.constructor.name}.bulkCreateList not implemented`); }
+    async getList(listId) { throw new Error(`${this.constructor.name}.getList not implemented`); }
+    async listLists(filters) { throw new Error(`${this.constructor.name}.listLists not implemented`); }
+    // query: { filters, sortBy, sortOrder, after, limit }. filters: name (substring,
+    // case-insensitive), advertiserId, identifierType, status ('active' | 'inactive' |
+    // 'trashed' | 'all'; default excludes trashed), createdFrom/createdTo,
+    // updatedFrom/updatedTo, minSize/maxSize (all inclusive). Rows are ordered by
+    // sortBy then id and start after the keyset `after` = { value, id }.
+    // Returns { lists, total } where total ignores after/limit.
+    async searchLists(query) { throw new Error(`${this.constructor.name}.searchLists not implemented`); }
+    async updateList(listId, fields) { throw new Error(`${this.constructor.name}.updateList not implemented`); }
+    async deleteList(listId) { throw new Error(`${this.constructor.name}.deleteList not implemented`); }
+
+    // Membership
+    async addMembers(listId, members) { throw new Error(`${this.constructor.name}.addMembers not implemented`); }
+    async removeMembers(listId, members) { throw new Error(`${this.constructor.name}.removeMembers not implemented`); }
+    async getListsWithMembersAddedBefore(cutoff) { throw new Error(`${this.constructor.name}.getListsWithMembersAddedBefore not implemented`); }
+    // Removes one list's members added before cutoff as a 'retention' version;
+    // returns { added, removed, size, version } like removeMembers
+    async removeMembersAddedBefore(listId, cutoff) { throw new Error(`${this.constructor.name}.removeMembersAddedBefore not implemented`); }
+    async getMembers(listId) { throw new Error(`${this.constructor.name}.getMembers not implemented`); }
+    async getMembersPage(listId, page) { throw new Error(`${this.constructor.name}.getMembersPage not implemented`); }
+    async hasMember(listId, identifierHash) { throw new Error(`${this.constructor.name}.hasMember not implemented`); }
+
+    // Versions
+    async getListVersions(listId) { throw new Error(`${this.constructor.name}.getListVersions not implemented`); }
+    async getListVersion(listId, version) { throw new Error(`${this.constructor.name}.getListVersion not implemented`); }
+    async getMembersAtVersion(listId, version) { throw new Error(`${this.constructor.name}.getMembersAtVersion not implemented`); }
+    async rollbackList(listId, version) { throw new Error(`${this.constructor.name}.rollbackList not implemented`); }
+
+    // Derived lists. Membership is computed by the backend from the sources'
+    // current members; difference keeps the first source minus all the others.
+    // createDerivedList(list, { operation, sourceListIds, autoRefresh }) -> size
+    async createDerivedList(list, derivation) { throw new Error(`${this.constructor.name}.createDerivedList not implemented`); }
+    // Recomputes membership as a 'refresh' version; same result shape as rollbackList
+    async refreshDerivedList(listId) { throw new Error(`${this.constructor.name}.refreshDerivedList not implemented`); }
+    async getListSources(listId) { throw new Error(`${this.constructor.name}.getListSources not implemented`); }
+    async getDependentLists(sourceListId) { throw new Error(`${this.constructor.name}.getDependentLists not implemented`); }
+    // Makes a derived list a plain one: members stay, derivation, auto_refresh
+    // and sources are cleared. Returns false when the list does not exist.
+    async detachDerivedList(listId) { throw new Error(`${this.constructor.name}.detachDerivedList not implemented`); }
+
+    // Lookup and stats. identifierHash may be an array to match any of several
+    // hashes (keyed hashing); rows carry the identifier_hash they matched.
+    async findListsForIdentifier(identifierHash, identifierType, asOf) { throw new Error(`${this.constructor.name}.findListsForIdentifier not implemented`); }
+    // Calls rewrite(identifier) for every stored identifier value (members and
+    // change history) and stores its result unless it returns null. Batches of
+    // batchSize are committed separately; onBatch({ scanned, rewritten, batches }).
+    // Returns { scanned, rewritten, batches }.
+    async rewriteIdentifiers(rewrite, options) { throw new Error(`${this.constructor.name}.rewriteIdentifiers not implemented`); }
+
+    // Integrity checks (see IntegrityChecker). Orphans are rows in list child
+    // tables whose list no longer exists: [{ table, list_id, rows }]
+    async findOrphans() { throw new Error(`${this.constructor.name}.findOrphans not implemented`); }
+    async deleteOrphans() { throw new Error(`${this.constructor.name}.deleteOrphans not implemented`); }
+    // Members whose identifier_type differs from their list's:
+    // [{ list_id, identifier_hash, identifier_type, list_identifier_type }]
+    async findTypeMismatches() { throw new Error(`${this.constructor.name}.findTypeMismatches not implemented`); }
+    // Resets those members to their list's type; returns the number fixed
+    async fixTypeMismatches() { throw new Error(`${this.constructor.name}.fixTypeMismatches not implemented`); }
+    // Removes and adds members as a single 'repair' version; same result shape as addMembers
+    async repairMembers(listId, changes) { throw new Error(`${this.constructor.name}.repairMembers not implemented`); }
+
+    // Pairwise overlap for listIds or advertiserIds (active, untrashed lists).
+    // Members are keyed by (identifier_type, identifier_hash). Returns
+    // { sizes: { key: distinct members }, intersections: [{ a, b, count }] } with
+    // a < b; keys without members or pairs without overlap are omitted.
+    async getOverlapCounts(scope) { throw new Error(`${this.constructor.name}.getOverlapCounts not implemented`); }
+    // Every list holding the identifier whatever its state (inactive, trashed,
+    // outside its flight window), with list_version (latest) and
+    // added_in_version (version that last added the identifier)
+    async findMembershipsForIdentifier(identifierHash, identifierType) { throw new Error(`${this.constructor.name}.findMembershipsForIdentifier not implemented`); }
+    // Every advertiser with a list in any state, sorted
+    async listAdvertiserIds() { throw new Error(`${this.constructor.name}.listAdvertiserIds not implemented`); }
+
+    // Erasure. Removes the hashes from every list of identifierType in any state,
+    // both as members (an 'erase' version) and from change history, so no
+    // earlier version or rollback brings them back:
+    // [{ list_id, removed, history_removed, size, version }]
+    async eraseIdentifiers(identifierHashes, identifierType) { throw new Error(`${this.constructor.name}.eraseIdentifiers not implemented`); }
+    // Exports erasure has to clean: { path, advertiser_id, exported_at }, one per path
+    async recordSnapshot(snapshot) { throw new Error(`${this.constructor.name}.recordSnapshot not implemented`); }
+    async listSnapshots() { throw new Error(`${this.constructor.name}.listSnapshots not implemented`); }
+    // Audit entries: { id, created_at, action, actor, advertiser_id, list_id,
+    // details, prev_hash, entry_hash } with details a plain object. Appending
+    // reads the newest entry and inserts after it as one atomic step:
+    // seal(last) sets entry.prev_hash and entry.entry_hash (last is null for
+    // the first entry). Assigns and returns the next seq.
+    async appendAuditEntry(entry, seal) { throw new Error(`${this.constructor.name}.appendAuditEntry not implemented`); }
+    // Entry with the highest seq, or null
+    async getLastAuditEntry() { throw new Error(`${this.constructor.name}.getLastAuditEntry not implemented`); }
+    // query: { filters: { action, actor, advertiserId, listId, from, to }, order
+    // ('asc' | 'desc' by seq), after (seq to continue past), limit }.
+    // Returns { entries, total } with total counting every filtered entry.
+    async getAuditEntries(query) { throw new Error(`${this.constructor.name}.getAuditEntries not implemented`); }
+    // Deletes entries with seq <= seq once they are archived; seqs are never
+    // reused. Returns the number deleted.
+    async deleteAuditEntriesThrough(seq) { throw new Error(`${this.constructor.name}.deleteAuditEntriesThrough not implemented`); }
+    // Totals plus upcoming_lists/live_lists/ended_lists relative to asOf.
+    // Identifier counts come from membership rows, never the size column.
+    async getStats(asOf) { throw new Error(`${this.constructor.name}.getStats not implemented`); }
+    // Active, untrashed lists grouped by dimension (a STATS_DIMENSIONS entry):
+    // [{ <dimension>, lists, advertisers, identifier_types, identifiers, unique_identifiers }]
+    async getStatsBy(dimension) { throw new Error(`${this.constructor.name}.getStatsBy not implemented`); }
+    // Lists whose stored size differs from their membership rows, as
+    // [{ list_id, stored_size, actual_size }]; fixed unless dryRun
+    async reconcileSizes(options) { throw new Error(`${this.constructor.name}.reconcileSizes not implemented`); }
+}
+
+// Columns searchLists can sort by
+SuppressionStorage.SEARCH_SORT_FIELDS = ['name', 'advertiser_id', 'created_at', 'last_updated', 'size'];
+// Columns getStatsBy can group by
+SuppressionStorage.STATS_DIMENSIONS = ['advertiser_id', 'identifier_type'];
+
+module.exports = SuppressionStorage;
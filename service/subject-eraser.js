@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+
+// Leading advertiser_id, identifier_type and identifier fields of an export row
+const SNAPSHOT_ROW_PATTERN = /^"([^"]*)","([^"]*)","([^"]*)"/;
+
+// Right-to-erasure for one data subject. Removes their identifiers from every
+// list in any state (members and version history), strips them from the CSV
+// exports the store knows about and records an audit entry. Neither the audit
+// entry nor the receipt contains identifiers or their hashes.
+class SubjectEraser {
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    async erase(identifiers) {
+        const manager = this.manager;
+        const subjects = manager.subjectKeys(identifiers);
+        if (subjects.length === 0) {
+            throw new Error('No identifiers to erase');
+        }
+
+        const receiptId = crypto.randomUUID();
+        const erasedAt = new Date().toISOString();
+
+        // Export rewrites are staged to temporary files before the store's
+        // write lock is taken and renamed into place only after the erasure
+        // and its audit entry commit, so a rollback leaves every file as it was
+        const staged = [];
+        for (const snapshot of await manager.storage.listSnapshots()) {
+            staged.push(await this.stageSnapshot(snapshot, subjects));
+        }
+
+        let receipt;
+        try {
+            receipt = await manager.storage.transaction(async () => {
+                const lists = new Map();
+
+                for (const subject of subjects) {
+                    const hashes = await manager.storedHashes(subject);
+                    if (hashes.length === 0) continue;
+
+                    for (const row of await manager.storage.eraseIdentifiers(hashes, subject.identifierType)) {
+                        if (!lists.has(row.list_id)) {
+                            const list = await manager.storage.getList(row.list_id);
+                            lists.set(row.list_id, {
+                                listId: row.list_id,
+                                advertiserId: list.advertiser_id,
+                                listName: list.name,
+                                identifierType: list.identifier_type,
+                                removed: 0,
+                                historyRowsRemoved: 0,
+                                version: null,
+                                size: row.size
+                            });
+                        }
+
+                        const entry = lists.get(row.list_id);
+                        entry.removed += row.removed;
+                        entry.historyRowsRemoved += row.history_removed;
+                        entry.version = row.version ?? entry.version;
+                        entry.size = row.size;
+                    }
+                }
+
+                const affected = Array.from(lists.values());
+                const receipt = {
+                    receiptId,
+                    erasedAt,
+                    identifierTypes: Array.from(new Set(subjects.map(subject => subject.identifierType))),
+                    lists: affected,
+                    rowsRemoved: affected.reduce((sum, entry) => sum + entry.removed, 0),
+                    historyRowsRemoved: affected.reduce((sum, entry) => sum + entry.historyRowsRemoved, 0)
+                };
+
+                await manager.audit('SUBJECT_ERASED', {
+                    id: receiptId,
+                    details: {
+                        identifierTypes: receipt.identifierTypes,
+                        listIds: affected.map(entry => entry.listId),
+                        rowsRemoved: receipt.rowsRemoved,
+                        historyRowsRemoved: receipt.historyRowsRemoved,
+                        snapshotsPurged: staged.filter(snapshot => snapshot.tempPath).map(snapshot => snapshot.path)
+                    }
+                });
+
+                return receipt;
+            });
+        } catch (error) {
+            for (const snapshot of staged) this.discardStaged(snapshot);
+            throw error;
+        }
+
+        receipt.snapshots = staged.map(snapshot => this.commitStaged(snapshot));
+
+        console.log(`[SubjectEraser] Erasure ${receiptId}: ${receipt.rowsRemoved} rows from ${receipt.lists.length} lists, ${receipt.snapshots.length} snapshots checked`);
+        return receipt;
+    }
+
+    // Writes a copy of an export without the subject's rows to a temporary
+    // file. Only copies that removed something keep their tempPath, for
+    // commitStaged to rename over the export.
+    async stageSnapshot(snapshot, subjects) {
+        const result = { path: snapshot.path, advertiserId: snapshot.advertiser_id, exportedAt: snapshot.exported_at, rowsRemoved: 0 };
+        const erased = new Set(subjects.map(subject => `${subject.identifierType}:${subject.hash}`));
+        const tempPath = `${snapshot.path}.erasure-${process.pid}`;
+
+        if (!fs.existsSync(snapshot.path)) {
+            return { ...result, status: 'missing' };
+        }
+
+        try {
+            const output = fs.createWriteStream(tempPath, { mode: fs.statSync(snapshot.path).mode });
+            const lines = readline.createInterface({ input: fs.createReadStream(snapshot.path), crlfDelay: Infinity });
+
+            for await (const line of lines) {
+                if (this.matchesSubject(line, erased)) {
+                    result.rowsRemoved++;
+                } else if (!output.write(line + '\n')) {
+                    await new Promise(resolve => output.once('drain', resolve));
+                }
+            }
+            await new Promise((resolve, reject) => output.end(error => error ? reject(error) : resolve()));
+
+            if (result.rowsRemoved > 0) {
+                return { ...result, status: 'purged', tempPath };
+            }
+            fs.unlinkSync(tempPath);
+            return { ...result, status: 'clean' };
+        } catch (error) {
+            if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+            console.warn(`[SubjectEraser] Could not purge snapshot ${snapshot.path}:`, error.message);
+            return { ...result, rowsRemoved: 0, status: 'failed', error: error.message };
+        }
+    }
+
+    // Replaces the export with its staged copy; returns the receipt entry
+    commitStaged(snapshot) {
+        const { tempPath, ...result } = snapshot;
+        if (!tempPath) return result;
+
+        try {
+            fs.renameSync(tempPath, snapshot.path);
+            return result;
+        } catch (error) {
+            this.discardStaged(snapshot);
+            console.warn(`[SubjectEraser] Could not purge snapshot ${snapshot.path}:`, error.message);
+            return { ...result, rowsRemoved: 0, status: 'failed', error: error.message };
+        }
+    }
+
+    discardStaged(snapshot) {
+        if (snapshot.tempPath && fs.existsSync(snapshot.tempPath)) fs.unlinkSync(snapshot.tempPath);
+    }
+
+    matchesSubject(line, erased) {
+        const match = SNAPSHOT_ROW_PATTERN.exec(line);
+        if (!match) return false;
+
+        const [, , identifierType, identifier] = match;
+        try {
+            return erased.has(`${identifierType}:${this.manager.hashIdentifier(identifier, identifierType)}`);
+        } catch (error) {
+            // A value the current rules cannot normalize
+            return false;
+        }
+    }
+}
+
+module.exports = SubjectEraser;
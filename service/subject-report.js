@@ -0,0 +1,48 @@
+// Data subject access reports: which advertisers hold a person's identifiers.
+// The manager builds the JSON form; Falcon adds logged decisions. Reports
+// never echo the identifiers or their hashes, only their types.
+
+const REPORT_FORMATS = ['json', 'text'];
+
+function validateReportFormat(format) {
+    if (!REPORT_FORMATS.includes(format)) {
+        throw new Error(`Invalid report format: ${format}. Expected one of ${REPORT_FORMATS.join(', ')}`);
+    }
+    return format;
+}
+
+// Readable rendering of a report for the privacy team
+function formatSubjectReport(report) {
+    const lines = [
+        'Data subject access report',
+        `Generated: ${report.generatedAt}`,
+        `Identifier types: ${report.identifierTypes.join(', ')}`,
+        '',
+        `Advertisers holding data: ${report.summary.advertisers} (${report.summary.lists} lists)`
+    ];
+
+    for (const advertiser of report.advertisers) {
+        lines.push(`  ${advertiser.advertiserId}`);
+        for (const list of advertiser.lists) {
+            lines.push(`    - ${list.listName} (${list.listId}): ${list.identifierType} added ${list.addedAt}` +
+                `${list.addedInVersion ? ` in version ${list.addedInVersion}` : ''}, list ${list.status}`);
+        }
+    }
+
+    lines.push('');
+    if (report.decisions === null) {
+        lines.push('Recent suppression decisions: decision logging is not enabled');
+    } else {
+        lines.push(`Recent suppression decisions: ${report.decisions.length}`);
+        for (const decision of report.decisions) {
+            const suppressed = decision.suppressedAdvertisers.length > 0 ? decision.suppressedAdvertisers.join(', ') : 'none';
+            lines.push(`  ${decision.decidedAt}: suppressed ${suppressed}` +
+                `${decision.suppressedBanners.length > 0 ? `; banners ${decision.suppressedBanners.join(', ')}` : ''}` +
+                `${decision.fromCache ? ' (cached)' : ''}`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { REPORT_FORMATS, validateReportFormat, formatSubjectReport };
@@ -1,6 +1,7 @@
 const csv = require('csv-parser');
 const fs = require('fs');
 const { Transform } = require('stream');
+const { once } = require('events');
 
 class SuppressionListImporter {
     constructor(manager) {
@@ -11,7 +12,8 @@ class SuppressionListImporter {
         const {
             batchSize = 1000,
             deduplicate = true,
-            validate = true
+            validate = true,
+            ingestion
         } = options;
 
         return new Promise((resolve, reject) => {
@@ -29,12 +31,18 @@ class SuppressionListImporter {
                         try {
                             const {
                                 advertiser_id,
-                                identifier_type,
-                                identifier,
                                 list_name,
                                 notes,
                                 submitted_at
                             } = row;
+                            let { identifier_type, identifier } = row;
+
+                            // Raw emails/phones are hashed here so the raw value never leaves the row
+                            const { rawIngestion } = this.manager;
+                            if (rawIngestion.isRawType(identifier_type)) {
+                                identifier = rawIngestion.hash(identifier_type, identifier, ingestion);
+                                identifier_type = rawIngestion.hashedTypeFor(identifier_type);
+                            }
 
                             // Group by advertiser_id + list_name + identifier_type
                             const listKey = `${advertiser_id}_${list_name}_${identifier_type}`;
@@ -50,11 +58,11 @@ class SuppressionListImporter {
                                 });
                             }
 
-                            if (validate) {
-                                this.validateIdentifier(identifier, identifier_type);
-                            }
+                            const normalized = validate
+                                ? this.validateIdentifier(identifier, identifier_type)
+                                : identifier;
 
-                            listsMap.get(listKey).identifiers.add(identifier);
+                            listsMap.get(listKey).identifiers.add(normalized);
                             processedCount++;
 
                             callback();
@@ -68,6 +76,8 @@ class SuppressionListImporter {
                         console.log(`[Importer] Processed ${processedCount} rows, ${errorCount} errors`);
 
                         try {
+                            const imported = new Map(); // advertiser_id -> created list ids
+
                             // Create lists from grouped data
                             for (const [listKey, listData] of listsMap) {
                                 const identifiers = Array.from(listData.identifiers);
@@ -76,11 +86,21 @@ class SuppressionListImporter {
                                     listData.identifiers = this.deduplicateIdentifiers(identifiers, listData.identifier_type);
                                 }
 
-                                await this.manager.createList({
+                                const list = await this.manager.createList({
                                     ...listData,
                                     identifiers
                                 });
                                 console.log(`[Importer] Created list: ${listData.name} with ${identifiers.length} identifiers`);
+
+                                if (!imported.has(list.advertiser_id)) imported.set(list.advertiser_id, []);
+                                imported.get(list.advertiser_id).push(list.id);
+                            }
+
+                            for (const [advertiserId, listIds] of imported) {
+                                await this.manager.audit('IMPORT_COMPLETED', {
+                                    advertiserId,
+                                    details: { source: filePath, listIds, rowsProcessed: processedCount, rowErrors: errorCount }
+                                });
                             }
 
                             resolve({
@@ -98,8 +118,9 @@ class SuppressionListImporter {
         });
     }
 
-    async exportToCSV(advertiserId, outputPath) {
-        const lists = await this.manager.getListsByAdvertiser(advertiserId);
+    async exportToCSV(advertiserId, outputPath, options = {}) {
+        const { batchSize = 1000 } = options;
+        const lists = await this.manager.getListsByAdvertiser(advertiserId, { include_identifiers: false });
         
         const csvStream = fs.createWriteStream(outputPath);
         csvStream.write('advertiser_id,identifier_type,identifier,list_name,notes,submitted_at\n');
@@ -107,7 +128,8 @@ class SuppressionListImporter {
         let exportedCount = 0;
 
         for (const list of lists) {
-            for (const identifier of list.identifiers) {
+            // Stream identifiers page by page so large lists never sit in memory
+            for await (const identifier of this.manager.streamListIdentifiers(list.id, { batchSize })) {
                 const row = [
                     list.advertiser_id,
                     list.identifier_type,
@@ -117,19 +139,21 @@ class SuppressionListImporter {
                     list.submitted_at
                 ].map(field => `"${field}"`).join(',');
 
-                csvStream.write(row + '\n');
+                if (!csvStream.write(row + '\n')) {
+                    await once(csvStream, 'drain');
+                }
                 exportedCount++;
             }
         }
 
         csvStream.end();
 
-        return new Promise((resolve) => {
-            csvStream.on('finish', () => {
-                console.log(`[Importer] Exported ${exportedCount} identifiers to ${outputPath}`);
-                resolve(exportedCount);
-            });
-        });
+        await once(csvStream, 'finish');
+        // Erasure requests have to reach exported copies too
+        await this.manager.recordSnapshot(outputPath, advertiserId);
+
+        console.log(`[Importer] Exported ${exportedCount} identifiers to ${outputPath}`);
+        return exportedCount;
     }
 
     deduplicateIdentifiers(identifiers, identifierType) {
@@ -148,25 +172,13 @@ class SuppressionListImporter {
         return deduped;
     }
 
+    // Same rules the manager applies on write and lookup
     normalizeIdentifier(identifier, identifierType) {
-        if (identifierType === 'email_hash') {
-            return identifier.toLowerCase();
-        } else if (identifierType === 'device_id') {
-            return identifier.toLowerCase().replace(/[^a-f0-9-]/g, '');
-        }
-        return identifier;
+        return this.manager.validator.normalize(identifierType, identifier);
     }
 
     validateIdentifier(identifier, identifierType) {
-        if (identifierType === 'email_hash') {
-            if (!/^[a-f0-9]{64}$/i.test(identifier)) {
-                throw new Error(`Invalid email_hash: ${identifier}`);
-            }
-        } else if (identifierType === 'device_id') {
-            if (!/^[a-f0-9-]+$/i.test(identifier)) {
-                throw new Error(`Invalid device_id: ${identifier}`);
-            }
-        }
+        return this.manager.validator.validate(identifierType, identifier);
     }
 
     async getImportMetrics() {
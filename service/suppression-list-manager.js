@@ -1,75 +1,108 @@
-const sqlite3 = require('sqlite3').verbose();
-const { open } = require('sqlite');
-const path = require('path');
-const fs = require('fs');
 const crypto = require('crypto');
+const path = require('path');
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const SuppressionStorage = require('./storage/suppression-storage');
+const SqliteSuppressionStorage = require('./storage/sqlite-storage');
+const { sha256 } = require('./identifier-types');
+const IdentifierValidator = require('./identifier-validation');
+const { RawIdentifierIngestion } = require('./raw-identifier-ingestion');
+const { normalizeFlightWindow, flightStatus } = require('./flight-window');
+const CampaignCatalog = require('./campaign-catalog');
+const IntegrityChecker = require('./integrity-checker');
+const EncryptionService = require('./encryption-service');
+const SubjectEraser = require('./subject-eraser');
+const AuditLog = require('./audit-log');
+const AuditArchive = require('./audit-archive');
+const { validateReportFormat, formatSubjectReport } = require('./subject-report');
 
-class SuppressionListManager {
-    constructor(dbPath = '../data/suppression_lists.db') {
-        this.dbPath = dbPath;
-        this.db = null;
+const DEFAULT_PAGE_SIZE = 1000;
+const MAX_PAGE_SIZE = 10000;
+const DEFAULT_TRASH_GRACE_PERIOD_DAYS = 30;
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_SEARCH_LIMIT = 500;
+const SEARCH_STATUSES = ['active', 'inactive', 'trashed', 'all'];
+const SET_OPERATIONS = ['union', 'intersection', 'difference'];
+const MAX_OVERLAP_ITEMS = 100;
+const DEFAULT_ADVERTISER_CACHE_TTL_MS = 60 * 1000;
+
+class SuppressionListManager extends EventEmitter {
+    // Accepts a SQLite database path (as before) or any SuppressionStorage backend.
+    // options.validationMode is 'strict' or 'lenient' (see identifier-validation.js);
+    // options.ingestion configures raw email/phone handling (see raw-identifier-ingestion.js);
+    // options.trashGracePeriodDays is how long deleted lists can be restored;
+    // options.campaignCatalog checks campaign/banner targets (defaults to ad_server_config.json);
+    // options.encryption (an EncryptionService) encrypts stored identifier values at rest;
+    // options.keyedHasher (a KeyedHasher) stores per-advertiser HMAC hashes instead of plain SHA-256
+    // and needs options.encryption, since plaintext values would give the hashes away;
+    // options.advertiserCacheTtlMs bounds how long keyed lookups reuse the advertiser set
+    // (lists created by other processes are seen after at most this long);
+    // options.actor names who is acting in audit entries outside runAs (default 'system');
+    // options.auditArchiveDir is where archiveAuditLog moves old audit entries
+    constructor(storage = '../data/suppression_lists.db', options = {}) {
+        super();
+        this.storage = storage instanceof SuppressionStorage
+            ? storage
+            : new SqliteSuppressionStorage(storage);
+        this.validator = options.validator || new IdentifierValidator({
+            registry: options.identifierTypes,
+            mode: options.validationMode
+        });
+        this.identifierTypes = this.validator.registry;
+        this.rawIngestion = new RawIdentifierIngestion(options.ingestion);
+        this.trashGracePeriodDays = options.trashGracePeriodDays ?? DEFAULT_TRASH_GRACE_PERIOD_DAYS;
+        this.campaignCatalog = options.campaignCatalog || null;
+        this.encryption = options.encryption || null;
+        this.keyedHasher = options.keyedHasher || null;
+        this.advertiserCacheTtlMs = options.advertiserCacheTtlMs ?? DEFAULT_ADVERTISER_CACHE_TTL_MS;
+        this.advertiserIds = null; // { loadedAt, ids: Promise<string[]> }
+        if (this.keyedHasher && !this.encryption) {
+            throw new Error('Keyed hashing requires encryption: stored identifier values would otherwise stay readable');
+        }
+        this.defaultActor = options.actor || 'system';
+        this.actorScope = new AsyncLocalStorage();
+        this.auditArchive = options.auditArchiveDir ? new AuditArchive(options.auditArchiveDir) : null;
+        this.auditLog = new AuditLog(this.storage, { actor: () => this.currentActor(), archive: this.auditArchive });
         this.initialized = false;
     }
 
     async initialize() {
-        console.log('[SuppressionListManager] Initializing database at', this.dbPath);
-        if (this.dbPath !== ':memory:') {
-            const dir = path.dirname(this.dbPath);
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-                console.log(`[SuppressionListManager] Created directory: ${dir}`);
-            }
-        }
+        console.log(`[SuppressionListManager] Initializing ${this.storage.constructor.name}...`);
 
         try {
-            this.db = await open({
-                filename: this.dbPath,
-                driver: sqlite3.Database
-            });
-
-            console.log('[SuppressionListManager] Setting up database schema...');
-
-            // Create optimized schema for fast lookups
-            await this.db.exec(`
-            CREATE TABLE IF NOT EXISTS suppression_lists (
-                id TEXT PRIMARY KEY,
-                advertiser_id TEXT NOT NULL,
-                name TEXT NOT NULL,
-                description TEXT,
-                identifier_type TEXT NOT NULL CHECK(identifier_type IN ('email_hash', 'device_id')),
-                created_at DATETIME NOT NULL,
-                submitted_at DATETIME NOT NULL,
-                last_updated DATETIME NOT NULL,
-                size INTEGER DEFAULT 0,
-                is_active BOOLEAN DEFAULT 1
-            );
-
-            CREATE TABLE IF NOT EXISTS suppression_identifiers (
-                identifier_hash TEXT PRIMARY KEY,
-                identifier TEXT NOT NULL,
-                identifier_type TEXT NOT NULL,
-                list_id TEXT NOT NULL,
-                advertiser_id TEXT NOT NULL,
-                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (list_id) REFERENCES suppression_lists(id) ON DELETE CASCADE
-            );
-
-            CREATE INDEX IF NOT EXISTS idx_identifier_lookup ON suppression_identifiers(identifier_hash, identifier_type);
-            CREATE INDEX IF NOT EXISTS idx_advertiser_lists ON suppression_lists(advertiser_id, identifier_type);
-            CREATE INDEX IF NOT EXISTS idx_list_identifiers ON suppression_identifiers(list_id);
-            CREATE INDEX IF NOT EXISTS idx_identifier_type ON suppression_identifiers(identifier_type, identifier_hash);
-        `);
+            await this.storage.initialize();
 
             this.initialized = true;
-            console.log('[SuppressionListManager] Database initialized with optimized indexes');
+            console.log('[SuppressionListManager] Storage initialized');
         } catch (error) {
-            console.log('[SuppressionListManager] Database initialization failed:', error);
+            console.log('[SuppressionListManager] Storage initialization failed:', error);
             throw error;
         }
     }
 
-    async createList(listData) {
+    async close() {
+        await this.storage.close();
+        this.initialized = false;
+    }
+
+    async getPendingMigrations() {
         if (!this.initialized) await this.initialize();
+        return await this.storage.getPendingMigrations();
+    }
+
+    // options.bulk loads identifiers in committed batches of options.batchSize
+    // and emits 'progress' events ({ listId, rowsWritten, totalRows, batches, elapsedMs }).
+    // identifier_type 'email' or 'phone' takes raw values, stored only as SHA-256
+    // hashes in an email_hash/phone_hash list; options.ingestion overrides the rules.
+    async createList(listData, options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        if (this.rawIngestion.isRawType(listData.identifier_type)) {
+            listData = {
+                ...listData,
+                ...this.rawIngestion.ingest(listData.identifier_type, listData.identifiers || [], options.ingestion)
+            };
+        }
 
         const {
             id = crypto.randomUUID(),
@@ -80,146 +113,615 @@ class SuppressionListManager {
             identifiers = [],
             created_at = new Date().toISOString(),
             submitted_at = new Date().toISOString(),
-            last_updated = new Date().toISOString()
+            last_updated = new Date().toISOString(),
+            effective_from = null,
+            effective_until = null,
+            campaign_ids = [],
+            banner_ids = []
         } = listData;
 
         // Validate identifier type
-        if (!['email_hash', 'device_id'].includes(identifier_type)) {
+        if (!this.identifierTypes.has(identifier_type)) {
             throw new Error(`Invalid identifier type: ${identifier_type}`);
         }
 
-        // Validate identifiers
-        this.validateIdentifiers(identifiers, identifier_type);
+        // Validate and normalize identifiers
+        const members = this.toMembers(identifiers, identifier_type, advertiser_id);
 
-        // Start transaction for atomic operation
-        await this.db.run('BEGIN TRANSACTION');
+        const list = {
+            id, advertiser_id, name, description, identifier_type, created_at, submitted_at, last_updated,
+            ...normalizeFlightWindow(effective_from, effective_until),
+            ...this.serializeTargets(advertiser_id, campaign_ids, banner_ids)
+        };
+        const auditCreated = size => this.audit('LIST_CREATED', {
+            listId: id,
+            advertiserId: advertiser_id,
+            details: { name, identifierType: identifier_type, size, bulk: !!options.bulk }
+        });
+        let size;
 
-        try {
-            // Insert list metadata
-            await this.db.run(`
-                INSERT INTO suppression_lists 
-                (id, advertiser_id, name, description, identifier_type, created_at, submitted_at, last_updated, size)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [id, advertiser_id, name, description, identifier_type, created_at, submitted_at, last_updated, identifiers.length]);
-
-            // Insert identifiers with efficient batch operation
-            if (identifiers.length > 0) {
-                const stmt = await this.db.prepare(`
-                    INSERT OR IGNORE INTO suppression_identifiers 
-                    (identifier_hash, identifier, identifier_type, list_id, advertiser_id)
-                    VALUES (?, ?, ?, ?, ?)
-                `);
-
-                for (const identifier of identifiers) {
-                    const identifierHash = this.hashIdentifier(identifier);
-                    await stmt.run(identifierHash, identifier, identifier_type, id, advertiser_id);
-                }
-                await stmt.finalize();
-            }
+        if (options.bulk) {
+            // Batches commit on their own; the entry goes in with the activation
+            const startTime = Date.now();
+            size = await this.storage.bulkCreateList(list, members, {
+                batchSize: options.batchSize,
+                onProgress: progress => this.emit('progress', {
+                    operation: 'createList',
+                    listId: id,
+                    ...progress,
+                    elapsedMs: Date.now() - startTime
+                }),
+                beforeActivate: auditCreated
+            });
+        } else {
+            size = await this.storage.transaction(async () => {
+                const size = await this.storage.createList(list, members);
+                await auditCreated(size);
+                return size;
+            });
+        }
+        console.log(`[SuppressionListManager] Created list ${id} with ${size} identifiers`);
+        this.advertiserIds = null;
 
-            await this.db.run('COMMIT');
-            console.log(`[SuppressionListManager] Created list ${id} with ${identifiers.length} identifiers`);
+        return await this.getList(id);
+    }
 
-            return await this.getList(id);
-        } catch (error) {
-            await this.db.run('ROLLBACK');
-            throw error;
+    async getList(listId) {
+        if (!this.initialized) await this.initialize();
+
+        const list = await this.getListMetadata(listId);
+        if (!list) return null;
+
+        return {
+            ...list,
+            identifiers: this.revealIdentifiers(await this.storage.getMembers(listId))
+        };
+    }
+
+    // List metadata only; identifiers are fetched with getListIdentifiers/streamListIdentifiers.
+    // Lists in the trash are treated as missing.
+    async getListMetadata(listId) {
+        if (!this.initialized) await this.initialize();
+
+        const list = await this.storage.getList(listId);
+        if (!list || list.deleted_at) return null;
+
+        const metadata = this.parseTargets(list);
+        if (list.derivation) {
+            metadata.source_list_ids = await this.storage.getListSources(listId);
         }
+        return metadata;
     }
 
-    async getList(listId) {
+    async getListIdentifiers(listId, options = {}) {
         if (!this.initialized) await this.initialize();
 
-        const list = await this.db.get(`
-            SELECT * FROM suppression_lists WHERE id = ?
-        `, [listId]);
+        const { after = null } = options;
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
 
-        if (!list) return null;
+        // Fetch one extra row to know whether another page exists
+        const rows = await this.storage.getMembersPage(listId, { after, limit: limit + 1 });
+        const page = rows.slice(0, limit);
 
-        const identifiers = await this.db.all(`
-            SELECT identifier FROM suppression_identifiers WHERE list_id = ?
-        `, [listId]);
+        return {
+            identifiers: this.revealIdentifiers(page.map(row => row.identifier)),
+            nextCursor: rows.length > limit ? page[page.length - 1].identifier_hash : null
+        };
+    }
+
+    // Admin search over list metadata. Filters: name (substring), advertiserId,
+    // identifierType, status ('active' | 'inactive' | 'trashed' | 'all'; trashed
+    // lists are excluded by default), createdFrom/createdTo, updatedFrom/updatedTo,
+    // minSize/maxSize. Sorted by sortBy/sortOrder and paged with the returned cursor.
+    async searchLists(options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        const {
+            name, advertiserId, identifierType, status,
+            createdFrom, createdTo, updatedFrom, updatedTo, minSize, maxSize,
+            sortBy = 'last_updated', sortOrder = 'desc', cursor = null
+        } = options;
+
+        if (!SuppressionStorage.SEARCH_SORT_FIELDS.includes(sortBy)) {
+            throw new Error(`Invalid sort field: ${sortBy}. Expected one of ${SuppressionStorage.SEARCH_SORT_FIELDS.join(', ')}`);
+        }
+        if (!['asc', 'desc'].includes(sortOrder)) {
+            throw new Error(`Invalid sort order: ${sortOrder}`);
+        }
+        if (status !== undefined && !SEARCH_STATUSES.includes(status)) {
+            throw new Error(`Invalid status: ${status}. Expected one of ${SEARCH_STATUSES.join(', ')}`);
+        }
+
+        const toIso = (value, field) => {
+            if (value === undefined || value === null) return undefined;
+            const date = new Date(value);
+            if (isNaN(date.getTime())) throw new Error(`Invalid ${field}: ${value}`);
+            return date.toISOString();
+        };
+        const toSize = (value, field) => {
+            if (value === undefined || value === null) return undefined;
+            const size = Number(value);
+            if (!Number.isInteger(size) || size < 0) throw new Error(`Invalid ${field}: ${value}`);
+            return size;
+        };
+
+        const filters = {
+            name,
+            advertiserId,
+            identifierType,
+            status,
+            createdFrom: toIso(createdFrom, 'createdFrom'),
+            createdTo: toIso(createdTo, 'createdTo'),
+            updatedFrom: toIso(updatedFrom, 'updatedFrom'),
+            updatedTo: toIso(updatedTo, 'updatedTo'),
+            minSize: toSize(minSize, 'minSize'),
+            maxSize: toSize(maxSize, 'maxSize')
+        };
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+        const after = cursor ? this.decodeSearchCursor(cursor, sortBy, sortOrder) : null;
+
+        // Fetch one extra row to know whether another page exists
+        const { lists, total } = await this.storage.searchLists({ filters, sortBy, sortOrder, after, limit: limit + 1 });
+        const page = lists.slice(0, limit);
+        const last = page[page.length - 1];
 
         return {
-            ...list,
-            identifiers: identifiers.map(row => row.identifier)
+            lists: page.map(list => this.parseTargets(list)),
+            total,
+            nextCursor: lists.length > limit ? this.encodeSearchCursor(sortBy, sortOrder, last[sortBy], last.id) : null
         };
     }
 
+    async *streamListIdentifiers(listId, options = {}) {
+        const { batchSize = DEFAULT_PAGE_SIZE } = options;
+        let after = null;
+
+        do {
+            const page = await this.getListIdentifiers(listId, { after, limit: batchSize });
+            yield* page.identifiers;
+            after = page.nextCursor;
+        } while (after !== null);
+    }
+
     async updateList(listId, updates) {
         if (!this.initialized) await this.initialize();
 
-        const allowedFields = ['name', 'description', 'last_updated'];
-        const updateFields = [];
-        const updateValues = [];
+        const allowedFields = ['name', 'description', 'last_updated', 'effective_from', 'effective_until', 'campaign_ids', 'banner_ids'];
+        const fields = {};
 
         Object.keys(updates).forEach(key => {
             if (allowedFields.includes(key)) {
-                updateFields.push(`${key} = ?`);
-                updateValues.push(updates[key]);
+                fields[key] = updates[key];
             }
         });
 
-        if (updateFields.length === 0) {
+        if (Object.keys(fields).length === 0) {
             throw new Error('No valid fields to update');
         }
 
-        updateValues.push(listId);
+        const list = await this.getListMetadata(listId);
+        if (!list) return null;
+
+        // Flight window changes are checked against the other end of the existing window
+        if ('effective_from' in fields || 'effective_until' in fields) {
+            Object.assign(fields, normalizeFlightWindow(
+                'effective_from' in fields ? fields.effective_from : list.effective_from,
+                'effective_until' in fields ? fields.effective_until : list.effective_until
+            ));
+        }
+
+        if ('campaign_ids' in fields || 'banner_ids' in fields) {
+            Object.assign(fields, this.serializeTargets(
+                list.advertiser_id,
+                'campaign_ids' in fields ? fields.campaign_ids : list.campaign_ids,
+                'banner_ids' in fields ? fields.banner_ids : list.banner_ids
+            ));
+        }
 
-        await this.db.run(`
-            UPDATE suppression_lists 
-            SET ${updateFields.join(', ')} 
-            WHERE id = ?
-        `, updateValues);
+        await this.storage.transaction(async () => {
+            await this.storage.updateList(listId, fields);
+            await this.audit('LIST_UPDATED', { listId, advertiserId: list.advertiser_id, details: { fields: Object.keys(fields) } });
+        });
 
         return await this.getList(listId);
     }
 
+    // Moves the list to the trash. It stops serving immediately and can be
+    // brought back with restoreList until purgeTrash removes it.
     async deleteList(listId) {
         if (!this.initialized) await this.initialize();
 
-        // CASCADE delete will handle suppression_identifiers
-        const result = await this.db.run('DELETE FROM suppression_lists WHERE id = ?', [listId]);
-        return result.changes > 0;
+        const list = await this.getListMetadata(listId);
+        if (!list) return false;
+
+        const deleted = await this.storage.transaction(async () => {
+            const deleted = await this.storage.updateList(listId, { deleted_at: new Date().toISOString() });
+            await this.audit('LIST_TRASHED', { listId, advertiserId: list.advertiser_id });
+            return deleted;
+        });
+        console.log(`[SuppressionListManager] Moved list ${listId} to trash`);
+        return deleted;
+    }
+
+    async restoreList(listId) {
+        if (!this.initialized) await this.initialize();
+
+        const list = await this.storage.getList(listId);
+        if (!list) {
+            throw new Error(`List not found: ${listId}`);
+        }
+        if (!list.deleted_at) {
+            throw new Error(`List is not in trash: ${listId}`);
+        }
+        if (list.deleted_at < this.getTrashCutoff()) {
+            throw new Error(`Grace period expired for list: ${listId}`);
+        }
+
+        await this.storage.transaction(async () => {
+            await this.storage.updateList(listId, { deleted_at: null });
+            await this.audit('LIST_RESTORED', { listId, advertiserId: list.advertiser_id });
+        });
+        console.log(`[SuppressionListManager] Restored list ${listId} from trash`);
+
+        return await this.getList(listId);
     }
 
-    async getListsByAdvertiser(advertiserId, options = {}) {
+    async getTrashedLists(advertiserId) {
+        if (!this.initialized) await this.initialize();
+
+        const lists = await this.storage.listLists({ advertiserId, trashed: true });
+        const gracePeriodMs = this.trashGracePeriodDays * 24 * 60 * 60 * 1000;
+
+        return lists.map(list => ({
+            ...this.parseTargets(list),
+            restorable_until: new Date(new Date(list.deleted_at).getTime() + gracePeriodMs).toISOString()
+        }));
+    }
+
+    // Permanently deletes lists that have been in the trash longer than the
+    // grace period. Derived lists built from a purged list are detached: they
+    // keep their current members as plain lists and stop refreshing.
+    async purgeTrash() {
+        if (!this.initialized) await this.initialize();
+
+        const expired = await this.storage.listLists({ trashed: true, deletedBefore: this.getTrashCutoff() });
+        const listIds = [];
+        const detachedListIds = [];
+
+        for (const list of expired) {
+            const detached = await this.storage.transaction(async () => {
+                const dependentIds = await this.storage.getDependentLists(list.id);
+                for (const dependentId of dependentIds) {
+                    const dependent = await this.storage.getList(dependentId);
+                    await this.storage.detachDerivedList(dependentId);
+                    await this.audit('LIST_DETACHED', {
+                        listId: dependentId,
+                        advertiserId: dependent.advertiser_id,
+                        details: { derivation: dependent.derivation, purgedSourceListId: list.id }
+                    });
+                }
+
+                if (!await this.storage.deleteList(list.id)) return null;
+                await this.audit('LIST_PURGED', { listId: list.id, advertiserId: list.advertiser_id, details: { deletedAt: list.deleted_at, detachedListIds: dependentIds } });
+                return dependentIds;
+            });
+
+            if (detached) {
+                listIds.push(list.id);
+                detachedListIds.push(...detached);
+            }
+        }
+
+        console.log(`[SuppressionListManager] Purged ${listIds.length} lists from trash, detached ${detachedListIds.length} derived lists`);
+        if (listIds.length > 0) this.advertiserIds = null;
+        return { purged: listIds.length, listIds, detachedListIds };
+    }
+
+    async addIdentifiers(listId, identifiers = []) {
+        const list = await this.requireList(listId);
+
+        const members = this.toMembers(identifiers, list.identifier_type, list.advertiser_id);
+        const result = await this.storage.transaction(async () => {
+            const result = await this.storage.addMembers(listId, members);
+            if (result.version !== null) {
+                await this.audit('IDENTIFIERS_ADDED', { listId, advertiserId: list.advertiser_id, details: { added: result.added, size: result.size, version: result.version } });
+            }
+            return result;
+        });
+        console.log(`[SuppressionListManager] Added ${result.added} identifiers to list ${listId}`);
+        if (result.version !== null) {
+            await this.refreshDependents(listId);
+        }
+
+        return {
+            listId,
+            added: result.added,
+            alreadyPresent: identifiers.length - result.added,
+            size: result.size,
+            version: result.version
+        };
+    }
+
+    async removeIdentifiers(listId, identifiers = []) {
+        const list = await this.requireList(listId);
+
+        const members = this.toMembers(identifiers, list.identifier_type, list.advertiser_id);
+        const result = await this.storage.transaction(async () => {
+            const result = await this.storage.removeMembers(listId, members);
+            if (result.version !== null) {
+                await this.audit('IDENTIFIERS_REMOVED', { listId, advertiserId: list.advertiser_id, details: { removed: result.removed, size: result.size, version: result.version } });
+            }
+            return result;
+        });
+        console.log(`[SuppressionListManager] Removed ${result.removed} identifiers from list ${listId}`);
+        if (result.version !== null) {
+            await this.refreshDependents(listId);
+        }
+
+        return {
+            listId,
+            removed: result.removed,
+            notPresent: identifiers.length - result.removed,
+            size: result.size,
+            version: result.version
+        };
+    }
+
+    // Retention: drops members added before cutoff, one audited version per list
+    async removeIdentifiersAddedBefore(cutoff) {
         if (!this.initialized) await this.initialize();
 
-        const { identifier_type, active_only = true } = options;
-        let query = 'SELECT * FROM suppression_lists WHERE advertiser_id = ?';
-        const params = [advertiserId];
+        let removed = 0;
+        const listIds = [];
+
+        for (const listId of await this.storage.getListsWithMembersAddedBefore(cutoff)) {
+            const list = await this.storage.getList(listId);
+            const result = await this.storage.transaction(async () => {
+                const result = await this.storage.removeMembersAddedBefore(listId, cutoff);
+                if (result.version !== null) {
+                    await this.audit('IDENTIFIERS_EXPIRED', { listId, advertiserId: list.advertiser_id, details: { cutoff, removed: result.removed, size: result.size, version: result.version } });
+                }
+                return result;
+            });
+            if (result.version === null) continue;
+
+            removed += result.removed;
+            listIds.push(listId);
+            await this.refreshDependents(listId);
+        }
+
+        console.log(`[SuppressionListManager] Removed ${removed} identifiers added before ${cutoff} from ${listIds.length} lists`);
+        return { removed, listIds };
+    }
+
+    async rollbackList(listId, targetVersion) {
+        const list = await this.requireList(listId);
+
+        const target = await this.storage.getListVersion(listId, targetVersion);
+        if (!target) {
+            throw new Error(`Version ${targetVersion} not found for list ${listId}`);
+        }
+
+        const result = await this.storage.transaction(async () => {
+            const result = await this.storage.rollbackList(listId, targetVersion);
+            if (result.version !== null) {
+                await this.audit('LIST_ROLLED_BACK', {
+                    listId,
+                    advertiserId: list.advertiser_id,
+                    details: { restoredVersion: targetVersion, added: result.added, removed: result.removed, size: result.size, version: result.version }
+                });
+            }
+            return result;
+        });
+        console.log(`[SuppressionListManager] Rolled back list ${listId} to version ${targetVersion} (+${result.added}/-${result.removed})`);
+        if (result.version !== null) {
+            await this.refreshDependents(listId);
+        }
+
+        return {
+            listId,
+            restoredVersion: targetVersion,
+            added: result.added,
+            removed: result.removed,
+            size: result.size,
+            version: result.version
+        };
+    }
+
+    // Persists the union, intersection or difference of existing lists as a new
+    // list. Sources must share an identifier_type and may come from several
+    // advertisers; the new list belongs to advertiser_id, by default the first
+    // source's. Difference keeps the first source minus all the others. With
+    // autoRefresh the list is recomputed whenever a source's membership changes.
+    async createDerivedList(listData) {
+        if (!this.initialized) await this.initialize();
+
+        const {
+            id = crypto.randomUUID(),
+            operation,
+            source_list_ids = [],
+            name,
+            description,
+            auto_refresh = false,
+            created_at = new Date().toISOString(),
+            submitted_at = new Date().toISOString(),
+            last_updated = new Date().toISOString(),
+            effective_from = null,
+            effective_until = null,
+            campaign_ids = [],
+            banner_ids = []
+        } = listData;
 
-        if (active_only) {
-            query += ' AND is_active = 1';
+        if (!SET_OPERATIONS.includes(operation)) {
+            throw new Error(`Invalid set operation: ${operation}. Expected one of ${SET_OPERATIONS.join(', ')}`);
         }
 
-        if (identifier_type) {
-            query += ' AND identifier_type = ?';
-            params.push(identifier_type);
+        const sourceListIds = Array.from(new Set(source_list_ids));
+        if (sourceListIds.length < 2) {
+            throw new Error(`${operation} needs at least two distinct source lists`);
         }
 
-        query += ' ORDER BY last_updated DESC';
+        const sources = [];
+        for (const sourceListId of sourceListIds) {
+            sources.push(await this.requireList(sourceListId));
+        }
+
+        const { identifier_type } = sources[0];
+        const advertiser_id = listData.advertiser_id || sources[0].advertiser_id;
+
+        for (const source of sources) {
+            if (source.identifier_type !== identifier_type) {
+                throw new Error(`Source list ${source.id} has identifier type ${source.identifier_type}, expected ${identifier_type}`);
+            }
+            // Keyed hashes of the same identifier only match within one tenant
+            if (this.keyedHasher && this.keyedHasher.tenantOf(source.advertiser_id) !== this.keyedHasher.tenantOf(advertiser_id)) {
+                throw new Error(`Source list ${source.id} is hashed with another tenant's key than advertiser ${advertiser_id}`);
+            }
+        }
+
+        const list = {
+            id, advertiser_id, name, description, identifier_type, created_at, submitted_at, last_updated,
+            ...normalizeFlightWindow(effective_from, effective_until),
+            ...this.serializeTargets(advertiser_id, campaign_ids, banner_ids)
+        };
+
+        const size = await this.storage.transaction(async () => {
+            const size = await this.storage.createDerivedList(list, { operation, sourceListIds, autoRefresh: auto_refresh });
+            await this.audit('LIST_CREATED', {
+                listId: id,
+                advertiserId: advertiser_id,
+                details: { name, identifierType: identifier_type, size, derivation: operation, sourceListIds, autoRefresh: !!auto_refresh }
+            });
+            return size;
+        });
+        console.log(`[SuppressionListManager] Created ${operation} list ${id} from ${sourceListIds.length} lists with ${size} identifiers`);
+
+        return await this.getList(id);
+    }
+
+    // Recomputes a derived list from its sources' current membership
+    async refreshDerivedList(listId) {
+        const list = await this.requireList(listId);
+        if (!list.derivation) {
+            throw new Error(`List is not derived: ${listId}`);
+        }
+
+        // Leaving a trashed source out would change what the operation means
+        for (const sourceListId of list.source_list_ids) {
+            const source = await this.storage.getList(sourceListId);
+            if (!source) {
+                throw new Error(`Source list not found: ${sourceListId}`);
+            }
+            if (source.deleted_at) {
+                throw new Error(`Source list is in trash: ${sourceListId}`);
+            }
+        }
+
+        const result = await this.storage.transaction(async () => {
+            const result = await this.storage.refreshDerivedList(listId);
+            if (result.version !== null) {
+                await this.audit('LIST_REFRESHED', {
+                    listId,
+                    advertiserId: list.advertiser_id,
+                    details: { added: result.added, removed: result.removed, size: result.size, version: result.version }
+                });
+            }
+            return result;
+        });
+        console.log(`[SuppressionListManager] Refreshed ${list.derivation} list ${listId} (+${result.added}/-${result.removed})`);
+        if (result.version !== null) {
+            await this.refreshDependents(listId);
+        }
+
+        return {
+            listId,
+            added: result.added,
+            removed: result.removed,
+            size: result.size,
+            version: result.version
+        };
+    }
+
+    // Refreshes auto-refresh lists derived from listId. The source change has
+    // already been committed, so a failing dependent is logged, not thrown.
+    async refreshDependents(listId) {
+        for (const dependentId of await this.storage.getDependentLists(listId)) {
+            const dependent = await this.storage.getList(dependentId);
+            if (!dependent || dependent.deleted_at || !dependent.auto_refresh) continue;
+
+            try {
+                await this.refreshDerivedList(dependentId);
+            } catch (error) {
+                console.error(`[SuppressionListManager] Failed to refresh derived list ${dependentId}: ${error.message}`);
+            }
+        }
+    }
+
+    async getListVersions(listId) {
+        if (!this.initialized) await this.initialize();
+
+        return await this.storage.getListVersions(listId);
+    }
+
+    async getListAtVersion(listId, version) {
+        if (!this.initialized) await this.initialize();
+
+        const list = await this.getListMetadata(listId);
+        if (!list) return null;
+
+        const versionInfo = await this.storage.getListVersion(listId, version);
+        if (!versionInfo) return null;
+
+        return {
+            ...list,
+            size: versionInfo.size,
+            version: versionInfo.version,
+            version_created_at: versionInfo.created_at,
+            identifiers: this.revealIdentifiers(await this.storage.getMembersAtVersion(listId, version))
+        };
+    }
+
+    async isIdentifierInList(listId, identifier) {
+        if (!this.initialized) await this.initialize();
+
+        const list = await this.getListMetadata(listId);
+        if (!list) return false;
 
-        const lists = await this.db.all(query, params);
+        return await this.storage.hasMember(listId, this.hashMember(list.advertiser_id, list.identifier_type, identifier));
+    }
+
+    async getListsByAdvertiser(advertiserId, options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        const { identifier_type, active_only = true, include_identifiers = true } = options;
+
+        const lists = await this.storage.listLists({
+            advertiserId,
+            identifierType: identifier_type,
+            activeOnly: active_only
+        });
+
+        if (!include_identifiers) return lists.map(list => this.parseTargets(list));
 
         // Get identifiers for each list
         for (let list of lists) {
-            const identifiers = await this.db.all(`
-                SELECT identifier FROM suppression_identifiers WHERE list_id = ?
-            `, [list.id]);
-            list.identifiers = identifiers.map(row => row.identifier);
+            Object.assign(list, this.parseTargets(list));
+            list.identifiers = this.revealIdentifiers(await this.storage.getMembers(list.id));
         }
 
         return lists;
     }
 
-    async findAdvertisersForIdentifiers(userIdentifiers) {
+    // options.advertiserIds limits the check to those advertisers; with keyed
+    // hashing that also means hashing only for them
+    async findAdvertisersForIdentifiers(userIdentifiers, options = {}) {
         if (!this.initialized) {
             await this.initialize();
         }
 
         const suppressedAdvertisers = new Set();
+        const suppressedCampaigns = new Set();
+        const suppressedBanners = new Set();
         let totalListsChecked = 0;
         const details = [];
 
@@ -227,13 +729,15 @@ class SuppressionListManager {
             if (!identifier) continue;
 
             try {
-                const advertisers = await this.findAdvertisersForIdentifier(identifier, identifierType);
+                const advertisers = await this.findAdvertisersForIdentifier(identifier, identifierType, options);
                 totalListsChecked += advertisers.listsChecked;
 
                 if (advertisers.suppressed.size > 0) {
                     advertisers.suppressed.forEach(adv => suppressedAdvertisers.add(adv));
                     details.push(`${identifierType} matched ${advertisers.suppressed.size} advertisers`);
                 }
+                advertisers.suppressedCampaigns.forEach(campaignId => suppressedCampaigns.add(campaignId));
+                advertisers.suppressedBanners.forEach(bannerId => suppressedBanners.add(bannerId));
             } catch (error) {
                 console.warn(`[SuppressionListManager] Error checking ${identifierType}:`, error.message);
                 details.push(`Error checking ${identifierType}: ${error.message}`);
@@ -242,82 +746,620 @@ class SuppressionListManager {
 
         return {
             suppressed: suppressedAdvertisers,
+            suppressedCampaigns,
+            suppressedBanners,
             listsChecked: totalListsChecked,
             details
         };
     }
 
-    async findAdvertisersForIdentifier(identifier, identifierType) {
-        if (!this.initialized || !this.db) {
+    async findAdvertisersForIdentifier(identifier, identifierType, options = {}) {
+        if (!this.initialized) {
             await this.initialize();
         }
 
-        const results = await this.db.all(`
-        SELECT DISTINCT si.advertiser_id, sl.name as list_name
-        FROM suppression_identifiers si
-        JOIN suppression_lists sl ON si.list_id = sl.id
-        WHERE si.identifier = ? AND si.identifier_type = ? AND sl.is_active = 1
-    `, [identifier, identifierType]);
+        const results = await this.findIdentifierRows(
+            hashes => this.storage.findListsForIdentifier(hashes, identifierType),
+            identifier,
+            identifierType,
+            options.advertiserIds
+        );
+
+        // Lists scoped to campaigns/banners suppress only those; the rest suppress the whole advertiser
+        const suppressed = new Set();
+        const suppressedCampaigns = new Set();
+        const suppressedBanners = new Set();
+
+        for (const row of results.map(result => this.parseTargets(result))) {
+            if (row.campaign_ids.length + row.banner_ids.length === 0) {
+                suppressed.add(row.advertiser_id);
+            }
+            row.campaign_ids.forEach(campaignId => suppressedCampaigns.add(campaignId));
+            row.banner_ids.forEach(bannerId => suppressedBanners.add(bannerId));
+        }
 
         return {
-            suppressed: new Set(results.map(row => row.advertiser_id)),
+            suppressed,
+            suppressedCampaigns,
+            suppressedBanners,
             listsChecked: results.length,
             details: results.map(row => `Found in list: ${row.list_name}`)
         };
     }
 
-    // Utility methods
-    validateIdentifiers(identifiers, identifierType) {
-        for (const identifier of identifiers) {
-            if (identifierType === 'email_hash') {
-                // Allow both raw emails (for testing) and proper hashes
-                if (this.looksLikeRawEmail(identifier)) {
-                    console.warn(`[SuppressionListManager] Warning: Using raw email as email_hash: ${identifier}. In production, this should be hashed.`);
-                    // Allow it for testing purposes
-                    continue;
-                }
+    // Structured answer to "why was this user suppressed?". For every advertiser
+    // with a list holding one of the identifiers: which identifier matched, in
+    // which list and version, the list's dates and status, and the outcome.
+    // effects records rules (list status, flight window, campaign/banner scope)
+    // that changed the outcome; Falcon and the sampling feature add their own.
+    async explainSuppression(userIdentifiers, options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        const { asOf = new Date().toISOString() } = options;
+        const advertisers = new Map();
+        const errors = [];
+
+        for (const [identifierType, identifier] of Object.entries(userIdentifiers)) {
+            if (!identifier) continue;
+
+            let rows;
+            try {
+                rows = await this.findIdentifierRows(
+                    hashes => this.storage.findMembershipsForIdentifier(hashes, identifierType),
+                    identifier,
+                    identifierType
+                );
+            } catch (error) {
+                errors.push({ identifierType, error: error.message });
+                continue;
+            }
 
-                // Check for proper hash format (50-70 char hex/alpha-numeric)
-                if (!/^[a-f0-9]{50,70}$/i.test(identifier) && !/^[a-z0-9]{50,70}$/i.test(identifier)) {
-                    throw new Error(`Invalid email_hash format: ${identifier}. Expected 50-70 character hex/alpha-numeric string or proper email address.`);
+            for (const row of rows.map(result => this.parseTargets(result))) {
+                if (!advertisers.has(row.advertiser_id)) {
+                    advertisers.set(row.advertiser_id, {
+                        advertiserId: row.advertiser_id,
+                        suppressed: false,
+                        suppressedCampaigns: [],
+                        suppressedBanners: [],
+                        matches: [],
+                        effects: []
+                    });
                 }
-            } else if (identifierType === 'device_id') {
-                // Support UUID format, iosdevice-* format, and other device ID formats
-                if (!/^[a-f0-9-]+$/i.test(identifier) &&
-                    !/^iosdevice-[a-f0-9-]+$/i.test(identifier) &&
-                    !/^[a-f0-9]{8}-([a-f0-9]{4}-){3}[a-f0-9]{12}$/i.test(identifier)) {
-                    throw new Error(`Invalid device_id format: ${identifier}`);
+
+                const status = this.membershipStatus(row, asOf);
+                advertisers.get(row.advertiser_id).matches.push({
+                    identifierType,
+                    identifier,
+                    listId: row.list_id,
+                    listName: row.list_name,
+                    listVersion: row.list_version,
+                    addedInVersion: row.added_in_version,
+                    addedAt: row.added_at,
+                    createdAt: row.created_at,
+                    submittedAt: row.submitted_at,
+                    lastUpdated: row.last_updated,
+                    effectiveFrom: row.effective_from,
+                    effectiveUntil: row.effective_until,
+                    status,
+                    campaignIds: row.campaign_ids,
+                    bannerIds: row.banner_ids,
+                    applied: status === 'live'
+                });
+            }
+        }
+
+        for (const entry of advertisers.values()) {
+            const applied = entry.matches.filter(match => match.applied);
+            const scoped = applied.filter(match => match.campaignIds.length + match.bannerIds.length > 0);
+
+            entry.suppressed = applied.length > scoped.length;
+            entry.suppressedCampaigns = Array.from(new Set(scoped.flatMap(match => match.campaignIds)));
+            entry.suppressedBanners = Array.from(new Set(scoped.flatMap(match => match.bannerIds)));
+
+            // Rules only matter when nothing else suppresses the whole advertiser
+            if (entry.suppressed) continue;
+
+            for (const match of entry.matches.filter(m => !m.applied)) {
+                entry.effects.push({ source: 'rules', listId: match.listId, detail: this.describeListStatus(match) });
+            }
+            for (const match of scoped) {
+                entry.effects.push({
+                    source: 'rules',
+                    listId: match.listId,
+                    detail: `List ${match.listName} only suppresses ${[...match.campaignIds, ...match.bannerIds].join(', ')}`
+                });
+            }
+        }
+
+        return { asOf, advertisers: Array.from(advertisers.values()), errors };
+    }
+
+    // 'live', 'upcoming', 'ended', 'inactive' or 'trashed' for a membership row
+    membershipStatus(row, asOf) {
+        return row.deleted_at ? 'trashed' : row.is_active ? flightStatus(row, asOf) : 'inactive';
+    }
+
+    // Data subject access report: every list holding one of the identifiers,
+    // in any state, grouped by advertiser. Identifiers are normalized and
+    // hashed with the ingestion rules (raw emails/phones included).
+    // options.format is 'json' (default) or 'text'. decisions is null here;
+    // Falcon fills it in when decision logging is on.
+    async getSubjectReport(identifiers = {}, options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        const format = validateReportFormat(options.format || 'json');
+        const subjects = this.subjectKeys(identifiers);
+        if (subjects.length === 0) {
+            throw new Error('No identifiers to report on');
+        }
+
+        const generatedAt = new Date().toISOString();
+        const advertisers = new Map();
+        const seen = new Set();
+        // Reports must be complete, so the advertiser set is read fresh
+        const advertiserIds = this.keyedHasher ? await this.storage.listAdvertiserIds() : null;
+
+        for (const subject of subjects) {
+            const rows = await this.findHashRows(
+                hashes => this.storage.findMembershipsForIdentifier(hashes, subject.identifierType),
+                subject.hash,
+                advertiserIds
+            );
+
+            for (const row of rows) {
+                const key = `${row.list_id}:${subject.identifierType}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                if (!advertisers.has(row.advertiser_id)) {
+                    advertisers.set(row.advertiser_id, { advertiserId: row.advertiser_id, lists: [] });
                 }
+                advertisers.get(row.advertiser_id).lists.push({
+                    listId: row.list_id,
+                    listName: row.list_name,
+                    identifierType: subject.identifierType,
+                    addedAt: row.added_at,
+                    addedInVersion: row.added_in_version,
+                    listVersion: row.list_version,
+                    status: this.membershipStatus(row, generatedAt)
+                });
             }
         }
 
+        const entries = Array.from(advertisers.values()).sort((a, b) => a.advertiserId.localeCompare(b.advertiserId));
+        const report = {
+            generatedAt,
+            identifierTypes: Array.from(new Set(subjects.map(subject => subject.identifierType))),
+            summary: {
+                advertisers: entries.length,
+                lists: entries.reduce((sum, entry) => sum + entry.lists.length, 0)
+            },
+            advertisers: entries,
+            decisions: null
+        };
+
+        return format === 'text' ? formatSubjectReport(report) : report;
+    }
+
+    describeListStatus(match) {
+        switch (match.status) {
+            case 'trashed': return `List ${match.listName} is in the trash`;
+            case 'inactive': return `List ${match.listName} is inactive`;
+            case 'upcoming': return `List ${match.listName} starts at ${match.effectiveFrom}`;
+            case 'ended': return `List ${match.listName} ended at ${match.effectiveUntil}`;
+            default: return `List ${match.listName} is live`;
+        }
+    }
+
+    // Utility methods
+    // Returns the normalized identifiers; throws on the first invalid one
+    validateIdentifiers(identifiers, identifierType) {
+        const normalized = identifiers.map(identifier => this.validator.validate(identifierType, identifier));
+
+        console.log(`✅ Passed validation for ${identifiers.length} ${identifierType} identifiers`);
+        return normalized;
+    }
+
+    hashIdentifier(identifier, identifierType) {
+        // Create a deterministic hash of the normalized identifier for storage and lookup
+        if (identifierType) {
+            return this.validator.hash(identifierType, identifier);
+        }
+        return sha256(identifier);
+    }
+
+    // Storage key for an identifier in one of advertiserId's lists
+    hashMember(advertiserId, identifierType, identifier) {
+        const hash = this.hashIdentifier(identifier, identifierType);
+        return this.keyedHasher ? this.keyedHasher.hash(advertiserId, hash) : hash;
+    }
+
+    // Runs a storage lookup for an identifier, optionally limited to some
+    // advertisers. With keyed hashing the identifier has a different hash for
+    // every advertiser, so all of them are looked up together and each row is
+    // kept only if it matched its own advertiser's hash.
+    async findIdentifierRows(lookup, identifier, identifierType, advertiserIds = null) {
+        return await this.findHashRows(lookup, this.hashIdentifier(identifier, identifierType), advertiserIds);
+    }
+
+    // Same, for an identifier's plain hash
+    async findHashRows(lookup, hash, advertiserIds = null) {
+        if (!this.keyedHasher) {
+            const rows = await lookup(hash);
+            return advertiserIds ? rows.filter(row => advertiserIds.includes(row.advertiser_id)) : rows;
+        }
+
+        const expected = await this.keyedHashes(hash, advertiserIds);
+        if (expected.size === 0) return [];
+
+        const rows = await lookup(Array.from(new Set(expected.values())));
+        return rows.filter(row => expected.get(row.advertiser_id) === row.identifier_hash);
+    }
+
+    // advertiserId -> keyed hash, for the given advertisers or every advertiser in the store
+    async keyedHashes(hash, advertiserIds = null) {
+        const hashes = new Map();
+        for (const advertiserId of advertiserIds || await this.getAdvertiserIds()) {
+            hashes.set(advertiserId, this.keyedHasher.hash(advertiserId, hash));
+        }
+        return hashes;
+    }
+
+    // Every advertiser with a list, cached so keyed lookups on the serving path
+    // do not scan the lists table; reset on list creation and purge
+    async getAdvertiserIds() {
+        if (!this.advertiserIds || Date.now() - this.advertiserIds.loadedAt > this.advertiserCacheTtlMs) {
+            const ids = this.storage.listAdvertiserIds();
+            this.advertiserIds = { loadedAt: Date.now(), ids };
+            ids.catch(() => {
+                if (this.advertiserIds && this.advertiserIds.ids === ids) this.advertiserIds = null;
+            });
+        }
+        return await this.advertiserIds.ids;
+    }
+
+    // Every hash a subject key (see subjectKeys) can be stored under
+    // (read fresh: erasure must not miss an advertiser the cache has not seen)
+    async storedHashes({ hash }) {
+        if (!this.keyedHasher) return [hash];
+        return Array.from(new Set((await this.keyedHashes(hash, await this.storage.listAdvertiserIds())).values()));
+    }
+
+    // { identifierType, hash } per identifier of a data subject, with plain
+    // (unkeyed) hashes. Raw emails and phones are mapped to their hashed type
+    // first. Throws on unknown identifier types.
+    subjectKeys(userIdentifiers) {
+        const keys = [];
+
+        for (const [type, value] of Object.entries(userIdentifiers)) {
+            if (!value) continue;
+
+            const raw = this.rawIngestion.isRawType(type);
+            const identifierType = raw ? this.rawIngestion.hashedTypeFor(type) : type;
+            if (!this.identifierTypes.has(identifierType)) {
+                throw new Error(`Invalid identifier type: ${type}`);
+            }
+
+            const identifier = raw ? this.rawIngestion.hash(type, value) : value;
+            keys.push({ identifierType, hash: this.hashIdentifier(identifier, identifierType) });
+        }
+        return keys;
+    }
+
+    toMembers(identifiers, identifierType, advertiserId) {
+        const members = identifiers
+            .map(identifier => this.validator.prepare(identifierType, identifier))
+            .map(member => ({
+                identifier_hash: this.keyedHasher ? this.keyedHasher.hash(advertiserId, member.identifier_hash) : member.identifier_hash,
+                identifier: this.protectIdentifier(member.identifier)
+            }));
+
         console.log(`✅ Passed validation for ${identifiers.length} ${identifierType} identifiers`);
+        return members;
+    }
+
+    // Stored form of an identifier value: encrypted when encryption is on
+    protectIdentifier(identifier) {
+        return this.encryption ? this.encryption.encryptIdentifier(identifier) : identifier;
+    }
+
+    // Decrypts stored values; plaintext written before encryption was enabled passes through
+    revealIdentifier(value) {
+        if (!EncryptionService.isEncrypted(value)) return value;
+        if (!this.encryption) {
+            throw new Error('Identifier is encrypted but no keyring is configured');
+        }
+        return this.encryption.decryptIdentifier(value);
+    }
+
+    revealIdentifiers(values) {
+        return values.map(value => this.revealIdentifier(value));
+    }
+
+    async requireList(listId) {
+        const list = await this.getListMetadata(listId);
+        if (!list) {
+            throw new Error(`List not found: ${listId}`);
+        }
+        return list;
     }
 
-    looksLikeRawEmail(identifier) {
-        // Simple check for email format
-        return /^[^@]+@[^@]+\.[^@]+$/.test(identifier);
+    getCampaignCatalog() {
+        if (!this.campaignCatalog) {
+            this.campaignCatalog = CampaignCatalog.load();
+        }
+        return this.campaignCatalog;
+    }
+
+    // Validates campaign/banner targets and returns them in storage form
+    serializeTargets(advertiserId, campaignIds, bannerIds) {
+        const campaign_ids = Array.from(new Set(campaignIds || []));
+        const banner_ids = Array.from(new Set(bannerIds || []));
+
+        if (campaign_ids.length + banner_ids.length > 0) {
+            this.getCampaignCatalog().validateTargets(advertiserId, { campaign_ids, banner_ids });
+        }
+
+        return {
+            campaign_ids: campaign_ids.length > 0 ? JSON.stringify(campaign_ids) : null,
+            banner_ids: banner_ids.length > 0 ? JSON.stringify(banner_ids) : null
+        };
+    }
+
+    // Storage keeps targets as JSON text; callers always see arrays
+    parseTargets(row) {
+        return {
+            ...row,
+            campaign_ids: row.campaign_ids ? JSON.parse(row.campaign_ids) : [],
+            banner_ids: row.banner_ids ? JSON.parse(row.banner_ids) : []
+        };
+    }
+
+    // Search cursors are opaque keysets tied to the sort they were issued for
+    encodeSearchCursor(sortBy, sortOrder, value, id) {
+        return Buffer.from(JSON.stringify({ sortBy, sortOrder, value, id })).toString('base64url');
     }
 
-    hashIdentifier(identifier) {
-        // Create a deterministic hash for efficient storage and lookup
-        return crypto.createHash('sha256').update(identifier).digest('hex');
+    decodeSearchCursor(cursor, sortBy, sortOrder) {
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Invalid cursor');
+        }
+
+        if (!decoded || decoded.sortBy !== sortBy || decoded.sortOrder !== sortOrder || typeof decoded.id !== 'string') {
+            throw new Error('Invalid cursor');
+        }
+        return { value: decoded.value, id: decoded.id };
+    }
+
+    getTrashCutoff() {
+        return new Date(Date.now() - this.trashGracePeriodDays * 24 * 60 * 60 * 1000).toISOString();
     }
 
     async getStats() {
         if (!this.initialized) await this.initialize();
 
-        const stats = await this.db.get(`
-            SELECT 
-                COUNT(DISTINCT id) as total_lists,
-                COUNT(DISTINCT advertiser_id) as total_advertisers,
-                SUM(size) as total_identifiers,
-                COUNT(DISTINCT identifier_type) as identifier_types
-            FROM suppression_lists
-            WHERE is_active = 1
-        `);
+        return await this.storage.getStats();
+    }
+
+    // Re-encrypts every stored identifier value that is plaintext or sealed
+    // with a key other than the keyring's active one. Batches commit one at a
+    // time and lookups go by hash, so serving continues throughout; reads
+    // decrypt with whichever key a value carries. Old keys can be retired
+    // once this reports nothing left to rewrite.
+    async rotateKeys(options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        if (!this.encryption) {
+            throw new Error('Encryption is not configured');
+        }
 
-        return stats;
+        const { batchSize = DEFAULT_PAGE_SIZE } = options;
+        const startTime = Date.now();
+        const result = await this.storage.rewriteIdentifiers(value => this.encryption.rotateIdentifier(value), {
+            batchSize,
+            onBatch: progress => this.emit('progress', {
+                operation: 'rotateKeys',
+                ...progress,
+                elapsedMs: Date.now() - startTime
+            })
+        });
+
+        console.log(`[SuppressionListManager] Re-encrypted ${result.rewritten} of ${result.scanned} stored identifiers with key ${this.encryption.getKeyring().activeKeyId}`);
+        await this.audit('KEYS_ROTATED', { details: { keyId: this.encryption.getKeyring().activeKeyId, ...result } });
+        return { keyId: this.encryption.getKeyring().activeKeyId, ...result };
+    }
+
+    // Right-to-erasure (GDPR/CCPA): removes the subject's identifiers ({ email },
+    // { email_hash }, { device_id }, ...) from every list and known export and
+    // returns a receipt of what was touched. See SubjectEraser.
+    async eraseSubject(identifiers = {}) {
+        if (!this.initialized) await this.initialize();
+        return await new SubjectEraser(this).erase(identifiers);
+    }
+
+    // Registers an export file so erasure requests also clean it
+    async recordSnapshot(snapshotPath, advertiserId) {
+        if (!this.initialized) await this.initialize();
+
+        const snapshot = {
+            path: path.resolve(snapshotPath),
+            advertiser_id: advertiserId,
+            exported_at: new Date().toISOString()
+        };
+        await this.storage.transaction(async () => {
+            await this.storage.recordSnapshot(snapshot);
+            await this.audit('EXPORT_CREATED', { advertiserId, details: { path: snapshot.path } });
+        });
+    }
+
+    // Runs fn with every audit entry it causes attributed to actor (a user or
+    // service name), including entries written by nested async calls
+    runAs(actor, fn) {
+        if (!actor) {
+            throw new Error('runAs needs an actor');
+        }
+        return this.actorScope.run(actor, fn);
+    }
+
+    currentActor() {
+        return this.actorScope.getStore() || this.defaultActor;
+    }
+
+    // Appends to the audit log. details must never carry identifiers or their
+    // hashes. Call it inside storage.transaction together with the change it
+    // records so neither commits without the other. Batched maintenance (key
+    // rotation, integrity repair) commits in steps and is logged once it finishes.
+    async audit(action, { listId = null, advertiserId = null, details = {}, id, actor } = {}) {
+        if (!this.initialized) await this.initialize();
+        return await this.auditLog.append({ id, action, actor, listId, advertiserId, details });
+    }
+
+    // Filters: action, actor, advertiserId, listId, from/to (ISO timestamps).
+    // Pages with limit and the nextCursor of the previous page; order is
+    // 'asc' (oldest first, the default) or 'desc'. includeArchived also
+    // searches the archive files.
+    async queryAuditLog(query = {}) {
+        if (!this.initialized) await this.initialize();
+        return await this.auditLog.query(query);
+    }
+
+    // Writes the entries matching query (see queryAuditLog) to outputPath;
+    // options.format is 'csv' (default) or 'jsonl'
+    async exportAuditLog(query, outputPath, options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        const result = await this.auditLog.export(query, outputPath, options);
+        await this.audit('AUDIT_EXPORTED', { details: { path: path.resolve(outputPath), format: result.format, entries: result.entries } });
+        return result;
+    }
+
+    // Moves audit entries older than options.retentionDays (or created before
+    // options.before) to a compressed archive file. See AuditArchive.
+    async archiveAuditLog(options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        const { retentionDays, batchSize } = options;
+        const before = options.before || (Number.isFinite(retentionDays) && retentionDays >= 0
+            ? new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString()
+            : null);
+        if (!before) {
+            throw new Error('Audit archiving needs a retentionDays or before cutoff');
+        }
+
+        const result = await this.auditLog.archiveBefore(before, { batchSize });
+        if (result.archived > 0) {
+            await this.audit('AUDIT_ARCHIVED', {
+                details: { file: result.archive.file, entries: result.archived, firstSeq: result.archive.firstSeq, lastSeq: result.archive.lastSeq, sha256: result.archive.sha256 }
+            });
+        }
+        return { before, ...result };
+    }
+
+    // Recomputes the audit hash chain from the archive anchor (or the start);
+    // any edited, deleted or reordered entry is reported with its seq.
+    // options.archives also re-checks archived files and their checksums.
+    async verifyAuditChain(options = {}) {
+        if (!this.initialized) await this.initialize();
+        return await this.auditLog.verify(options);
+    }
+
+    // Machine-readable integrity report for the store; options.repair fixes
+    // what can be fixed. See IntegrityChecker for the checks.
+    async verifyIntegrity(options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        const report = await new IntegrityChecker(this).verify(options);
+        if (report.repairs && Object.values(report.repairs).some(count => count > 0)) {
+            await this.audit('INTEGRITY_REPAIRED', { details: { repairs: report.repairs } });
+        }
+        return report;
+    }
+
+    // Per-advertiser totals for active, untrashed lists, counted from membership
+    async getAdvertiserStats() {
+        if (!this.initialized) await this.initialize();
+
+        return await this.storage.getStatsBy('advertiser_id');
+    }
+
+    // Per-identifier-type totals for active, untrashed lists, counted from membership
+    async getIdentifierTypeStats() {
+        if (!this.initialized) await this.initialize();
+
+        return await this.storage.getStatsBy('identifier_type');
+    }
+
+    // Reports lists whose stored size has drifted from their membership and,
+    // unless dryRun, corrects them
+    async reconcileSizes(options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        const { dryRun = false } = options;
+        const mismatches = await this.storage.transaction(async () => {
+            const mismatches = await this.storage.reconcileSizes({ dryRun });
+            if (!dryRun && mismatches.length > 0) {
+                await this.audit('SIZES_RECONCILED', { details: { listIds: mismatches.map(row => row.list_id) } });
+            }
+            return mismatches;
+        });
+        console.log(`[SuppressionListManager] ${mismatches.length} lists with drifted size${dryRun ? '' : ' reconciled'}`);
+
+        return {
+            dryRun,
+            reconciled: dryRun ? 0 : mismatches.length,
+            lists: mismatches.map(row => ({ listId: row.list_id, storedSize: row.stored_size, actualSize: row.actual_size }))
+        };
+    }
+
+    // Pairwise audience overlap between lists ({ listIds }) or advertisers
+    // ({ advertiserIds }, counting their active, untrashed lists). Each pair
+    // reports the intersection, union, Jaccard score and the share of each side
+    // found in the other; counting happens in storage.
+    async getOverlapReport(options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        const { listIds, advertiserIds } = options;
+        if (!!listIds === !!advertiserIds) {
+            throw new Error('Overlap report needs either listIds or advertiserIds');
+        }
+
+        const ids = Array.from(new Set(listIds || advertiserIds));
+        if (ids.length < 2 || ids.length > MAX_OVERLAP_ITEMS) {
+            throw new Error(`Overlap report needs between 2 and ${MAX_OVERLAP_ITEMS} ${listIds ? 'lists' : 'advertisers'}`);
+        }
+        if (listIds) {
+            for (const listId of ids) await this.requireList(listId);
+        }
+
+        const { sizes, intersections } = await this.storage.getOverlapCounts(listIds ? { listIds: ids } : { advertiserIds: ids });
+        const counts = new Map(intersections.map(({ a, b, count }) => [`${a}\u0000${b}`, count]));
+        const ratio = (part, whole) => whole > 0 ? Number((part / whole).toFixed(4)) : 0;
+        const pairs = [];
+
+        for (const [index, a] of ids.entries()) {
+            for (const b of ids.slice(index + 1)) {
+                const sizeA = sizes[a] || 0;
+                const sizeB = sizes[b] || 0;
+                const intersection = counts.get(a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`) || 0;
+                const union = sizeA + sizeB - intersection;
+
+                pairs.push({
+                    a, b, sizeA, sizeB, intersection, union,
+                    jaccard: ratio(intersection, union),
+                    shareOfA: ratio(intersection, sizeA),
+                    shareOfB: ratio(intersection, sizeB)
+                });
+            }
+        }
+
+        return {
+            scope: listIds ? 'lists' : 'advertisers',
+            sizes: Object.fromEntries(ids.map(id => [id, sizes[id] || 0])),
+            pairs
+        };
     }
 }
 
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const SuppressionListManager = require('./suppression-list-manager');
+const EncryptionService = require('./encryption-service');
+const KeyedHasher = require('./keyed-hasher');
+
+// Integrity check for a suppression database, e.g. before promoting it to production.
+// Prints a JSON report and exits with status 1 when issues were found and not repaired.
+// Usage: node service/verify-integrity.js [dbPath] [--repair] [--mode=strict|lenient] [--keyring=path] [--hash-key=path] [--output=report.json]
+async function main() {
+    const args = process.argv.slice(2);
+    const repair = args.includes('--repair');
+    const modeArg = args.find(arg => arg.startsWith('--mode='));
+    const outputArg = args.find(arg => arg.startsWith('--output='));
+    const keyringArg = args.find(arg => arg.startsWith('--keyring='));
+    const hashKeyArg = args.find(arg => arg.startsWith('--hash-key='));
+    const dbPath = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '../data/suppression_lists.db');
+
+    const options = {};
+    if (modeArg) {
+        options.validationMode = modeArg.split('=')[1];
+    }
+    if (keyringArg) {
+        // Needed to check encrypted identifiers; without it they are reported as undecryptable
+        options.encryption = new EncryptionService({ keyringPath: keyringArg.slice('--keyring='.length) });
+    }
+    if (hashKeyArg) {
+        // Hashes are expected keyed per advertiser; --repair re-hashes lists stored before.
+        // Keyed hashing needs --keyring too, so re-hashed values are stored encrypted.
+        options.keyedHasher = KeyedHasher.load(hashKeyArg.slice('--hash-key='.length));
+    }
+
+    const manager = new SuppressionListManager(dbPath, options);
+    await manager.initialize();
+
+    try {
+        const report = await manager.verifyIntegrity({ repair });
+        const json = JSON.stringify({ database: dbPath, ...report }, null, 2);
+
+        // Progress logs share stdout, so --output gives tooling a clean file
+        if (outputArg) {
+            fs.writeFileSync(outputArg.slice('--output='.length), json + '\n');
+        } else {
+            console.log(json);
+        }
+
+        if (!report.ok && !repair) {
+            process.exitCode = 1;
+        }
+    } finally {
+        await manager.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
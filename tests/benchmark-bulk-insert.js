@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const SuppressionListManager = require('../service/suppression-list-manager');
+
+// Compares the row-by-row createList path with the bulk-load path.
+// Usage: node tests/benchmark-bulk-insert.js [identifierCount] [batchSize]
+async function benchmarkBulkInsert() {
+    const identifierCount = parseInt(process.argv[2], 10) || 50000;
+    const batchSize = parseInt(process.argv[3], 10) || 10000;
+
+    console.log(`=== Bulk Insert Benchmark: ${identifierCount} identifiers ===\n`);
+
+    const identifiers = Array.from({ length: identifierCount }, (_, i) =>
+        crypto.createHash('sha256').update(`benchmark-user-${i}@example.com`).digest('hex')
+    );
+
+    // Keep the benchmark output readable
+    const log = console.log;
+    const quiet = () => { console.log = () => {}; };
+    const loud = () => { console.log = log; };
+
+    const manager = new SuppressionListManager(':memory:');
+    quiet();
+    await manager.initialize();
+    loud();
+
+    const listData = (id) => ({
+        id,
+        advertiser_id: 'adv_benchmark',
+        name: `Benchmark ${id}`,
+        identifier_type: 'email_hash',
+        identifiers
+    });
+
+    console.log('1. Row-by-row createList...');
+    let start = Date.now();
+    quiet();
+    const standard = await manager.createList(listData('standard'));
+    loud();
+    const standardMs = Date.now() - start;
+    console.log(`✓ ${standard.size} rows in ${standardMs}ms`);
+
+    console.log('\n2. Bulk createList...');
+    manager.on('progress', event => {
+        log(`  - ${event.rowsWritten}/${event.totalRows} rows, ${event.batches} batches, ${event.elapsedMs}ms`);
+    });
+    start = Date.now();
+    quiet();
+    const bulk = await manager.createList(listData('bulk'), { bulk: true, batchSize });
+    loud();
+    const bulkMs = Date.now() - start;
+    console.log(`✓ ${bulk.size} rows in ${bulkMs}ms`);
+
+    const sameResult = standard.size === bulk.size &&
+        [...standard.identifiers].sort().join() === [...bulk.identifiers].sort().join();
+
+    console.log('\n=== Results ===');
+    console.log(`Same result: ${sameResult}`);
+    console.log(`Speed-up: ${(standardMs / Math.max(bulkMs, 1)).toFixed(1)}x`);
+
+    await manager.close();
+}
+
+benchmarkBulkInsert().catch(console.error);
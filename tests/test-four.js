@@ -1,5 +1,10 @@
 const SuppressionListManager = require('../service/suppression-list-manager');
 const AdvancedSuppressionFeatures = require('../service/advanced-features');
+const EncryptionService = require('../service/encryption-service');
+const Keyring = require('../service/keyring');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 async function testPart4() {
     console.log('=== Part 4: Advanced Features Tests ===\n');
@@ -43,6 +48,63 @@ async function testPart4() {
     console.log('✓ Privacy compliant list created:', compliantList.privacy_compliant);
     console.log('✓ Identifiers processed:', compliantList.original_identifier_count);
 
+    const deviceId = '3F2504E0-4F89-11D3-9A0C-0305E82C3301';
+    await advanced.createPrivacyCompliantList({
+        advertiser_id: 'adv_privacy_devices',
+        name: 'Privacy Sensitive Devices',
+        identifier_type: 'device_id',
+        identifiers: [deviceId]
+    });
+    const deviceCheck = await manager.findAdvertisersForIdentifier(deviceId.toLowerCase(), 'device_id');
+    console.log(`${deviceCheck.suppressed.has('adv_privacy_devices') ? '✓' : '✗'} Raw identifier matches the privacy compliant list`);
+
+    // Encryption at rest with a keyring file and key rotation
+    const keyringPath = path.join(os.tmpdir(), `test-keyring-${process.pid}.json`);
+    const keyring = new Keyring();
+    const firstKeyId = keyring.generateKey('k1');
+    keyring.save(keyringPath);
+
+    try {
+        const encryption = new EncryptionService({ keyringPath });
+        const sealed = encryption.encryptIdentifier('user1@example.com');
+        console.log('✓ Ciphertext carries key id:', encryption.keyIdOf(sealed) === firstKeyId);
+        console.log('✓ Round trip decrypts:', encryption.decryptIdentifier(sealed) === 'user1@example.com');
+        console.log('✓ Fresh IV per value:', encryption.encryptIdentifier('user1@example.com') !== sealed);
+
+        const parts = sealed.split(':');
+        parts[5] = Buffer.from('tampered').toString('base64url');
+        try {
+            encryption.decryptIdentifier(parts.join(':'));
+            console.log('✗ Tampered ciphertext should have been rejected');
+        } catch (error) {
+            console.log('✓ Tampered ciphertext rejected:', error.message);
+        }
+
+        const encryptedManager = new SuppressionListManager(':memory:', { encryption });
+        await encryptedManager.initialize();
+        const secretHash = 'e'.repeat(64);
+        const encryptedList = await encryptedManager.createList({
+            advertiser_id: 'adv_encrypted',
+            name: 'Encrypted List',
+            identifier_type: 'email_hash',
+            identifiers: [secretHash]
+        });
+        const [storedValue] = await encryptedManager.storage.getMembers(encryptedList.id);
+        console.log('✓ Stored value is encrypted:', encryption.isEncrypted(storedValue));
+        console.log('✓ Reads decrypt:', (await encryptedManager.getList(encryptedList.id)).identifiers[0] === secretHash);
+
+        const secondKeyId = encryption.getKeyring().generateKey('k2');
+        const rotation = await encryptedManager.rotateKeys({ batchSize: 1 });
+        console.log('✓ Rotated to', rotation.keyId, 'rewrote', rotation.rewritten, 'values in', rotation.batches, 'batches');
+        const [rotatedValue] = await encryptedManager.storage.getMembers(encryptedList.id);
+        console.log('✓ Value now under new key:', encryption.keyIdOf(rotatedValue) === secondKeyId);
+        console.log('✓ Lookup still matches:', (await encryptedManager.findAdvertisersForIdentifiers({ email_hash: secretHash })).suppressed.has('adv_encrypted'));
+        console.log('✓ Second rotation is a no-op:', (await encryptedManager.rotateKeys()).rewritten === 0);
+        await encryptedManager.close();
+    } finally {
+        fs.unlinkSync(keyringPath);
+    }
+
     // Test 3: A/B Testing Sampling - FIXED
     console.log('\n3. Testing A/B sampling...');
     
@@ -71,6 +133,13 @@ async function testPart4() {
     const actualRate = sampledCount / totalChecks;
     console.log(`✓ Sampling rate: expected ${sampleRate}, actual ${actualRate.toFixed(2)}`);
 
+    const unsampled = await advanced.explainSuppressionWithSampling(
+        { email_hash: 'samplingtest1234567890abcdefsamplingtest1234567890abcdefsampling' },
+        0
+    );
+    const [samplingEntry] = unsampled.advertisers;
+    console.log(`${!samplingEntry.suppressed && samplingEntry.effects[0].source === 'sampling' ? '✓' : '✗'} Explanation shows sampling effect:`, samplingEntry.effects[0].detail);
+
     // Test 4: List Combining Logic - FIXED (use proper hashes)
     console.log('\n4. Testing list combining logic...');
     
@@ -93,19 +162,19 @@ async function testPart4() {
         identifiers: [testHash2]
     });
 
-    // Test OR logic (should suppress if any list matches)
-    const orResult = await advanced.checkCombinedSuppression(
-        { email_hash: testHash1 },
-        { operator: 'OR', listIds: [list1.id, list2.id] }
-    );
-    console.log('✓ OR logic result:', orResult.suppressed, orResult.details);
+    // OR becomes a union list, AND an intersection list
+    const orList = await advanced.combineLists({ operator: 'OR', listIds: [list1.id, list2.id] });
+    const orResult = await manager.isIdentifierInList(orList.id, testHash1);
+    console.log(`${orResult && orList.size === 2 ? '✓' : '✗'} OR logic result:`, orResult, `(${orList.derivation}, size ${orList.size})`);
 
-    // Test AND logic (should suppress only if all lists match)
-    const andResult = await advanced.checkCombinedSuppression(
-        { email_hash: testHash1 },
-        { operator: 'AND', listIds: [list1.id, list2.id] }
-    );
-    console.log('✓ AND logic result:', andResult.suppressed, andResult.details);
+    const andList = await advanced.combineLists({ operator: 'AND', listIds: [list1.id, list2.id] });
+    const andResult = await manager.isIdentifierInList(andList.id, testHash1);
+    console.log(`${!andResult && andList.size === 0 ? '✓' : '✗'} AND logic result:`, andResult, `(${andList.derivation}, size ${andList.size})`);
+
+    // Adding testHash1 to list 2 refreshes both combined lists
+    await manager.addIdentifiers(list2.id, [testHash1]);
+    const refreshedAnd = await manager.getListMetadata(andList.id);
+    console.log(`${refreshedAnd.size === 1 && await manager.isIdentifierInList(andList.id, testHash1) ? '✓' : '✗'} AND list refreshed after source change: size ${refreshedAnd.size}`);
 
     // Test 5: Rate Limiting
     console.log('\n5. Testing rate limiting...');
@@ -120,22 +189,71 @@ async function testPart4() {
 
     // Test 6: Audit Logging
     console.log('\n6. Testing audit logging...');
-    advanced.auditLogger.log('SUPPRESSION_CHECK', {
+    await advanced.auditLogger.log('SUPPRESSION_CHECK', {
         userId: 'user123',
         advertiserId: 'adv_test',
         suppressed: true,
         listsChecked: 2
     });
 
-    const logs = await advanced.getAuditLogs();
-    console.log('✓ Audit logs recorded:', logs.length);
-    console.log('✓ Latest log action:', logs[0]?.action);
+    const logs = await advanced.getAuditLogs({ order: 'desc' });
+    console.log('✓ Audit logs recorded:', logs.total);
+    console.log(`${logs.entries[0]?.action === 'SUPPRESSION_CHECK' ? '✓' : '✗'} Latest log action:`, logs.entries[0]?.action);
+
+    const advertiserLogs = await advanced.getAuditLogs({ advertiserId: 'adv_test', action: 'SUPPRESSION_CHECK' });
+    console.log(`${advertiserLogs.total === 1 && advertiserLogs.entries[0].details.listsChecked === 2 ? '✓' : '✗'} Filtered by advertiser:`, advertiserLogs.total);
+
+    const auditChain = await manager.verifyAuditChain();
+    console.log(`${auditChain.ok ? '✓' : '✗'} Audit chain intact:`, auditChain.checked, 'entries');
+
+    // A change and its audit entry commit together
+    const auditedList = await manager.createList({
+        advertiser_id: 'adv_audit',
+        name: 'Audited List',
+        identifier_type: 'email_hash',
+        identifiers: ['aud1234567890abcdefaud1234567890abcdefaud1234567890abcdefaud123']
+    });
+    const appendAuditEntry = manager.storage.appendAuditEntry;
+    manager.storage.appendAuditEntry = async () => { throw new Error('audit store unavailable'); };
+    const failedUpdate = await manager.updateList(auditedList.id, { name: 'Renamed' }).then(() => null, error => error);
+    const failedTrash = await manager.deleteList(auditedList.id).then(() => null, error => error);
+    manager.storage.appendAuditEntry = appendAuditEntry;
+    const untouched = await manager.getList(auditedList.id);
+    console.log(`${failedUpdate && failedTrash && untouched?.name === 'Audited List' ? '✓' : '✗'} Failed audit write rolls back its change:`, untouched?.name);
 
     // Test 7: Data Retention
     console.log('\n7. Testing data retention...');
     const retentionResults = await advanced.enforceDataRetention();
     console.log('✓ Data retention enforced:', retentionResults);
 
+    // Retention goes through the manager: versioned, audited and refreshing derived lists
+    const retentionManager = new SuppressionListManager(':memory:');
+    await retentionManager.initialize();
+    const agedList = await retentionManager.createList({
+        advertiser_id: 'adv_retention',
+        name: 'Aged Source',
+        identifier_type: 'email_hash',
+        identifiers: ['ret1234567890abcdefret1234567890abcdefret1234567890abcdefret123']
+    });
+    const agedPeer = await retentionManager.createList({
+        advertiser_id: 'adv_retention',
+        name: 'Aged Peer',
+        identifier_type: 'email_hash',
+        identifiers: ['pee1234567890abcdefpee1234567890abcdefpee1234567890abcdefpee123']
+    });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const retentionCutoff = new Date().toISOString();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const mirror = await retentionManager.createDerivedList({ operation: 'union', source_list_ids: [agedList.id, agedPeer.id], name: 'Mirror', auto_refresh: true });
+
+    const retention = await retentionManager.removeIdentifiersAddedBefore(retentionCutoff);
+    const agedVersion = (await retentionManager.getListVersions(agedList.id)).pop();
+    const expiredEntries = await retentionManager.queryAuditLog({ action: 'IDENTIFIERS_EXPIRED', listId: agedList.id });
+    const refreshedMirror = await retentionManager.getListMetadata(mirror.id);
+    console.log(`${retention.removed === 2 && agedVersion.change_type === 'retention' && expiredEntries.total === 1 ? '✓' : '✗'} Retention recorded per list:`, agedVersion.change_type, expiredEntries.total);
+    console.log(`${refreshedMirror.size === 0 ? '✓' : '✗'} Derived list refreshed after retention: size ${refreshedMirror.size}`);
+    await retentionManager.close();
+
     console.log('\n=== Part 4 Tests Completed Successfully ===');
 }
 
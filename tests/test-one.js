@@ -1,5 +1,15 @@
 const SuppressionListManager = require('../service/suppression-list-manager');
+const KeyedHasher = require('../service/keyed-hasher');
+const EncryptionService = require('../service/encryption-service');
+const Keyring = require('../service/keyring');
+const SuppressionListImporter = require('../service/suppression-list-importer');
+const { SchemaMigrator, MIGRATIONS } = require('../service/schema-migrations');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const os = require('os');
+const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 async function testPart1() {
     console.log('=== Part 1: Basic Suppression List Storage Tests ===\n');
@@ -74,11 +84,508 @@ async function testPart1() {
     console.log('✓ Total lists:', stats.total_lists);
     console.log('✓ Total advertisers:', stats.total_advertisers);
     console.log('✓ Total identifiers:', stats.total_identifiers);
+    const pendingMigrations = await manager.getPendingMigrations();
+    console.log('✓ Pending schema migrations:', pendingMigrations.length);
 
-    // Test 8: Delete list
-    console.log('\n8. Testing list deletion...');
+    // Test 8: Shared identifiers across advertisers
+    console.log('\n8. Testing identifiers shared across advertisers...');
+    const sharedHash = '0f1e2d3c4b5a69788796a5b4c3d2e1f00f1e2d3c4b5a69788796a5b4c3d2e1f0';
+    await manager.createList({
+        advertiser_id: 'adv_shared_one',
+        name: 'Shared Customers One',
+        identifier_type: 'email_hash',
+        identifiers: [sharedHash, sharedHash]
+    });
+    const secondShared = await manager.createList({
+        advertiser_id: 'adv_shared_two',
+        name: 'Shared Customers Two',
+        identifier_type: 'email_hash',
+        identifiers: [sharedHash]
+    });
+    const sharedMatch = await manager.findAdvertisersForIdentifier(sharedHash, 'email_hash');
+    console.log('✓ Advertisers matched:', Array.from(sharedMatch.suppressed));
+    console.log('✓ Both advertisers suppressed:', sharedMatch.suppressed.size === 2);
+    console.log('✓ Size reflects stored identifiers:', secondShared.size === 1);
+
+    // Test 9: Incremental membership changes
+    console.log('\n9. Testing incremental add/remove...');
+    const extraHash = '1122334455667788990011223344556677889900112233445566778899001122';
+    const addResult = await manager.addIdentifiers(createdList.id, [extraHash, sampleList.identifiers[0]]);
+    console.log('✓ Added:', addResult.added, 'already present:', addResult.alreadyPresent);
+    const removeResult = await manager.removeIdentifiers(createdList.id, [extraHash, sharedHash]);
+    console.log('✓ Removed:', removeResult.removed, 'not present:', removeResult.notPresent);
+    console.log('✓ Size after changes:', removeResult.size === sampleList.identifiers.length);
+    try {
+        await manager.addIdentifiers(createdList.id, ['550e8400-e29b-41d4-a716-446655440000']);
+        console.log('✗ Type validation should have failed');
+    } catch (error) {
+        console.log('✓ Identifiers validated against list type');
+    }
+
+    // Test 10: Versioning and rollback
+    console.log('\n10. Testing list versioning and rollback...');
+    const versions = await manager.getListVersions(createdList.id);
+    console.log('✓ Versions recorded:', versions.map(v => `${v.version}:${v.change_type}(+${v.added_count}/-${v.removed_count})`).join(', '));
+    const secondVersion = await manager.getListAtVersion(createdList.id, 2);
+    console.log('✓ Version 2 had extra identifier:', secondVersion.identifiers.includes(extraHash));
+    const rollbackResult = await manager.rollbackList(createdList.id, 2);
+    console.log('✓ Rollback restored identifiers:', rollbackResult.added, 'new version:', rollbackResult.version);
+    const rolledBack = await manager.getList(createdList.id);
+    console.log('✓ Membership matches version 2:', rolledBack.size === secondVersion.size && rolledBack.identifiers.includes(extraHash));
+
+    // Test 11: Metadata and paginated identifiers
+    console.log('\n11. Testing metadata and paginated identifier retrieval...');
+    const metadata = await manager.getListMetadata(createdList.id);
+    console.log('✓ Metadata without identifiers:', metadata.identifiers === undefined, 'size:', metadata.size);
+    const firstPage = await manager.getListIdentifiers(createdList.id, { limit: 2 });
+    const secondPage = await manager.getListIdentifiers(createdList.id, { after: firstPage.nextCursor, limit: 2 });
+    console.log('✓ Pages:', firstPage.identifiers.length, '+', secondPage.identifiers.length, 'next cursor after last page:', secondPage.nextCursor);
+    const streamed = [];
+    for await (const identifier of manager.streamListIdentifiers(createdList.id, { batchSize: 1 })) {
+        streamed.push(identifier);
+    }
+    console.log('✓ Streamed identifiers match size:', streamed.length === metadata.size);
+
+    // Test 12: Registered identifier types
+    console.log('\n12. Testing registered identifier types...');
+    console.log('✓ Registered types:', manager.identifierTypes.list().map(type => type.name).join(', '));
+    const idfaList = await manager.createList({
+        advertiser_id: 'adv_mobile',
+        name: 'IDFA Opt-outs',
+        identifier_type: 'idfa',
+        identifiers: ['6D92078A-8246-4BA4-AE5B-76104861E7DC']
+    });
+    const idfaMatch = await manager.findAdvertisersForIdentifier('6D92078A-8246-4BA4-AE5B-76104861E7DC', 'idfa');
+    console.log('✓ IDFA list created and matched:', idfaList.size === 1 && idfaMatch.suppressed.has('adv_mobile'));
+    try {
+        await manager.createList({
+            advertiser_id: 'adv_mobile',
+            name: 'Bad IPs',
+            identifier_type: 'ipv4',
+            identifiers: ['300.1.1.1']
+        });
+        console.log('✗ IPv4 validation should have failed');
+    } catch (error) {
+        console.log(`${error.message.includes('300.1.1.1') ? '✗' : '✓'} IPv4 validation caught invalid address without echoing it:`, error.message);
+    }
+    await manager.createList({
+        advertiser_id: 'adv_ipv6',
+        name: 'IPv6 Opt-outs',
+        identifier_type: 'ipv6',
+        identifiers: ['2001:0DB8:0:0:0:0:0:1', '::ffff:0102:0304']
+    });
+    const ipv6Spellings = ['2001:db8::1', '2001:db8:0000::0:1', '::ffff:1.2.3.4', '0:0:0:0:0:FFFF:102:304'];
+    const ipv6Matches = [];
+    for (const spelling of ipv6Spellings) {
+        ipv6Matches.push((await manager.findAdvertisersForIdentifier(spelling, 'ipv6')).suppressed.has('adv_ipv6'));
+    }
+    console.log(`${ipv6Matches.every(Boolean) ? '✓' : '✗'} Equivalent IPv6 spellings match:`, ipv6Matches);
+    const ipv6Canonical = ['2001:db8:0:0:1:0:0:1', '1:0:0:2:0:0:0:3', 'FE80::0001%eth0'].map(value => manager.identifierTypes.normalize('ipv6', value));
+    console.log(`${ipv6Canonical.join() === '2001:db8::1:0:0:1,1:0:0:2::3,fe80::1%eth0' ? '✓' : '✗'} IPv6 normalized to RFC 5952 form:`, ipv6Canonical);
+
+    // Migration 5 keeps the normalization it was written with
+    const legacyDb = await open({ filename: ':memory:', driver: sqlite3.Database });
+    const migrateThrough = version => new SchemaMigrator(legacyDb, MIGRATIONS.filter(migration => migration.version <= version)).migrate();
+    const sha256Hex = value => crypto.createHash('sha256').update(value).digest('hex');
+    await migrateThrough(4);
+    await legacyDb.run(`INSERT INTO suppression_lists (id, advertiser_id, name, identifier_type, created_at, submitted_at, last_updated, size)
+        VALUES ('legacy_v6', 'adv_legacy', 'Legacy IPv6', 'ipv6', '2024-01-01', '2024-01-01', '2024-01-01', 1)`);
+    await legacyDb.run(`INSERT INTO suppression_identifiers (list_id, identifier_hash, identifier, identifier_type, advertiser_id)
+        VALUES ('legacy_v6', ?, '2001:DB8:0:0::1', 'ipv6', 'adv_legacy')`, [sha256Hex('2001:DB8:0:0::1')]);
+    await migrateThrough(5);
+    const migratedV5 = await legacyDb.get(`SELECT identifier, identifier_hash FROM suppression_identifiers WHERE list_id = 'legacy_v6'`);
+    console.log(`${migratedV5.identifier === '2001:db8:0:0::1' && migratedV5.identifier_hash === sha256Hex('2001:db8:0:0::1') ? '✓' : '✗'} Migration 5 uses its frozen rules:`, migratedV5.identifier);
+
+    // Migration 13 re-hashes plainly hashed IPv6 rows into RFC 5952 form and leaves keyed ones
+    await legacyDb.run(`INSERT INTO suppression_list_changes (list_id, version, identifier_hash, identifier, change)
+        VALUES ('legacy_v6', 1, ?, '2001:db8:0:0::1', 'add')`, [sha256Hex('2001:db8:0:0::1')]);
+    await legacyDb.run(`INSERT INTO suppression_identifiers (list_id, identifier_hash, identifier, identifier_type, advertiser_id)
+        VALUES ('legacy_v6', ?, '2001:db8:0:0::2', 'ipv6', 'adv_legacy')`, ['f'.repeat(64)]);
+    await new SchemaMigrator(legacyDb).migrate();
+    const migratedRows = await legacyDb.all(`SELECT identifier, identifier_hash FROM suppression_identifiers WHERE list_id = 'legacy_v6' ORDER BY identifier`);
+    const migratedChange = await legacyDb.get(`SELECT identifier, identifier_hash FROM suppression_list_changes WHERE list_id = 'legacy_v6'`);
+    console.log(`${migratedRows[1].identifier === '2001:db8::1' && migratedRows[1].identifier_hash === sha256Hex('2001:db8::1') && migratedChange.identifier_hash === sha256Hex('2001:db8::1') && migratedRows[0].identifier === '2001:db8:0:0::2' ? '✓' : '✗'} Migration 13 canonicalizes stored IPv6:`, migratedRows.map(row => row.identifier));
+    await legacyDb.close();
+
+    // Test 13: Shared normalization and validation modes
+    console.log('\n13. Testing normalization and validation modes...');
+    const upperCaseMatch = await manager.isIdentifierInList(createdList.id, sampleList.identifiers[0].toUpperCase());
+    console.log('✓ Upper-case lookup matches stored identifier:', upperCaseMatch);
+    const strictManager = new SuppressionListManager(':memory:', { validationMode: 'strict' });
+    await strictManager.initialize();
+    try {
+        await strictManager.createList({
+            advertiser_id: 'adv_testcorp',
+            name: 'Strict List',
+            identifier_type: 'email_hash',
+            identifiers: ['user@example.com']
+        });
+        console.log('✗ Strict mode should have rejected a raw email');
+    } catch (error) {
+        console.log('✓ Strict mode rejected raw email:', error.message);
+    }
+    await strictManager.close();
+
+    // Test 14: Raw email/phone ingestion
+    console.log('\n14. Testing raw email and phone ingestion...');
+    const emailList = await manager.createList({
+        advertiser_id: 'adv_crm',
+        name: 'Raw CRM Emails',
+        identifier_type: 'email',
+        identifiers: ['User@Example.com ', 'user@example.com', 'first.last+promo@gmail.com', 'firstlast@googlemail.com']
+    }, { ingestion: { providerRules: true } });
+    const emailHash = crypto.createHash('sha256').update('user@example.com').digest('hex');
+    console.log('✓ Emails stored as email_hash:', emailList.identifier_type === 'email_hash', 'size:', emailList.size);
+    console.log('✓ Raw values not stored:', !emailList.identifiers.some(identifier => identifier.includes('@')));
+    console.log('✓ Normalized email hash matches:', (await manager.findAdvertisersForIdentifier(emailHash, 'email_hash')).suppressed.has('adv_crm'));
+    const phoneList = await manager.createList({
+        advertiser_id: 'adv_crm',
+        name: 'Raw CRM Phones',
+        identifier_type: 'phone',
+        identifiers: ['(415) 555-2671', '+1 415 555 2671', '1-415-555-2671']
+    });
+    const phoneHash = crypto.createHash('sha256').update('+14155552671').digest('hex');
+    console.log('✓ Phones collapse to one E.164 hash:', phoneList.size === 1 && phoneList.identifiers[0] === phoneHash);
+
+    // Test 15: Flight windows
+    console.log('\n15. Testing flight windows...');
+    const holidayHash = 'c0ffee00c0ffee00c0ffee00c0ffee00c0ffee00c0ffee00c0ffee00c0ffee00';
+    const holidayList = await manager.createList({
+        advertiser_id: 'adv_holiday',
+        name: 'Holiday Buyers',
+        identifier_type: 'email_hash',
+        identifiers: [holidayHash],
+        effective_from: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    });
+    const beforeFlight = await manager.findAdvertisersForIdentifier(holidayHash, 'email_hash');
+    console.log('✓ Upcoming list not serving:', !beforeFlight.suppressed.has('adv_holiday'));
+    await manager.updateList(holidayList.id, { effective_from: null, effective_until: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+    const duringFlight = await manager.findAdvertisersForIdentifier(holidayHash, 'email_hash');
+    console.log('✓ Live list serving after updateList:', duringFlight.suppressed.has('adv_holiday'));
+    try {
+        await manager.updateList(holidayList.id, { effective_from: '2099-01-01T00:00:00Z' });
+        console.log('✗ Window starting after it ends should have been rejected');
+    } catch (error) {
+        console.log('✓ Invalid window rejected:', error.message);
+    }
+    const flightStats = await manager.getStats();
+    console.log('✓ Flight stats - upcoming:', flightStats.upcoming_lists, 'live:', flightStats.live_lists, 'ended:', flightStats.ended_lists);
+
+    // Test 16: Campaign/banner-scoped lists
+    console.log('\n16. Testing campaign-scoped lists...');
+    const scopedHash = 'feed0000feed0000feed0000feed0000feed0000feed0000feed0000feed0000';
+    const scopedList = await manager.createList({
+        advertiser_id: 'adv_techcorp',
+        name: 'Customers - Acquisition Only',
+        identifier_type: 'email_hash',
+        identifiers: [scopedHash],
+        campaign_ids: ['camp_techcorp_001']
+    });
+    const scopedMatch = await manager.findAdvertisersForIdentifier(scopedHash, 'email_hash');
+    console.log('✓ Scoped list stored targets:', scopedList.campaign_ids.join(', '));
+    console.log('✓ Only the campaign is suppressed:', !scopedMatch.suppressed.has('adv_techcorp') && scopedMatch.suppressedCampaigns.has('camp_techcorp_001'));
+    try {
+        await manager.updateList(scopedList.id, { banner_ids: ['banner_gamestudio_001'] });
+        console.log("✗ Another advertiser's banner should have been rejected");
+    } catch (error) {
+        console.log("✓ Another advertiser's banner rejected:", error.message);
+    }
+
+    // Test 17: List search
+    console.log('\n17. Testing list search...');
+    const searchPage = await manager.searchLists({ advertiserId: 'adv_techcorp', sortBy: 'name', sortOrder: 'asc', limit: 2 });
+    console.log('✓ Search page:', searchPage.lists.map(list => list.name).join(', '), '- total:', searchPage.total);
+    const nextSearchPage = await manager.searchLists({ advertiserId: 'adv_techcorp', sortBy: 'name', sortOrder: 'asc', limit: 2, cursor: searchPage.nextCursor });
+    console.log('✓ Next page continues after cursor:', nextSearchPage.lists.every(list => list.name > searchPage.lists[1].name));
+    const sizedSearch = await manager.searchLists({ name: 'customers', minSize: 2, sortBy: 'size' });
+    console.log('✓ Name and size filters:', sizedSearch.lists.every(list => /customers/i.test(list.name) && list.size >= 2), '- total:', sizedSearch.total);
+    try {
+        await manager.searchLists({ sortBy: 'identifiers' });
+        console.log('✗ Unknown sort field should have been rejected');
+    } catch (error) {
+        console.log('✓ Unknown sort field rejected');
+    }
+
+    // Test 18: Set operations between lists
+    console.log('\n18. Testing list set operations...');
+    const setHash = n => String(n).repeat(64);
+    const crmList = await manager.createList({
+        advertiser_id: 'adv_setops', name: 'CRM Export', identifier_type: 'email_hash',
+        identifiers: [setHash(1), setHash(2), setHash(3)]
+    });
+    const churnList = await manager.createList({
+        advertiser_id: 'adv_setops', name: 'Churned', identifier_type: 'email_hash',
+        identifiers: [setHash(3), setHash(4)]
+    });
+    const unionList = await manager.createDerivedList({
+        operation: 'union', name: 'All Known', source_list_ids: [crmList.id, churnList.id]
+    });
+    console.log('✓ Union list:', unionList.size, 'identifiers from', unionList.source_list_ids.length, 'sources');
+    const activeList = await manager.createDerivedList({
+        operation: 'difference', name: 'Active Customers', source_list_ids: [crmList.id, churnList.id], auto_refresh: true
+    });
+    console.log('✓ Difference list:', activeList.size === 2 && !activeList.identifiers.includes(setHash(3)));
+    await manager.removeIdentifiers(churnList.id, [setHash(3)]);
+    console.log('✓ Auto-refresh after source change:', (await manager.getListMetadata(activeList.id)).size === 3,
+        '- manual list unchanged:', (await manager.getListMetadata(unionList.id)).size === 4);
+    const createdListSize = (await manager.getListMetadata(createdList.id)).size;
+    const sharedList = await manager.createDerivedList({
+        operation: 'union', name: 'Shared Audience', advertiser_id: 'adv_setops', source_list_ids: [crmList.id, createdList.id]
+    });
+    console.log(`${sharedList.advertiser_id === 'adv_setops' && sharedList.size === 3 + createdListSize ? '✓' : '✗'} Sources from several advertisers combined:`, sharedList.size, 'identifiers');
+
+    // Test 19: Delete list (trash, restore, purge)
+    console.log('\n19. Testing list deletion...');
     const deleteResult = await manager.deleteList(createdList.id);
-    console.log('✓ List deleted:', deleteResult);
+    console.log('✓ List moved to trash:', deleteResult);
+    try {
+        await manager.refreshDerivedList(sharedList.id);
+        console.log('✗ Refresh from a trashed source should have failed');
+    } catch (error) {
+        console.log('✓ Refresh from a trashed source fails:', error.message);
+    }
+    const trashedLookup = await manager.findAdvertisersForIdentifier(sampleList.identifiers[0], 'email_hash');
+    console.log('✓ Trashed list excluded from serving:', !trashedLookup.suppressed.has('adv_testcorp') && (await manager.getList(createdList.id)) === null);
+    console.log('✓ Trash contents:', (await manager.getTrashedLists('adv_testcorp')).map(list => list.name).join(', '));
+    const restored = await manager.restoreList(createdList.id);
+    console.log('✓ List restored:', restored.id === createdList.id, 'size:', restored.size);
+    await manager.deleteList(createdList.id);
+    console.log('✓ Purge keeps lists within grace period:', (await manager.purgeTrash()).purged === 0);
+    manager.trashGracePeriodDays = 0;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const purgeResult = await manager.purgeTrash();
+    console.log('✓ Purged after grace period:', purgeResult.purged, 'list(s)');
+    const detachedList = await manager.getList(sharedList.id);
+    console.log(`${purgeResult.detachedListIds.includes(sharedList.id) && detachedList.derivation === null && detachedList.size === sharedList.size ? '✓' : '✗'} Derived list detached from its purged source, members kept:`, detachedList.size);
+    const detachedAudit = await manager.queryAuditLog({ action: 'LIST_DETACHED', listId: sharedList.id });
+    console.log(`${detachedAudit.entries[0]?.details.purgedSourceListId === createdList.id ? '✓' : '✗'} Detachment audited`);
+    try {
+        await manager.restoreList(createdList.id);
+        console.log('✗ Restore should fail after purge');
+    } catch (error) {
+        console.log('✓ Purged list cannot be restored:', error.message);
+    }
+
+    // Test 20: Integrity check and repair
+    console.log('\n20. Testing integrity verification...');
+    const cleanReport = await manager.verifyIntegrity();
+    console.log('✓ Clean store:', cleanReport.ok, '-', cleanReport.summary.lists, 'lists,', cleanReport.summary.identifiers, 'identifiers');
+    const damagedList = await manager.createList({
+        advertiser_id: 'adv_integrity', name: 'Integrity', identifier_type: 'email_hash',
+        identifiers: ['1'.repeat(64), '2'.repeat(64)]
+    });
+    const db = manager.storage.db;
+    await db.run("UPDATE suppression_identifiers SET identifier_hash = 'tampered' WHERE list_id = ? AND identifier = ?", [damagedList.id, '1'.repeat(64)]);
+    await db.run("UPDATE suppression_identifiers SET identifier = 'not valid!' WHERE list_id = ? AND identifier = ?", [damagedList.id, '2'.repeat(64)]);
+    await db.run("INSERT INTO suppression_identifiers (list_id, identifier_hash, identifier, identifier_type, advertiser_id, added_at) VALUES ('list_gone', 'h', 'x', 'email_hash', 'adv_integrity', ?)", [new Date().toISOString()]);
+    await db.run("UPDATE suppression_lists SET size = 7, submitted_at = 'last week' WHERE id = ?", [damagedList.id]);
+    const damagedReport = await manager.verifyIntegrity();
+    const { issues: issueCounts } = damagedReport.summary;
+    console.log(`${!damagedReport.ok && issueCounts.hashMismatches === 1 && issueCounts.validationFailures === 1 && issueCounts.orphanedRows === 1 &&
+        issueCounts.sizeMismatches === 1 && issueCounts.invalidTimestamps === 1 ? '✓' : '✗'} Issues found:`, JSON.stringify(issueCounts));
+    const repairReport = await manager.verifyIntegrity({ repair: true });
+    const afterRepair = await manager.verifyIntegrity();
+    const repairedList = await manager.getList(damagedList.id);
+    console.log(`${afterRepair.summary.issues.invalidTimestamps === 1 && Object.values(afterRepair.summary.issues).reduce((a, b) => a + b) === 1 &&
+        repairedList.identifiers.length === 1 && repairedList.size === 1 ? '✓' : '✗'} Repaired:`, JSON.stringify(repairReport.repairs));
+
+    // Switching on keyed hashing (with encryption, which it requires): existing
+    // lists no longer match until repair re-hashes them
+    const rehashKeyring = new Keyring();
+    rehashKeyring.generateKey('k1');
+    manager.encryption = new EncryptionService({ keyring: rehashKeyring });
+    manager.keyedHasher = KeyedHasher.generate();
+    const [keyedIdentifier] = repairedList.identifiers;
+    const beforeRehash = await manager.isIdentifierInList(damagedList.id, keyedIdentifier);
+    const rehashReport = await manager.verifyIntegrity({ repair: true });
+    const afterRehash = await manager.isIdentifierInList(damagedList.id, keyedIdentifier);
+    const [rehashedMember] = await manager.storage.getMembersPage(damagedList.id, { limit: 1 });
+    console.log(`${!beforeRehash && afterRehash && rehashReport.repairs.hashMismatches === rehashReport.summary.identifiers &&
+        EncryptionService.isEncrypted(rehashedMember.identifier) ? '✓' : '✗'} Keyed re-hash:`,
+        rehashReport.repairs.hashMismatches, 'of', rehashReport.summary.identifiers, 'identifiers');
+
+    // Test 21: Right to erasure
+    console.log('\n21. Testing subject erasure...');
+    const erasureManager = new SuppressionListManager(':memory:');
+    await erasureManager.initialize();
+    const subjectEmail = 'Erase.Me@Example.com';
+    const keptEmail = 'keep.me@example.com';
+    const erasureLists = [];
+    for (const advertiserId of ['adv_erase_a', 'adv_erase_b']) {
+        erasureLists.push(await erasureManager.createList({
+            advertiser_id: advertiserId, name: `Erasure ${advertiserId}`, identifier_type: 'email', identifiers: [subjectEmail, keptEmail]
+        }));
+    }
+    const historyOnly = await erasureManager.createList({
+        advertiser_id: 'adv_erase_c', name: 'Erasure history only', identifier_type: 'email', identifiers: [subjectEmail]
+    });
+    const subjectHash = erasureManager.rawIngestion.hash('email', subjectEmail);
+    await erasureManager.removeIdentifiers(historyOnly.id, [subjectHash]);
+
+    const snapshotPath = path.join(os.tmpdir(), `erasure-snapshot-${process.pid}.csv`);
+    await new SuppressionListImporter(erasureManager).exportToCSV('adv_erase_a', snapshotPath);
+
+    try {
+        // A failed erasure leaves the export untouched
+        const snapshotBefore = fs.readFileSync(snapshotPath, 'utf8');
+        const appendAuditEntry = erasureManager.storage.appendAuditEntry;
+        erasureManager.storage.appendAuditEntry = async () => { throw new Error('audit store unavailable'); };
+        const failedErasure = await erasureManager.eraseSubject({ email: 'erase.me@example.com' }).then(() => null, error => error);
+        erasureManager.storage.appendAuditEntry = appendAuditEntry;
+        const leftovers = fs.readdirSync(os.tmpdir()).filter(file => file.startsWith(`${path.basename(snapshotPath)}.erasure-`));
+        console.log(`${failedErasure && fs.readFileSync(snapshotPath, 'utf8') === snapshotBefore && leftovers.length === 0 ? '✓' : '✗'} Failed erasure leaves the snapshot as it was`);
+
+        const receipt = await erasureManager.eraseSubject({ email: 'erase.me@example.com' });
+        const receiptLists = receipt.lists.map(entry => `${entry.advertiserId}:${entry.removed}`).sort();
+        console.log(`${receipt.rowsRemoved === 2 && receiptLists.join() === 'adv_erase_a:1,adv_erase_b:1,adv_erase_c:0' ? '✓' : '✗'} Receipt lists affected lists:`, receiptLists);
+        console.log(`${receipt.snapshots.length === 1 && receipt.snapshots[0].status === 'purged' && receipt.snapshots[0].rowsRemoved === 1 ? '✓' : '✗'} Snapshot purged:`, receipt.snapshots[0].status);
+
+        const snapshotText = fs.readFileSync(snapshotPath, 'utf8');
+        console.log(`${!snapshotText.includes(subjectHash) && snapshotText.split('\n').length === 3 ? '✓' : '✗'} Snapshot keeps other rows only`);
+
+        const firstVersion = await erasureManager.getListAtVersion(erasureLists[0].id, 1);
+        const found = await erasureManager.findAdvertisersForIdentifiers({ email_hash: subjectHash });
+        console.log(`${found.suppressed.size === 0 && !firstVersion.identifiers.includes(subjectHash) && firstVersion.identifiers.length === 1 ? '✓' : '✗'} Subject gone from lists and history`);
+
+        const { entries: [auditEntry] } = await erasureManager.queryAuditLog({ action: 'SUBJECT_ERASED' });
+        console.log(`${auditEntry.id === receipt.receiptId && !JSON.stringify(auditEntry).includes(subjectHash) && !JSON.stringify(receipt).includes(subjectHash) ? '✓' : '✗'} Audit entry recorded without identifiers`);
+
+        try {
+            await erasureManager.eraseSubject({ fingerprint: 'abc' });
+            console.log('✗ Unknown identifier type should have been rejected');
+        } catch (error) {
+            console.log('✓ Unknown identifier type rejected:', error.message);
+        }
+    } finally {
+        fs.unlinkSync(snapshotPath);
+        await erasureManager.close();
+    }
+
+    // Test 22: Audit log
+    console.log('\n22. Testing audit log...');
+    const auditManager = new SuppressionListManager(':memory:');
+    await auditManager.initialize();
+
+    try {
+        const auditList = await auditManager.runAs('alice@example.com', () => auditManager.createList({
+            advertiser_id: 'adv_audit_a', name: 'Audit list', identifier_type: 'email', identifiers: ['audit.one@example.com']
+        }));
+        await auditManager.addIdentifiers(auditList.id, [auditManager.rawIngestion.hash('email', 'audit.two@example.com')]);
+        await auditManager.updateList(auditList.id, { name: 'Audit list renamed' });
+        await auditManager.createList({ advertiser_id: 'adv_audit_b', name: 'Other advertiser', identifier_type: 'email', identifiers: ['audit.three@example.com'] });
+        await auditManager.deleteList(auditList.id);
+        await auditManager.restoreList(auditList.id);
+
+        const forAdvertiser = await auditManager.queryAuditLog({ advertiserId: 'adv_audit_a' });
+        const actions = forAdvertiser.entries.map(entry => entry.action);
+        console.log(`${actions.join() === 'LIST_CREATED,IDENTIFIERS_ADDED,LIST_UPDATED,LIST_TRASHED,LIST_RESTORED' ? '✓' : '✗'} Mutations audited per advertiser:`, actions);
+        console.log(`${!JSON.stringify(forAdvertiser).includes(auditManager.rawIngestion.hash('email', 'audit.two@example.com')) ? '✓' : '✗'} Audit entries carry no identifiers`);
+
+        const byAlice = await auditManager.queryAuditLog({ actor: 'alice@example.com' });
+        console.log(`${byAlice.total === 1 && byAlice.entries[0].action === 'LIST_CREATED' ? '✓' : '✗'} Actor filter:`, byAlice.total, 'entry by alice');
+
+        const firstPage = await auditManager.queryAuditLog({ limit: 4, order: 'desc' });
+        const secondPage = await auditManager.queryAuditLog({ limit: 4, order: 'desc', cursor: firstPage.nextCursor });
+        console.log(`${firstPage.total === 6 && firstPage.entries.length === 4 && secondPage.entries.length === 2 && secondPage.nextCursor === null ? '✓' : '✗'} Pagination:`,
+            firstPage.entries.length, '+', secondPage.entries.length, 'of', firstPage.total);
+
+        const chain = await auditManager.verifyAuditChain();
+        console.log(`${chain.ok && chain.checked === 6 && chain.head.seq === firstPage.entries[0].seq ? '✓' : '✗'} Audit chain verifies:`, chain.checked, 'entries');
+
+        const tampered = forAdvertiser.entries[1];
+        await auditManager.storage.db.run('UPDATE audit_log SET details = ? WHERE seq = ?', [JSON.stringify({ added: 100 }), tampered.seq]);
+        const broken = await auditManager.verifyAuditChain();
+        console.log(`${!broken.ok && broken.problems.length === 1 && broken.problems[0].seq === tampered.seq && broken.problems[0].problem === 'hash_mismatch' ? '✓' : '✗'} Tampering detected:`, broken.problems);
+
+        await auditManager.storage.db.run('DELETE FROM audit_log WHERE seq = ?', [tampered.seq]);
+        const gap = await auditManager.verifyAuditChain();
+        console.log(`${!gap.ok && gap.problems[0].problem === 'broken_link' ? '✓' : '✗'} Deleted entry detected:`, gap.problems[0]);
+    } finally {
+        await auditManager.close();
+    }
+
+    // Test 23: Audit archival and export
+    console.log('\n23. Testing audit archival and export...');
+    const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-archive-'));
+    const archiveManager = new SuppressionListManager(':memory:', { auditArchiveDir: archiveDir });
+    await archiveManager.initialize();
+
+    try {
+        for (const name of ['Archive A', 'Archive B', 'Archive C']) {
+            const list = await archiveManager.createList({ advertiser_id: 'adv_archive', name, identifier_type: 'email', identifiers: ['archive@example.com'] });
+            await archiveManager.updateList(list.id, { description: 'archived' });
+        }
+
+        const archived = await archiveManager.archiveAuditLog({ before: new Date(Date.now() + 60000).toISOString() });
+        const manifest = JSON.parse(fs.readFileSync(path.join(archiveDir, 'manifest.json'), 'utf8'));
+        console.log(`${archived.archived === 5 && manifest.archives.length === 1 && manifest.anchor.seq === 5 && fs.existsSync(path.join(archiveDir, archived.archive.file)) ? '✓' : '✗'} Archived all but the newest entry:`, archived.archived, archived.archive.file);
+
+        const live = await archiveManager.queryAuditLog();
+        console.log(`${live.total === 2 && live.entries.map(entry => entry.action).join() === 'LIST_UPDATED,AUDIT_ARCHIVED' ? '✓' : '✗'} Store keeps the newest entry:`, live.total, 'live entries');
+
+        const seen = [];
+        let archiveCursor = null;
+        do {
+            const page = await archiveManager.queryAuditLog({ includeArchived: true, limit: 3, cursor: archiveCursor });
+            seen.push(...page.entries.map(entry => entry.seq));
+            archiveCursor = page.nextCursor;
+        } while (archiveCursor !== null);
+        const newest = await archiveManager.queryAuditLog({ includeArchived: true, order: 'desc', limit: 2, action: 'LIST_CREATED' });
+        console.log(`${seen.join() === '1,2,3,4,5,6,7' && newest.total === 3 && newest.entries.map(entry => entry.seq).join() === '5,3' ? '✓' : '✗'} Archived entries readable through queries:`, seen);
+
+        const csvPath = path.join(archiveDir, 'audit.csv');
+        const jsonlPath = path.join(archiveDir, 'audit.jsonl');
+        const csvExport = await archiveManager.exportAuditLog({ includeArchived: true, action: 'LIST_CREATED' }, csvPath);
+        const jsonlExport = await archiveManager.exportAuditLog({ includeArchived: true }, jsonlPath, { format: 'jsonl' });
+        const csvLines = fs.readFileSync(csvPath, 'utf8').trim().split('\n');
+        const jsonlLines = fs.readFileSync(jsonlPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        console.log(`${csvExport.entries === 3 && csvLines.length === 4 && csvLines[0].startsWith('seq,id,created_at') ? '✓' : '✗'} CSV export:`, csvExport.entries, 'entries');
+        console.log(`${jsonlExport.entries === 8 && jsonlLines[0].seq === 1 && jsonlLines[7].action === 'AUDIT_EXPORTED' ? '✓' : '✗'} JSONL export:`, jsonlExport.entries, 'entries');
+
+        const archivedChain = await archiveManager.verifyAuditChain({ archives: true });
+        console.log(`${archivedChain.ok && archivedChain.anchor.seq === 5 && archivedChain.archives.checked === 5 ? '✓' : '✗'} Chain verifies from the archive anchor:`, archivedChain.checked, 'live +', archivedChain.archives.checked, 'archived');
+
+        // Pages read only the archive files they need
+        for (const name of ['Archive D', 'Archive E']) {
+            await archiveManager.createList({ advertiser_id: 'adv_archive', name, identifier_type: 'email', identifiers: ['archive@example.com'] });
+        }
+        const secondArchive = await archiveManager.archiveAuditLog({ before: new Date(Date.now() + 60000).toISOString() });
+        const filesRead = [];
+        const readArchive = archiveManager.auditArchive.read.bind(archiveManager.auditArchive);
+        archiveManager.auditArchive.read = record => { filesRead.push(record.file); return readArchive(record); };
+
+        const openingPage = await archiveManager.queryAuditLog({ includeArchived: true, limit: 2 });
+        const openingReads = filesRead.splice(0);
+        const laterPage = await archiveManager.queryAuditLog({ includeArchived: true, limit: 2, cursor: String(secondArchive.archive.firstSeq) });
+        console.log(`${openingPage.total === 12 && openingReads.join() === archived.archive.file ? '✓' : '✗'} First page reads one file and counts the rest from the manifest:`, openingReads.length, 'read, total', openingPage.total);
+        console.log(`${laterPage.total === null && filesRead.join() === secondArchive.archive.file && laterPage.entries.map(entry => entry.seq).join() === '7,8' ? '✓' : '✗'} Later page starts at the cursor's file:`, filesRead.length, 'read');
+        archiveManager.auditArchive.read = readArchive;
+
+        // Another store pointed at this archive keeps its entries
+        const strayManager = new SuppressionListManager(':memory:', { auditArchiveDir: archiveDir });
+        await strayManager.initialize();
+        for (const name of ['Stray A', 'Stray B', 'Stray C', 'Stray D', 'Stray E', 'Stray F']) {
+            await strayManager.createList({ advertiser_id: 'adv_stray', name, identifier_type: 'email', identifiers: ['stray@example.com'] });
+        }
+        const strayArchive = await strayManager.archiveAuditLog({ before: new Date(Date.now() + 60000).toISOString() }).then(() => null, error => error);
+        const strayLive = await strayManager.queryAuditLog();
+        console.log(`${strayArchive && strayLive.total === 6 ? '✓' : '✗'} Mismatched archive anchor rejected before deleting:`, strayArchive?.message, strayLive.total);
+        await strayManager.close();
+
+        fs.appendFileSync(path.join(archiveDir, archived.archive.file), 'x');
+        const damaged = await archiveManager.verifyAuditChain({ archives: true });
+        console.log(`${!damaged.ok && damaged.archives.problems.some(problem => problem.problem === 'checksum_mismatch') ? '✓' : '✗'} Altered archive file detected`);
+
+        try {
+            await archiveManager.exportAuditLog({}, csvPath, { format: 'xml' });
+            console.log('✗ Unknown export format should have been rejected');
+        } catch (error) {
+            console.log('✓ Unknown export format rejected:', error.message);
+        }
+    } finally {
+        await archiveManager.close();
+        fs.rmSync(archiveDir, { recursive: true, force: true });
+    }
 
     console.log('\n=== Part 1 Tests Completed Successfully ===');
 }
@@ -0,0 +1,572 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const SqliteSuppressionStorage = require('../service/storage/sqlite-storage');
+const MemorySuppressionStorage = require('../service/storage/memory-storage');
+
+// Shared conformance suite: every storage backend must pass the same checks.
+const BACKENDS = {
+    sqlite: () => new SqliteSuppressionStorage(':memory:'),
+    memory: () => new MemorySuppressionStorage()
+};
+
+function member(identifier) {
+    return {
+        identifier_hash: crypto.createHash('sha256').update(identifier).digest('hex'),
+        identifier
+    };
+}
+
+function listRow(id, advertiserId, overrides = {}) {
+    const now = new Date().toISOString();
+    return {
+        id,
+        advertiser_id: advertiserId,
+        name: `List ${id}`,
+        description: null,
+        identifier_type: 'email_hash',
+        created_at: now,
+        submitted_at: now,
+        last_updated: now,
+        ...overrides
+    };
+}
+
+const CHECKS = [
+    ['creates a list and stores deduplicated members', async (storage) => {
+        const size = await storage.createList(listRow('l1', 'adv_a'), [member('a'), member('b'), member('a')]);
+        assert.strictEqual(size, 2);
+
+        const list = await storage.getList('l1');
+        assert.strictEqual(list.size, 2);
+        assert.strictEqual(list.is_active, 1);
+        assert.deepStrictEqual((await storage.getMembers('l1')).sort(), ['a', 'b']);
+        assert.strictEqual(await storage.getList('missing'), null);
+    }],
+
+    ['bulk-creates a list in batches with progress', async (storage) => {
+        const members = Array.from({ length: 25 }, (_, i) => member(`bulk${i}`));
+        const progress = [];
+
+        const size = await storage.bulkCreateList(listRow('l1', 'adv_a'), [...members, members[0]], {
+            batchSize: 10,
+            onProgress: event => progress.push(event)
+        });
+
+        assert.strictEqual(size, 25);
+        assert.deepStrictEqual(progress.map(event => event.batches), [1, 2, 3]);
+        assert.ok(progress.every((event, index) => index === 0 || event.rowsWritten >= progress[index - 1].rowsWritten));
+        // The duplicate is not written, so rows written stop short of the rows given
+        assert.deepStrictEqual([progress[2].rowsWritten, progress[2].totalRows], [25, 26]);
+
+        const list = await storage.getList('l1');
+        assert.strictEqual(list.size, 25);
+        assert.strictEqual(list.is_active, 1);
+        assert.strictEqual((await storage.getListVersions('l1'))[0].added_count, 25);
+        assert.strictEqual((await storage.findListsForIdentifier(members[3].identifier_hash, 'email_hash')).length, 1);
+
+        // Writes issued during a bulk load run between its batches, and the list stays hidden until done
+        const events = [];
+        let update;
+        const bulk = storage.bulkCreateList(listRow('l2', 'adv_a'), members, {
+            batchSize: 10,
+            onProgress: event => {
+                events.push(`batch ${event.batches}`);
+                if (event.batches === 1) {
+                    update = storage.updateList('l1', { name: 'Renamed' }).then(async () => {
+                        events.push('update');
+                        assert.strictEqual((await storage.getList('l2')).is_active, 0);
+                        assert.strictEqual((await storage.findListsForIdentifier(members[3].identifier_hash, 'email_hash')).length, 1);
+                    });
+                }
+            }
+        });
+        await bulk;
+        await update;
+        assert.deepStrictEqual(events, ['batch 1', 'update', 'batch 2', 'batch 3']);
+        assert.strictEqual((await storage.getList('l2')).is_active, 1);
+    }],
+
+    ['rejects duplicate list ids', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), []);
+        await assert.rejects(() => storage.createList(listRow('l1', 'adv_a'), []));
+    }],
+
+    ['filters and orders lists', async (storage) => {
+        await storage.createList(listRow('old', 'adv_a', { last_updated: '2024-01-01T00:00:00.000Z' }), []);
+        await storage.createList(listRow('new', 'adv_a', { last_updated: '2024-06-01T00:00:00.000Z' }), []);
+        await storage.createList(listRow('dev', 'adv_a', { identifier_type: 'device_id' }), []);
+        await storage.createList(listRow('other', 'adv_b'), []);
+
+        const lists = await storage.listLists({ advertiserId: 'adv_a', identifierType: 'email_hash' });
+        assert.deepStrictEqual(lists.map(list => list.id), ['new', 'old']);
+
+        const stale = await storage.listLists({ updatedBefore: '2024-03-01T00:00:00.000Z' });
+        assert.deepStrictEqual(stale.map(list => list.id), ['old']);
+    }],
+
+    ['searches lists with filters, sorting and keyset paging', async (storage) => {
+        await storage.createList(listRow('a', 'adv_a', { name: 'Holiday Buyers', created_at: '2024-01-01T00:00:00.000Z' }), [member('1'), member('2')]);
+        await storage.createList(listRow('b', 'adv_a', { name: 'holiday_50%_off', created_at: '2024-02-01T00:00:00.000Z' }), [member('1')]);
+        await storage.createList(listRow('c', 'adv_b', { name: 'Churned', created_at: '2024-03-01T00:00:00.000Z' }), [member('1'), member('2'), member('3')]);
+        await storage.createList(listRow('d', 'adv_a', { name: 'Holiday Trash' }), []);
+        await storage.updateList('d', { deleted_at: '2024-04-01T00:00:00.000Z' });
+
+        const holiday = await storage.searchLists({ filters: { name: 'HOLIDAY' }, sortBy: 'name', sortOrder: 'asc', limit: 10 });
+        assert.deepStrictEqual(holiday.lists.map(list => list.id), ['a', 'b']);
+        assert.strictEqual(holiday.total, 2);
+
+        // LIKE wildcards in the search text are literal
+        assert.deepStrictEqual((await storage.searchLists({ filters: { name: '50%' } })).lists.map(list => list.id), ['b']);
+        assert.strictEqual((await storage.searchLists({ filters: { name: 'l_d' } })).total, 0);
+
+        const ranged = await storage.searchLists({
+            filters: { createdFrom: '2024-01-15T00:00:00.000Z', createdTo: '2024-03-01T00:00:00.000Z', minSize: 1, maxSize: 3 }
+        });
+        assert.deepStrictEqual(ranged.lists.map(list => list.id).sort(), ['b', 'c']);
+        assert.deepStrictEqual((await storage.searchLists({ filters: { status: 'trashed' } })).lists.map(list => list.id), ['d']);
+        assert.strictEqual((await storage.searchLists({ filters: { status: 'all' } })).total, 4);
+
+        const first = await storage.searchLists({ sortBy: 'size', sortOrder: 'desc', limit: 2 });
+        assert.deepStrictEqual(first.lists.map(list => list.id), ['c', 'a']);
+        const last = first.lists[first.lists.length - 1];
+        const second = await storage.searchLists({ sortBy: 'size', sortOrder: 'desc', limit: 2, after: { value: last.size, id: last.id } });
+        assert.deepStrictEqual(second.lists.map(list => list.id), ['b']);
+        assert.strictEqual(second.total, 3);
+    }],
+
+    ['updates and deletes lists', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a')]);
+
+        assert.strictEqual(await storage.updateList('l1', { name: 'Renamed', is_active: 0 }), true);
+        const list = await storage.getList('l1');
+        assert.strictEqual(list.name, 'Renamed');
+        assert.strictEqual(list.is_active, 0);
+        assert.strictEqual((await storage.listLists({ activeOnly: true })).length, 0);
+
+        assert.strictEqual(await storage.deleteList('l1'), true);
+        assert.strictEqual(await storage.getList('l1'), null);
+        assert.deepStrictEqual(await storage.getMembers('l1'), []);
+        assert.deepStrictEqual(await storage.findListsForIdentifier(member('a').identifier_hash, 'email_hash'), []);
+        assert.strictEqual(await storage.deleteList('l1'), false);
+    }],
+
+    ['keeps trashed lists out of listing, lookups and stats', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a')]);
+        await storage.createList(listRow('l2', 'adv_a'), [member('a')]);
+
+        assert.strictEqual(await storage.updateList('l1', { deleted_at: '2024-03-01T00:00:00.000Z' }), true);
+        assert.deepStrictEqual((await storage.listLists()).map(list => list.id), ['l2']);
+        assert.deepStrictEqual((await storage.listLists({ trashed: true })).map(list => list.id), ['l1']);
+        assert.deepStrictEqual((await storage.listLists({ trashed: true, deletedBefore: '2024-02-01T00:00:00.000Z' })), []);
+        assert.deepStrictEqual((await storage.findListsForIdentifier(member('a').identifier_hash, 'email_hash')).map(row => row.list_id), ['l2']);
+        assert.strictEqual((await storage.getStats()).total_lists, 1);
+        assert.strictEqual((await storage.getList('l1')).deleted_at, '2024-03-01T00:00:00.000Z');
+
+        await storage.updateList('l1', { deleted_at: null });
+        assert.strictEqual((await storage.listLists()).length, 2);
+    }],
+
+    ['adds and removes members with counts', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a')]);
+
+        const added = await storage.addMembers('l1', [member('a'), member('b'), member('c')]);
+        assert.strictEqual(added.added, 2);
+        assert.strictEqual(added.size, 3);
+        assert.strictEqual(added.version, 2);
+
+        const removed = await storage.removeMembers('l1', [member('a'), member('zzz')]);
+        assert.strictEqual(removed.removed, 1);
+        assert.strictEqual(removed.size, 2);
+
+        assert.strictEqual(await storage.hasMember('l1', member('b').identifier_hash), true);
+        assert.strictEqual(await storage.hasMember('l1', member('a').identifier_hash), false);
+
+        const noop = await storage.addMembers('l1', [member('b')]);
+        assert.strictEqual(noop.version, null);
+        assert.strictEqual((await storage.getListVersions('l1')).length, 3);
+    }],
+
+    ['pages members by identifier hash', async (storage) => {
+        const members = ['a', 'b', 'c', 'd', 'e'].map(member);
+        await storage.createList(listRow('l1', 'adv_a'), members);
+
+        const expected = members.map(m => m.identifier_hash).sort();
+        const first = await storage.getMembersPage('l1', { after: null, limit: 2 });
+        const second = await storage.getMembersPage('l1', { after: first[1].identifier_hash, limit: 2 });
+        const last = await storage.getMembersPage('l1', { after: expected[3], limit: 2 });
+
+        assert.deepStrictEqual(first.map(row => row.identifier_hash), expected.slice(0, 2));
+        assert.deepStrictEqual(second.map(row => row.identifier_hash), expected.slice(2, 4));
+        assert.deepStrictEqual(last.map(row => row.identifier_hash), expected.slice(4));
+        assert.ok(first.every(row => row.identifier));
+    }],
+
+    ['finds every active list holding an identifier', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('shared')]);
+        await storage.createList(listRow('l2', 'adv_b'), [member('shared')]);
+        await storage.createList(listRow('l3', 'adv_c', { identifier_type: 'device_id' }), [member('shared')]);
+        await storage.createList(listRow('l4', 'adv_d'), [member('shared')]);
+        await storage.updateList('l4', { is_active: 0 });
+
+        const matches = await storage.findListsForIdentifier(member('shared').identifier_hash, 'email_hash');
+        assert.deepStrictEqual(matches.map(match => match.advertiser_id).sort(), ['adv_a', 'adv_b']);
+        assert.ok(matches.every(match => match.list_name && match.list_id));
+    }],
+
+    ['keeps version history and rolls back', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a'), member('b')]);
+        await storage.addMembers('l1', [member('c')]);
+        await storage.removeMembers('l1', [member('a'), member('b')]);
+
+        const versions = await storage.getListVersions('l1');
+        assert.deepStrictEqual(versions.map(v => [v.version, v.change_type, v.added_count, v.removed_count, v.size]), [
+            [1, 'create', 2, 0, 2],
+            [2, 'add', 1, 0, 3],
+            [3, 'remove', 0, 2, 1]
+        ]);
+        assert.deepStrictEqual((await storage.getMembersAtVersion('l1', 2)).sort(), ['a', 'b', 'c']);
+        assert.strictEqual((await storage.getListVersion('l1', 2)).size, 3);
+        assert.strictEqual(await storage.getListVersion('l1', 9), null);
+
+        const rollback = await storage.rollbackList('l1', 1);
+        assert.strictEqual(rollback.added, 2);
+        assert.strictEqual(rollback.removed, 1);
+        assert.strictEqual(rollback.version, 4);
+        assert.deepStrictEqual((await storage.getMembers('l1')).sort(), ['a', 'b']);
+        assert.strictEqual((await storage.getListVersion('l1', 4)).restored_from, 1);
+    }],
+
+    ['builds and refreshes derived lists from set operations', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a'), member('b'), member('c')]);
+        await storage.createList(listRow('l2', 'adv_a'), [member('b'), member('c'), member('d')]);
+        await storage.createList(listRow('l3', 'adv_a'), [member('c')]);
+
+        assert.strictEqual(await storage.createDerivedList(listRow('u', 'adv_a'), { operation: 'union', sourceListIds: ['l1', 'l2'] }), 4);
+        assert.strictEqual(await storage.createDerivedList(listRow('i', 'adv_a'), { operation: 'intersection', sourceListIds: ['l1', 'l2'] }), 2);
+        assert.strictEqual(await storage.createDerivedList(listRow('d', 'adv_a'),
+            { operation: 'difference', sourceListIds: ['l1', 'l2', 'l3'], autoRefresh: true }), 1);
+
+        assert.deepStrictEqual((await storage.getMembers('i')).sort(), ['b', 'c']);
+        assert.deepStrictEqual(await storage.getMembers('d'), ['a']);
+        assert.strictEqual((await storage.getList('d')).derivation, 'difference');
+        assert.strictEqual((await storage.getList('d')).auto_refresh, 1);
+        assert.strictEqual((await storage.getList('l1')).derivation, null);
+        assert.deepStrictEqual(await storage.getListSources('d'), ['l1', 'l2', 'l3']);
+        assert.deepStrictEqual(await storage.getDependentLists('l1'), ['d', 'i', 'u']);
+        assert.strictEqual((await storage.getListVersion('u', 1)).change_type, 'create');
+
+        await storage.removeMembers('l2', [member('b')]);
+        await storage.addMembers('l1', [member('e')]);
+        const refresh = await storage.refreshDerivedList('d');
+        assert.strictEqual(refresh.added, 2);
+        assert.strictEqual(refresh.removed, 0);
+        assert.strictEqual(refresh.size, 3);
+        assert.deepStrictEqual((await storage.getMembers('d')).sort(), ['a', 'b', 'e']);
+        assert.strictEqual((await storage.getListVersions('d')).pop().change_type, 'refresh');
+        assert.strictEqual((await storage.refreshDerivedList('d')).version, null);
+
+        await storage.deleteList('d');
+        assert.deepStrictEqual(await storage.getDependentLists('l1'), ['i', 'u']);
+
+        // Sources cannot be deleted from under their derived lists
+        await assert.rejects(() => storage.deleteList('l1'), /source of derived lists/);
+        assert.ok(await storage.getList('l1'));
+        assert.strictEqual(await storage.detachDerivedList('i'), true);
+        assert.strictEqual(await storage.detachDerivedList('u'), true);
+        assert.strictEqual(await storage.detachDerivedList('missing'), false);
+        assert.strictEqual(await storage.deleteList('l1'), true);
+        assert.deepStrictEqual([(await storage.getList('u')).derivation, (await storage.getList('u')).auto_refresh], [null, 0]);
+        assert.deepStrictEqual(await storage.getListSources('u'), []);
+        assert.deepStrictEqual((await storage.getMembers('i')).sort(), ['b', 'c']);
+    }],
+
+    ['counts pairwise overlap between lists and advertisers', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a'), member('b'), member('c')]);
+        await storage.createList(listRow('l2', 'adv_a'), [member('b'), member('c'), member('d')]);
+        await storage.createList(listRow('l3', 'adv_b'), [member('c'), member('e')]);
+        await storage.createList(listRow('l4', 'adv_b', { identifier_type: 'device_id' }), [member('a')]);
+        await storage.createList(listRow('l5', 'adv_c'), [member('a')]);
+        await storage.updateList('l5', { deleted_at: new Date().toISOString() });
+
+        const lists = await storage.getOverlapCounts({ listIds: ['l1', 'l2', 'l3'] });
+        assert.deepStrictEqual(lists.sizes, { l1: 3, l2: 3, l3: 2 });
+        assert.deepStrictEqual(lists.intersections, [
+            { a: 'l1', b: 'l2', count: 2 },
+            { a: 'l1', b: 'l3', count: 1 },
+            { a: 'l2', b: 'l3', count: 1 }
+        ]);
+
+        // Same hash under another identifier type is a different member; trashed lists don't count
+        const advertisers = await storage.getOverlapCounts({ advertiserIds: ['adv_a', 'adv_b', 'adv_c'] });
+        assert.deepStrictEqual(advertisers.sizes, { adv_a: 4, adv_b: 3 });
+        assert.deepStrictEqual(advertisers.intersections, [{ a: 'adv_a', b: 'adv_b', count: 1 }]);
+    }],
+
+    ['finds every list holding an identifier whatever its state', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a')]);
+        await storage.createList(listRow('l2', 'adv_b'), [member('b')]);
+        await storage.addMembers('l2', [member('a')]);
+        await storage.addMembers('l2', [member('c')]);
+        await storage.updateList('l2', { is_active: 0 });
+
+        const rows = await storage.findMembershipsForIdentifier(member('a').identifier_hash, 'email_hash');
+        assert.deepStrictEqual(rows.map(row => [row.list_id, row.list_version, row.added_in_version]), [['l1', 1, 1], ['l2', 3, 2]]);
+        assert.strictEqual(rows[1].is_active, 0);
+        assert.strictEqual(rows[1].list_name, 'List l2');
+        assert.deepStrictEqual(await storage.findMembershipsForIdentifier(member('a').identifier_hash, 'device_id'), []);
+    }],
+
+    ['removes members added before a cutoff', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a'), member('b')]);
+
+        const cutoff = new Date(Date.now() + 60000).toISOString();
+        assert.deepStrictEqual(await storage.getListsWithMembersAddedBefore('2000-01-01T00:00:00.000Z'), []);
+        assert.deepStrictEqual(await storage.getListsWithMembersAddedBefore(cutoff), ['l1']);
+        assert.strictEqual((await storage.removeMembersAddedBefore('l1', '2000-01-01T00:00:00.000Z')).version, null);
+        const result = await storage.removeMembersAddedBefore('l1', cutoff);
+        assert.deepStrictEqual([result.removed, result.size, result.version], [2, 0, 2]);
+        assert.strictEqual((await storage.getList('l1')).size, 0);
+        assert.strictEqual((await storage.getListVersions('l1')).pop().change_type, 'retention');
+    }],
+
+    ['reports stats for active lists', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a'), member('b')]);
+        await storage.createList(listRow('l2', 'adv_b', { identifier_type: 'device_id' }), [member('c')]);
+        await storage.createList(listRow('l3', 'adv_c'), [member('d')]);
+        await storage.updateList('l3', { is_active: 0 });
+
+        const stats = await storage.getStats();
+        assert.strictEqual(stats.total_lists, 2);
+        assert.strictEqual(stats.total_advertisers, 2);
+        assert.strictEqual(stats.total_identifiers, 3);
+        assert.strictEqual(stats.identifier_types, 2);
+    }],
+
+    ['groups stats by advertiser and identifier type from real counts', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a'), member('b')]);
+        await storage.createList(listRow('l2', 'adv_a'), [member('b'), member('c')]);
+        await storage.createList(listRow('l3', 'adv_b', { identifier_type: 'device_id' }), [member('a')]);
+        await storage.createList(listRow('l4', 'adv_c'), [member('d')]);
+        await storage.updateList('l4', { deleted_at: new Date().toISOString() });
+        await storage.updateList('l1', { size: 10 });
+
+        assert.strictEqual((await storage.getStats()).total_identifiers, 5);
+        assert.deepStrictEqual(await storage.getStatsBy('advertiser_id'), [
+            { advertiser_id: 'adv_a', lists: 2, advertisers: 1, identifier_types: 1, identifiers: 4, unique_identifiers: 3 },
+            { advertiser_id: 'adv_b', lists: 1, advertisers: 1, identifier_types: 1, identifiers: 1, unique_identifiers: 1 }
+        ]);
+        assert.deepStrictEqual((await storage.getStatsBy('identifier_type')).map(row => [row.identifier_type, row.advertisers, row.identifiers]),
+            [['device_id', 1, 1], ['email_hash', 1, 4]]);
+        await assert.rejects(storage.getStatsBy('name'), /Invalid stats dimension/);
+    }],
+
+    ['reconciles drifted list sizes', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a'), member('b')]);
+        await storage.createList(listRow('l2', 'adv_a'), [member('c')]);
+        await storage.updateList('l1', { size: 5 });
+
+        const expected = [{ list_id: 'l1', stored_size: 5, actual_size: 2 }];
+        assert.deepStrictEqual(await storage.reconcileSizes({ dryRun: true }), expected);
+        assert.strictEqual((await storage.getList('l1')).size, 5);
+        assert.deepStrictEqual(await storage.reconcileSizes(), expected);
+        assert.strictEqual((await storage.getList('l1')).size, 2);
+        assert.deepStrictEqual(await storage.reconcileSizes(), []);
+    }],
+
+    ['repairs members as a single version and reports a clean store', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a'), { identifier_hash: 'bad', identifier: 'b' }]);
+
+        assert.deepStrictEqual(await storage.findOrphans(), []);
+        assert.deepStrictEqual(await storage.findTypeMismatches(), []);
+        assert.strictEqual(await storage.fixTypeMismatches(), 0);
+
+        const result = await storage.repairMembers('l1', { remove: [{ identifier_hash: 'bad', identifier: 'b' }], add: [member('b')] });
+        assert.strictEqual(result.added, 1);
+        assert.strictEqual(result.removed, 1);
+        assert.strictEqual(result.version, 2);
+        assert.deepStrictEqual((await storage.getMembers('l1')).sort(), ['a', 'b']);
+        assert.strictEqual(await storage.hasMember('l1', member('b').identifier_hash), true);
+        assert.strictEqual((await storage.getListVersion('l1', 2)).change_type, 'repair');
+    }],
+
+    ['looks up several hashes at once and reports which one matched', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_b'), [member('a')]);
+        await storage.createList(listRow('l2', 'adv_a'), [member('b')]);
+        await storage.createList(listRow('l3', 'adv_c'), [member('c')]);
+        await storage.deleteList('l3');
+
+        const hashes = [member('a').identifier_hash, member('b').identifier_hash, member('c').identifier_hash];
+        const matches = await storage.findListsForIdentifier(hashes, 'email_hash');
+        assert.deepStrictEqual(matches.map(row => [row.list_id, row.identifier_hash]).sort(), [
+            ['l1', member('a').identifier_hash],
+            ['l2', member('b').identifier_hash]
+        ]);
+
+        const memberships = await storage.findMembershipsForIdentifier(hashes, 'email_hash');
+        assert.deepStrictEqual(memberships.map(row => row.list_id), ['l2', 'l1']);
+        assert.strictEqual(memberships[0].identifier_hash, member('b').identifier_hash);
+        assert.deepStrictEqual(await storage.listAdvertiserIds(), ['adv_a', 'adv_b']);
+    }],
+
+    ['erases an identifier from members and history across lists', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a'), member('b')]);
+        await storage.createList(listRow('l2', 'adv_b'), [member('a')]);
+        await storage.removeMembers('l2', [member('a')]);
+        await storage.createList(listRow('l3', 'adv_c', { identifier_type: 'device_id' }), [member('a')]);
+
+        const results = await storage.eraseIdentifiers([member('a').identifier_hash], 'email_hash');
+        assert.deepStrictEqual(results.map(row => [row.list_id, row.removed, row.history_removed, row.size, row.version]), [
+            ['l1', 1, 1, 1, 2],
+            ['l2', 0, 2, 0, null]
+        ]);
+        assert.deepStrictEqual(await storage.getMembers('l1'), ['b']);
+        assert.deepStrictEqual(await storage.getMembersAtVersion('l1', 1), ['b']);
+        assert.deepStrictEqual(await storage.getMembersAtVersion('l2', 1), []);
+        assert.strictEqual((await storage.getListVersion('l1', 2)).change_type, 'erase');
+        assert.strictEqual(await storage.hasMember('l3', member('a').identifier_hash), true);
+        assert.deepStrictEqual(await storage.eraseIdentifiers([member('a').identifier_hash], 'email_hash'), []);
+    }],
+
+    ['keeps export snapshots', async (storage) => {
+        await storage.recordSnapshot({ path: '/tmp/b.csv', advertiser_id: 'adv_a', exported_at: '2024-01-02T00:00:00.000Z' });
+        await storage.recordSnapshot({ path: '/tmp/a.csv', advertiser_id: 'adv_a', exported_at: '2024-01-01T00:00:00.000Z' });
+        await storage.recordSnapshot({ path: '/tmp/b.csv', advertiser_id: 'adv_b', exported_at: '2024-01-03T00:00:00.000Z' });
+        assert.deepStrictEqual((await storage.listSnapshots()).map(row => [row.path, row.advertiser_id]), [['/tmp/a.csv', 'adv_a'], ['/tmp/b.csv', 'adv_b']]);
+    }],
+
+    ['pages audit entries by seq with filters', async (storage) => {
+        assert.strictEqual(await storage.getLastAuditEntry(), null);
+
+        const append = (id, day, action, actor, advertiserId) => {
+            const entry = { id, created_at: `2024-01-0${day}T00:00:00.000Z`, action, actor, advertiser_id: advertiserId, list_id: null, details: { day } };
+            return storage.appendAuditEntry(entry, last => {
+                entry.prev_hash = last ? last.entry_hash : '0'.repeat(64);
+                entry.entry_hash = id.repeat(64);
+            });
+        };
+        const seqs = [];
+        seqs.push(await append('a', 1, 'LIST_CREATED', 'alice', 'adv_a'));
+        seqs.push(await append('b', 2, 'SUBJECT_ERASED', 'bob', null));
+        seqs.push(await append('c', 3, 'LIST_CREATED', 'alice', 'adv_b'));
+        seqs.push(await append('d', 4, 'LIST_UPDATED', 'alice', 'adv_a'));
+        assert.ok(seqs.every((seq, index) => index === 0 || seq > seqs[index - 1]));
+        assert.deepStrictEqual((await storage.getLastAuditEntry()).details, { day: 4 });
+
+        const ids = result => result.entries.map(row => row.id);
+        const all = await storage.getAuditEntries({});
+        assert.deepStrictEqual([ids(all), all.total], [['a', 'b', 'c', 'd'], 4]);
+        assert.strictEqual(all.entries[0].entry_hash, 'a'.repeat(64));
+
+        const alice = await storage.getAuditEntries({ filters: { actor: 'alice' }, order: 'desc', limit: 2 });
+        assert.deepStrictEqual([ids(alice), alice.total], [['d', 'c'], 3]);
+        const next = await storage.getAuditEntries({ filters: { actor: 'alice' }, order: 'desc', after: alice.entries[1].seq, limit: 2 });
+        assert.deepStrictEqual([ids(next), next.total], [['a'], 3]);
+
+        assert.deepStrictEqual(ids(await storage.getAuditEntries({ filters: { advertiserId: 'adv_a', action: 'LIST_CREATED' } })), ['a']);
+        assert.deepStrictEqual(ids(await storage.getAuditEntries({ filters: { from: '2024-01-02T00:00:00.000Z', to: '2024-01-03T00:00:00.000Z' } })), ['b', 'c']);
+
+        // Archived entries are deleted up to a seq; new entries never reuse their seqs
+        assert.strictEqual(await storage.deleteAuditEntriesThrough(seqs[2]), 3);
+        assert.strictEqual(await storage.deleteAuditEntriesThrough(seqs[2]), 0);
+        assert.ok(await append('e', 5, 'LIST_CREATED', 'bob', 'adv_a') > seqs[3]);
+        const remaining = await storage.getAuditEntries({});
+        assert.deepStrictEqual([ids(remaining), remaining.total], [['d', 'e'], 2]);
+        assert.strictEqual(remaining.entries[1].prev_hash, 'd'.repeat(64));
+    }],
+
+    ['links concurrent audit appends into one chain', async (storage) => {
+        const append = id => {
+            const entry = { id, created_at: new Date().toISOString(), action: 'LIST_UPDATED', actor: 'system', advertiser_id: null, list_id: null, details: {} };
+            return storage.appendAuditEntry(entry, last => {
+                entry.prev_hash = last ? last.entry_hash : '0'.repeat(64);
+                entry.entry_hash = crypto.createHash('sha256').update(id + entry.prev_hash).digest('hex');
+            });
+        };
+
+        await Promise.all(['a', 'b', 'c', 'd', 'e'].map(append));
+        const { entries } = await storage.getAuditEntries({});
+        assert.strictEqual(entries.length, 5);
+        entries.forEach((entry, index) => {
+            assert.strictEqual(entry.prev_hash, index === 0 ? '0'.repeat(64) : entries[index - 1].entry_hash);
+        });
+    }],
+
+    ['rewrites stored identifier values in batches without touching hashes', async (storage) => {
+        await storage.createList(listRow('l1', 'adv_a'), [member('a'), member('b'), member('c')]);
+        await storage.removeMembers('l1', [member('c')]);
+
+        const batches = [];
+        const result = await storage.rewriteIdentifiers(value => value === 'b' ? null : value.toUpperCase(), {
+            batchSize: 2,
+            onBatch: progress => batches.push(progress.scanned)
+        });
+        // 2 members plus 4 change rows (3 created, 1 removed); both copies of 'b' are skipped
+        assert.strictEqual(result.scanned, 6);
+        assert.strictEqual(result.rewritten, 4);
+        assert.strictEqual(result.batches, batches.length);
+        assert.ok(result.batches > 1);
+
+        assert.deepStrictEqual((await storage.getMembers('l1')).sort(), ['A', 'b']);
+        assert.strictEqual(await storage.hasMember('l1', member('a').identifier_hash), true);
+        assert.deepStrictEqual((await storage.getMembersAtVersion('l1', 1)).sort(), ['A', 'C', 'b']);
+    }],
+
+    ['serves lists only inside their flight window', async (storage) => {
+        await storage.createList(listRow('always', 'adv_a'), [member('a')]);
+        await storage.createList(listRow('upcoming', 'adv_b', { effective_from: '2024-06-01T00:00:00.000Z' }), [member('a')]);
+        await storage.createList(listRow('live', 'adv_c', {
+            effective_from: '2024-01-01T00:00:00.000Z',
+            effective_until: '2024-06-01T00:00:00.000Z'
+        }), [member('a')]);
+        await storage.createList(listRow('ended', 'adv_d', { effective_until: '2024-02-01T00:00:00.000Z' }), [member('a')]);
+
+        const asOf = '2024-03-01T00:00:00.000Z';
+        const matches = await storage.findListsForIdentifier(member('a').identifier_hash, 'email_hash', asOf);
+        assert.deepStrictEqual(matches.map(row => row.list_id).sort(), ['always', 'live']);
+
+        const stats = await storage.getStats(asOf);
+        assert.deepStrictEqual([stats.upcoming_lists, stats.live_lists, stats.ended_lists], [1, 2, 1]);
+
+        await storage.updateList('ended', { effective_until: null });
+        assert.strictEqual((await storage.findListsForIdentifier(member('a').identifier_hash, 'email_hash', asOf)).length, 3);
+    }]
+];
+
+async function testStorageConformance() {
+    console.log('=== Storage Backend Conformance Tests ===\n');
+
+    let failures = 0;
+
+    for (const [backendName, createStorage] of Object.entries(BACKENDS)) {
+        console.log(`--- ${backendName} ---`);
+
+        for (const [description, check] of CHECKS) {
+            const storage = createStorage();
+            await storage.initialize();
+
+            try {
+                await check(storage);
+                console.log(`✓ ${description}`);
+            } catch (error) {
+                failures++;
+                console.log(`✗ ${description}: ${error.message}`);
+            } finally {
+                await storage.close();
+            }
+        }
+        console.log();
+    }
+
+    if (failures > 0) {
+        console.log(`=== ${failures} conformance checks failed ===`);
+        process.exit(1);
+    }
+
+    console.log('=== Storage Conformance Tests Completed Successfully ===');
+}
+
+// Run tests
+testStorageConformance().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -1,5 +1,9 @@
 const { AdServer } = require('../ad_server');
 const EnhancedFalconServer = require('../service/falcon-server-enhanced');
+const SuppressionListManager = require('../service/suppression-list-manager');
+const KeyedHasher = require('../service/keyed-hasher');
+const EncryptionService = require('../service/encryption-service');
+const Keyring = require('../service/keyring');
 
 async function testPart3() {
     console.log('=== Part 3: Ad Server Integration Tests ===\n');
@@ -101,6 +105,186 @@ async function testPart3() {
     const avgTime = (endTime - startTime) / iterations;
     console.log(`✓ Average suppression check time: ${avgTime.toFixed(2)}ms`);
 
+    console.log('\n5. Testing banner-scoped suppression...');
+    const scopedManager = new SuppressionListManager(':memory:');
+    await scopedManager.initialize();
+    const scopedFalcon = new EnhancedFalconServer(adServer, scopedManager, { cache: false });
+    const scopedUser = { email_hash: 'b00b1e5b00b1e5b00b1e5b00b1e5b00b1e5b00b1e5b00b1e5b00b1e5b00b1e5a' };
+    await scopedManager.createList({
+        advertiser_id: 'adv_gamestudio',
+        name: 'Existing Players - Acquisition Only',
+        identifier_type: 'email_hash',
+        identifiers: [scopedUser.email_hash],
+        banner_ids: ['banner_gamestudio_001']
+    });
+
+    const scopedResult = await scopedFalcon.checkUserSuppression(scopedUser);
+    console.log('✓ Advertiser not suppressed as a whole:', !scopedResult.suppressedAdvertisers.has('adv_gamestudio'));
+    console.log('✓ Suppressed banners:', Array.from(scopedResult.suppressedBanners));
+
+    // The scoped banner must never be served; other banners on the placement still are
+    const servedBanners = new Set();
+    for (let i = 0; i < 50; i++) {
+        const [scopedResponse] = await scopedFalcon.serveAdWithSuppression({
+            placementId: 'pl_12346',
+            userIdentifiers: scopedUser,
+            siteId: 'site_001',
+            pageUrl: 'https://technews.com'
+        });
+        servedBanners.add(scopedResponse.served ? scopedResponse.bannerId : 'none');
+    }
+    console.log('✓ Scoped banner never served:', !servedBanners.has('banner_gamestudio_001'), Array.from(servedBanners));
+
+    // Test 6: Explaining a decision
+    console.log('\n6. Testing suppression explanation...');
+    const explainUser = { email_hash: 'e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4e4' };
+    const explainList = await scopedManager.createList({
+        advertiser_id: 'adv_techcorp',
+        name: 'Explain - Customers',
+        identifier_type: 'email_hash',
+        identifiers: [explainUser.email_hash]
+    });
+    await scopedManager.createList({
+        advertiser_id: 'adv_luxurystore',
+        name: 'Explain - Last Season',
+        identifier_type: 'email_hash',
+        identifiers: [explainUser.email_hash],
+        effective_until: '2020-01-01T00:00:00.000Z'
+    });
+    const explanation = await scopedFalcon.explainSuppression(explainUser);
+    const techcorp = explanation.advertisers.find(entry => entry.advertiserId === 'adv_techcorp');
+    const luxury = explanation.advertisers.find(entry => entry.advertiserId === 'adv_luxurystore');
+    console.log('✓ Matched list and version:', techcorp.matches[0].listName, 'v' + techcorp.matches[0].listVersion, '- suppressed:', techcorp.suppressed);
+    console.log(`${!luxury.suppressed && luxury.matches[0].status === 'ended' ? '✓' : '✗'} Ended list explained:`, luxury.effects.map(effect => effect.detail).join('; '));
+
+    const cachingFalcon = new EnhancedFalconServer(adServer, scopedManager);
+    await cachingFalcon.checkUserSuppression(explainUser);
+    await scopedManager.deleteList(explainList.id);
+    const cachedExplanation = await cachingFalcon.explainSuppression(explainUser);
+    const cachedEntry = cachedExplanation.advertisers.find(entry => entry.advertiserId === 'adv_techcorp');
+    console.log(`${cachedExplanation.cache.hit && cachedEntry.suppressed && cachedEntry.effects.some(effect => effect.source === 'cache') ? '✓' : '✗'} Cache override explained:`,
+        cachedEntry.effects.map(effect => effect.detail).join('; '));
+    await scopedManager.close();
+
+    // Test 7: Keyed hashing per advertiser
+    console.log('\n7. Testing keyed hashing...');
+    try {
+        new SuppressionListManager(':memory:', { keyedHasher: KeyedHasher.generate() });
+        console.log('✗ Keyed hashing without encryption should have been rejected');
+    } catch (error) {
+        console.log('✓ Keyed hashing without encryption rejected:', error.message);
+    }
+
+    const keyedKeyring = new Keyring();
+    keyedKeyring.generateKey('k1');
+    const keyedManager = new SuppressionListManager(':memory:', {
+        encryption: new EncryptionService({ keyring: keyedKeyring }),
+        keyedHasher: KeyedHasher.generate({ tenants: { adv_gamestudio: 'shared_tenant', adv_luxurystore: 'shared_tenant' } })
+    });
+    await keyedManager.initialize();
+    const keyedFalcon = new EnhancedFalconServer(adServer, keyedManager, { cache: false });
+    const keyedUser = { email_hash: 'c0ffeec0ffeec0ffeec0ffeec0ffeec0ffeec0ffeec0ffeec0ffeec0ffeec0ff' };
+    const keyedLists = [];
+    for (const advertiserId of ['adv_techcorp', 'adv_gamestudio', 'adv_luxurystore']) {
+        keyedLists.push(await keyedManager.createList({
+            advertiser_id: advertiserId,
+            name: `Keyed - ${advertiserId}`,
+            identifier_type: 'email_hash',
+            identifiers: [keyedUser.email_hash]
+        }));
+    }
+
+    const storedHashes = [];
+    for (const list of keyedLists) {
+        storedHashes.push((await keyedManager.storage.getMembersPage(list.id, { limit: 1 }))[0].identifier_hash);
+    }
+    const plainHash = keyedManager.hashIdentifier(keyedUser.email_hash, 'email_hash');
+    console.log(`${!storedHashes.includes(plainHash) && storedHashes[0] !== storedHashes[1] ? '✓' : '✗'} Stored hashes differ per advertiser and from plain SHA-256`);
+    console.log(`${storedHashes[1] === storedHashes[2] ? '✓' : '✗'} Advertisers in one tenant share a key`);
+    const storedValue = (await keyedManager.storage.getMembersPage(keyedLists[0].id, { limit: 1 }))[0].identifier;
+    console.log(`${EncryptionService.isEncrypted(storedValue) ? '✓' : '✗'} Stored identifier values are encrypted`);
+
+    const keyedResult = await keyedFalcon.checkUserSuppression(keyedUser);
+    console.log(`${keyedResult.suppressedAdvertisers.size === 3 ? '✓' : '✗'} checkUserSuppression matches every advertiser:`, Array.from(keyedResult.suppressedAdvertisers).sort());
+    console.log(`${await keyedManager.isIdentifierInList(keyedLists[0].id, keyedUser.email_hash) ? '✓' : '✗'} Membership check uses the list's key`);
+
+    // The advertiser set is cached for lookups and refreshed when lists are created
+    let advertiserScans = 0;
+    const listAdvertiserIds = keyedManager.storage.listAdvertiserIds.bind(keyedManager.storage);
+    keyedManager.storage.listAdvertiserIds = async () => { advertiserScans++; return await listAdvertiserIds(); };
+    for (let i = 0; i < 3; i++) await keyedManager.findAdvertisersForIdentifiers(keyedUser);
+    await keyedManager.createList({ advertiser_id: 'adv_newcomer', name: 'Keyed - newcomer', identifier_type: 'email_hash', identifiers: [keyedUser.email_hash] });
+    const withNewcomer = await keyedManager.findAdvertisersForIdentifiers(keyedUser);
+    console.log(`${advertiserScans === 1 && withNewcomer.suppressed.has('adv_newcomer') ? '✓' : '✗'} Advertiser set cached between lookups and refreshed on create:`, advertiserScans, 'scans');
+
+    const scansBefore = advertiserScans;
+    const oneAdvertiser = await keyedManager.findAdvertisersForIdentifiers(keyedUser, { advertiserIds: ['adv_gamestudio'] });
+    console.log(`${advertiserScans === scansBefore && Array.from(oneAdvertiser.suppressed).join() === 'adv_gamestudio' ? '✓' : '✗'} Known advertiser hashed for alone:`, Array.from(oneAdvertiser.suppressed));
+
+    const tenantIntersection = await keyedManager.createDerivedList({ operation: 'intersection', name: 'Keyed - shared tenant', source_list_ids: [keyedLists[1].id, keyedLists[2].id] });
+    console.log(`${tenantIntersection.size === 1 ? '✓' : '✗'} Derived list across advertisers of one tenant:`, tenantIntersection.size);
+    try {
+        await keyedManager.createDerivedList({ operation: 'union', name: 'Keyed - across tenants', source_list_ids: [keyedLists[0].id, keyedLists[1].id] });
+        console.log('✗ Derived list across tenants should have been rejected');
+    } catch (error) {
+        console.log('✓ Derived list across tenants rejected:', error.message);
+    }
+
+    await keyedManager.removeIdentifiers(keyedLists[0].id, [keyedUser.email_hash]);
+    const afterRemoval = await keyedFalcon.checkUserSuppression(keyedUser);
+    console.log(`${!afterRemoval.suppressedAdvertisers.has('adv_techcorp') && afterRemoval.suppressedAdvertisers.size === 3 ? '✓' : '✗'} Removal only affects its advertiser`);
+    await keyedManager.close();
+
+    // Test 8: Erasure reaches Falcon's cache
+    console.log('\n8. Testing subject erasure through Falcon...');
+    const erasureManager = new SuppressionListManager(':memory:');
+    await erasureManager.initialize();
+    const erasureFalcon = new EnhancedFalconServer(adServer, erasureManager);
+    const erasedUser = { email_hash: 'ea5eea5eea5eea5eea5eea5eea5eea5eea5eea5eea5eea5eea5eea5eea5eea5e', device_id: 'device-to-erase' };
+    await erasureManager.createList({
+        advertiser_id: 'adv_techcorp', name: 'Erasure - Customers', identifier_type: 'email_hash', identifiers: [erasedUser.email_hash]
+    });
+    await erasureFalcon.checkUserSuppression(erasedUser);
+    await erasureFalcon.checkUserSuppression({ email_hash: erasedUser.email_hash.toUpperCase() });
+
+    const erasureReceipt = await erasureFalcon.eraseSubject({ email_hash: erasedUser.email_hash });
+    console.log(`${erasureReceipt.rowsRemoved === 1 && erasureReceipt.cache.entriesPurged === 2 && erasureFalcon.cache.size === 0 ? '✓' : '✗'} Cached results purged:`,
+        erasureReceipt.cache.entriesPurged);
+    const afterErasure = await erasureFalcon.checkUserSuppression(erasedUser);
+    console.log(`${afterErasure.suppressedAdvertisers.size === 0 ? '✓' : '✗'} User no longer suppressed after erasure`);
+    await erasureManager.close();
+
+    // Test 9: Subject access report
+    console.log('\n9. Testing subject access report...');
+    const reportManager = new SuppressionListManager(':memory:');
+    await reportManager.initialize();
+    const reportFalcon = new EnhancedFalconServer(adServer, reportManager, { decisionLogSize: 10 });
+    const reportEmail = 'Report.Subject@Example.com';
+    const reportHash = reportManager.rawIngestion.hash('email', reportEmail);
+    await reportManager.createList({ advertiser_id: 'adv_techcorp', name: 'Report - Customers', identifier_type: 'email', identifiers: [reportEmail] });
+    const trashedReportList = await reportManager.createList({
+        advertiser_id: 'adv_luxurystore', name: 'Report - Old Buyers', identifier_type: 'email_hash', identifiers: [reportHash]
+    });
+    await reportManager.deleteList(trashedReportList.id);
+    await reportFalcon.checkUserSuppression({ email_hash: reportHash });
+    await reportFalcon.checkUserSuppression({ device_id: 'unrelated-device' });
+
+    const subjectReport = await reportFalcon.getSubjectReport({ email: 'report.subject@example.com' });
+    const reportStatuses = subjectReport.advertisers.map(entry => `${entry.advertiserId}:${entry.lists[0].status}`);
+    console.log(`${subjectReport.summary.advertisers === 2 && reportStatuses.join() === 'adv_luxurystore:trashed,adv_techcorp:live' ? '✓' : '✗'} Raw email matched hashed lists:`, reportStatuses);
+    console.log(`${subjectReport.decisions.length === 1 && subjectReport.decisions[0].suppressedAdvertisers.join() === 'adv_techcorp' ? '✓' : '✗'} Logged decisions included:`, subjectReport.decisions.length);
+    console.log(`${!JSON.stringify(subjectReport).includes(reportHash) ? '✓' : '✗'} Report holds no identifier hashes`);
+
+    const textReport = await reportFalcon.getSubjectReport({ email_hash: reportHash.toUpperCase() }, { format: 'text' });
+    console.log(`${textReport.includes('Advertisers holding data: 2 (2 lists)') && textReport.includes('Recent suppression decisions: 1') ? '✓' : '✗'} Readable report:`, textReport.split('\n')[4]);
+    const managerReport = await reportManager.getSubjectReport({ email_hash: reportHash });
+    console.log(`${managerReport.decisions === null && managerReport.summary.lists === 2 ? '✓' : '✗'} Manager report without decision logging`);
+
+    const reportErasure = await reportFalcon.eraseSubject({ email: reportEmail });
+    const afterReportErasure = await reportFalcon.getSubjectReport({ email: reportEmail });
+    console.log(`${reportErasure.decisionLog.entriesPurged === 1 && afterReportErasure.summary.advertisers === 0 && afterReportErasure.decisions.length === 0 ? '✓' : '✗'} Erasure empties the report`);
+    await reportManager.close();
+
     console.log('\n=== Part 3 Tests Completed ===');
 }
 
@@ -54,7 +54,12 @@ async function testPart2() {
         { identifier: 'a1b2c3d4e5f6789abcdef123456789abcdef123456789abcdef123456789abcd', type: 'email_hash', valid: true },
         { identifier: 'invalid_hash', type: 'email_hash', valid: false },
         { identifier: '550e8400-e29b-41d4-a716-446655440000', type: 'device_id', valid: true },
-        { identifier: 'invalid_device_id', type: 'device_id', valid: false }
+        { identifier: 'invalid_device_id', type: 'device_id', valid: false },
+        { identifier: '203.0.113.7', type: 'ipv4', valid: true },
+        { identifier: '2001:db8::1', type: 'ipv6', valid: true },
+        { identifier: 'cdda802e-fb9c-47ad-9866-0794d394c912', type: 'gaid', valid: true },
+        { identifier: 'not-a-uuid', type: 'gaid', valid: false },
+        { identifier: 'abc123', type: 'unknown_type', valid: false }
     ];
 
     testCases.forEach((testCase, i) => {
@@ -73,6 +78,56 @@ async function testPart2() {
     console.log('  - Total lists:', metrics.total_lists);
     console.log('  - Total advertisers:', metrics.total_advertisers);
     console.log('  - Total identifiers:', metrics.total_identifiers);
+    const advertiserStats = await manager.getAdvertiserStats();
+    console.log('✓ Per-advertiser identifiers:', advertiserStats.map(row => `${row.advertiser_id}=${row.identifiers}`).join(', '));
+    const typeStats = await manager.getIdentifierTypeStats();
+    console.log('✓ Per-type identifiers:', typeStats.map(row => `${row.identifier_type}=${row.identifiers}`).join(', '));
+    const [driftedList] = await manager.storage.listLists();
+    await manager.storage.updateList(driftedList.id, { size: driftedList.size + 7 });
+    const reconciliation = await manager.reconcileSizes();
+    const fixedList = await manager.getListMetadata(driftedList.id);
+    console.log(`${reconciliation.reconciled === 1 && fixedList.size === driftedList.size ? '✓' : '✗'} Drifted size reconciled:`,
+        reconciliation.lists.map(list => `${list.storedSize} -> ${list.actualSize}`).join(', '));
+
+    // Test 6: Raw email/phone rows
+    console.log('\n6. Testing raw email and phone import...');
+    const rawCsv = '../test_raw_import.csv';
+    fs.writeFileSync(rawCsv, [
+        'advertiser_id,identifier_type,identifier,list_name,notes,submitted_at',
+        'adv_rawcorp,email,Jane.Doe@Example.com ,crm_raw,,2024-02-01T00:00:00Z',
+        'adv_rawcorp,email,jane.doe@example.com,crm_raw,,2024-02-01T00:00:00Z',
+        'adv_rawcorp,phone,(212) 555-0142,crm_raw,,2024-02-01T00:00:00Z',
+        'adv_rawcorp,phone,not a phone,crm_raw,,2024-02-01T00:00:00Z'
+    ].join('\n') + '\n');
+    try {
+        const rawResult = await importer.importFromCSV(rawCsv);
+        const rawLists = await manager.getListsByAdvertiser('adv_rawcorp');
+        const types = rawLists.map(list => `${list.identifier_type}:${list.size}`).sort().join(', ');
+        console.log('✓ Raw rows imported as hashed lists:', types, 'errors:', rawResult.errors);
+        console.log('✓ Raw values not stored:', rawLists.every(list => list.identifiers.every(id => /^[a-f0-9]{64}$/.test(id))));
+    } catch (error) {
+        console.log('✗ Raw import failed:', error.message);
+    } finally {
+        fs.unlinkSync(rawCsv);
+    }
+
+    // Test 7: Audience overlap
+    console.log('\n7. Testing overlap report...');
+    const overlapHash = n => String(n).repeat(64);
+    const loyalty = await manager.createList({
+        advertiser_id: 'adv_overlap_a', name: 'Loyalty', identifier_type: 'email_hash',
+        identifiers: [overlapHash(1), overlapHash(2), overlapHash(3), overlapHash(4)]
+    });
+    const newsletter = await manager.createList({
+        advertiser_id: 'adv_overlap_b', name: 'Newsletter', identifier_type: 'email_hash',
+        identifiers: [overlapHash(3), overlapHash(4), overlapHash(5)]
+    });
+    const listOverlap = await manager.getOverlapReport({ listIds: [loyalty.id, newsletter.id] });
+    const [listPair] = listOverlap.pairs;
+    console.log(`${listPair.intersection === 2 && listPair.jaccard === 0.4 ? '✓' : '✗'} List overlap: ${listPair.intersection} shared, Jaccard ${listPair.jaccard}, ${listPair.shareOfA * 100}% of Loyalty`);
+    const advertiserOverlap = await manager.getOverlapReport({ advertiserIds: ['adv_overlap_a', 'adv_overlap_b', 'adv_unknown'] });
+    console.log(`${advertiserOverlap.pairs.length === 3 && advertiserOverlap.pairs[0].intersection === 2 ? '✓' : '✗'} Advertiser overlap pairs:`,
+        advertiserOverlap.pairs.map(pair => `${pair.a}/${pair.b}=${pair.intersection}`).join(', '));
 
     console.log('\n=== Part 2 Tests Completed Successfully ===');
 }